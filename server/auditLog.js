@@ -0,0 +1,187 @@
+import { ObjectId } from 'mongodb';
+import database from './database.js';
+import { isValidDateString, SYNC_FIELDS } from './validation.js';
+import { dayBoundary, defaultTimeZone } from './timezone.js';
+
+// ================== 操作审计日志 ==================
+// 功课记录的新增、修改、删除都写入 homework_logs，包含字段变更、操作人、IP 和客户端信息
+
+// delete 为移入回收站，restore 为从回收站恢复，purge 为彻底删除
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// 与历史日志的 type 字段保持一致
+const ACTION_TYPES = {
+  create: 'homework_submit',
+  update: 'homework_update',
+  delete: 'homework_delete',
+  restore: 'homework_restore',
+  purge: 'homework_purge'
+};
+
+// 不计入变更的系统字段
+const IGNORED_DIFF_FIELDS = ['_id', 'updatedAt', ...SYNC_FIELDS];
+
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+}
+
+// 比较修改前后的记录，返回 [{ field, before, after }]
+export function diffRecords(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  
+  fields.forEach(field => {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      return;
+    }
+    const oldValue = normalizeValue(before ? before[field] : undefined);
+    const newValue = normalizeValue(after ? after[field] : undefined);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  });
+  
+  return changes;
+}
+
+// 操作人：已登录的管理员，否则为提交设备；没有请求时为系统任务
+export function getActor(req, record) {
+  if (!req) {
+    return { type: 'system', id: 'system' };
+  }
+  if (req.admin) {
+    return { type: 'admin', id: req.admin.sub };
+  }
+  return { type: 'device', id: (record && record.deviceId) || 'web' };
+}
+
+/**
+ * 构建审计日志条目
+ * @param {object|null} req 请求对象，用于记录操作人、IP 和客户端信息；系统任务传 null
+ * @param {object} options action、recordId、before（修改前记录）、after（修改后记录）及附加字段
+ */
+export function buildAuditEntry(req, { action, recordId, before = null, after = null, ...extra }) {
+  const record = after || before || {};
+  
+  return {
+    type: ACTION_TYPES[action],
+    action,
+    recordId,
+    localId: record.localId || null,
+    name: record.name,
+    date: record.date,
+    changes: diffRecords(before, after),
+    actor: getActor(req, record),
+    timestamp: new Date(),
+    ip: req ? req.ip : null,
+    clientInfo: req ? req.headers['user-agent'] : null,
+    ...extra
+  };
+}
+
+// 写入审计日志，失败时只记录警告，不影响主流程
+export async function writeAuditLogs(entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  try {
+    await database.homeworkLogs().insertMany(entries);
+    console.log(`📊 [审计] 已记录 ${entries.length} 条操作日志`);
+  } catch (error) {
+    console.warn('⚠️ [审计] 日志记录失败（不影响主流程）:', error.message);
+  }
+}
+
+export async function writeAuditLog(req, options) {
+  await writeAuditLogs([buildAuditEntry(req, options)]);
+}
+
+// ================== 日志查询 ==================
+
+// 只有日期时按指定时区的整天计算
+function parseTime(value, endOfDay, timeZone) {
+  if (isValidDateString(value)) {
+    return dayBoundary(value, timeZone, endOfDay);
+  }
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+// 构建日志查询条件，返回 { filter, errors }
+// 支持参数: recordId, name, action(create/update/delete/restore/purge，可逗号分隔), startTime, endTime
+export function buildLogFilter(query = {}, timeZone = defaultTimeZone()) {
+  const filter = {};
+  const errors = [];
+  
+  if (query.recordId) {
+    if (!ObjectId.isValid(query.recordId)) {
+      errors.push({ field: 'recordId', error: '记录ID格式无效' });
+    } else {
+      filter.recordId = new ObjectId(query.recordId);
+    }
+  }
+  
+  if (typeof query.name === 'string' && query.name.trim()) {
+    filter.name = query.name.trim();
+  }
+  
+  if (query.action) {
+    const actions = String(query.action).split(',').map(a => a.trim()).filter(Boolean);
+    const invalid = actions.filter(a => !AUDIT_ACTIONS.includes(a));
+    if (invalid.length > 0) {
+      errors.push({ field: 'action', error: `操作类型只能是 ${AUDIT_ACTIONS.join('/')}` });
+    } else {
+      // 按 type 查询，兼容没有 action 字段的历史日志
+      filter.type = { $in: actions.map(a => ACTION_TYPES[a]) };
+    }
+  }
+  
+  ['startTime', 'endTime'].forEach(field => {
+    if (!query[field]) {
+      return;
+    }
+    const time = parseTime(query[field], field === 'endTime', timeZone);
+    if (!time) {
+      errors.push({ field, error: '时间格式无效，应为 YYYY-MM-DD 或 ISO 时间' });
+      return;
+    }
+    filter.timestamp = { ...(filter.timestamp || {}), [field === 'startTime' ? '$gte' : '$lte']: time };
+  });
+  
+  return { filter, errors };
+}
+
+// 格式化返回给前端的日志
+export function formatAuditLog(log) {
+  const action = log.action || Object.keys(ACTION_TYPES).find(key => ACTION_TYPES[key] === log.type) || log.type;
+  return {
+    _id: log._id.toString(),
+    action,
+    type: log.type,
+    recordId: log.recordId ? log.recordId.toString() : null,
+    localId: log.localId || null,
+    name: log.name || '',
+    date: log.date || '',
+    changes: log.changes || [],
+    actor: log.actor || null,
+    batch: !!log.batch,
+    bulk: !!log.bulk,
+    auto: !!log.auto,
+    imported: !!log.imported,
+    // 合并参与者、修改参与者姓名或关联参与者时修改的记录：merge、rename、sync
+    participantChange: log.participantChange || null,
+    ip: log.ip || '',
+    clientInfo: log.clientInfo || '',
+    timestamp: log.timestamp
+  };
+}
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import config from './config.js';
+import database from './database.js';
+
+// ================== 管理员令牌 ==================
+// 令牌格式与 JWT (HS256) 兼容: base64url(header).base64url(payload).base64url(signature)
+
+// 签名密钥过短时容易被暴力破解
+const MIN_SECRET_LENGTH = 16;
+
+// 认证配置错误的说明，配置正确时返回 null
+export function authConfigError() {
+  const { jwtSecret, adminPassword } = config.security;
+  if (!jwtSecret || !adminPassword) {
+    return '未设置 JWT_SECRET 或 ADMIN_PASSWORD：管理员登录已停用，请在环境变量中配置令牌签名密钥和管理员密码';
+  }
+  if (jwtSecret.length < MIN_SECRET_LENGTH) {
+    return `JWT_SECRET 长度不能少于 ${MIN_SECRET_LENGTH} 个字符`;
+  }
+  return null;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto
+    .createHmac('sha256', config.security.jwtSecret)
+    .update(data)
+    .digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// 校验管理员密码，未配置认证时一律拒绝
+export function checkAdminPassword(password) {
+  if (authConfigError() || typeof password !== 'string' || !password) {
+    return false;
+  }
+  return safeEqual(password, config.security.adminPassword);
+}
+
+// 签发令牌
+export function createToken(subject = 'admin') {
+  const configError = authConfigError();
+  if (configError) {
+    throw new Error(configError);
+  }
+  const now = Date.now();
+  const payload = {
+    sub: subject,
+    jti: crypto.randomUUID(),
+    iat: Math.floor(now / 1000),
+    exp: Math.floor((now + config.security.tokenTtlMs) / 1000)
+  };
+  
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const token = `${header}.${body}.${sign(`${header}.${body}`)}`;
+  
+  return { token, payload };
+}
+
+// 验证令牌签名与有效期，失败返回 null
+export function verifyToken(token) {
+  if (typeof token !== 'string' || authConfigError()) {
+    return null;
+  }
+  
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  
+  const [header, body, signature] = parts;
+  if (!safeEqual(signature, sign(`${header}.${body}`))) {
+    return null;
+  }
+  
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 从 Authorization 头中取出 Bearer 令牌
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// ================== 会话存储 ==================
+// 令牌签发后在 admin_sessions 中登记，登出时删除，使注销立即生效
+
+export async function createSession(req) {
+  const { token, payload } = createToken();
+  
+  await database.adminSessions().insertOne({
+    jti: payload.jti,
+    subject: payload.sub,
+    createdAt: new Date(payload.iat * 1000),
+    expiresAt: new Date(payload.exp * 1000),
+    ip: req.ip,
+    clientInfo: req.headers['user-agent']
+  });
+  
+  return { token, expiresAt: new Date(payload.exp * 1000) };
+}
+
+export async function revokeSession(payload) {
+  const result = await database.adminSessions().deleteOne({ jti: payload.jti });
+  return result.deletedCount > 0;
+}
+
+// 定时任务接口的密钥校验，未设置 CRON_SECRET 时接口不可用
+export function requireCronSecret(req, res, next) {
+  if (!config.security.cronSecret) {
+    return res.status(503).json({
+      success: false,
+      error: '未设置 CRON_SECRET，定时任务接口不可用',
+      timestamp: new Date().toISOString()
+    });
+  }
+  const token = getBearerToken(req);
+  if (!token || !safeEqual(token, config.security.cronSecret)) {
+    return res.status(401).json({
+      success: false,
+      error: '定时任务密钥无效',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+// 管理员权限中间件
+export async function requireAdmin(req, res, next) {
+  try {
+    const payload = verifyToken(getBearerToken(req));
+    
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        error: '未登录或登录已过期，请重新登录',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    await database.connect();
+    const session = await database.adminSessions().findOne({ jti: payload.jti });
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: '登录状态已失效，请重新登录',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    req.admin = payload;
+    next();
+  } catch (error) {
+    console.error('❌ [认证] 校验令牌失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
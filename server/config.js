@@ -1,10 +1,16 @@
-require('dotenv').config();
-
 const config = {
+  // 存储配置
+  storage: {
+    // mongodb（默认，需设置 MONGODB_URI）、file（数据保存在 dataDir 下的 JSON 文件中）或 memory（只保存在内存中，重启后清空）
+    // file 和 memory 只适合单实例运行，如本地开发和演示
+    driver: process.env.STORAGE_DRIVER || 'mongodb',
+    dataDir: process.env.STORAGE_DATA_DIR || 'data'
+  },
+  
   // MongoDB配置
   mongodb: {
-    uri: process.env.MONGODB_URI,
-    database: process.env.DATABASE_NAME || 'donation_system',
+    uri: process.env.MONGODB_URI || null,
+    database: process.env.DATABASE_NAME || 'homework_db',
     options: {
       serverApi: {
         version: '1',
@@ -25,11 +31,59 @@ const config = {
     }
   },
   
+  // 机构所在时区（IANA 时区名），用于计算"今天"、日期边界和导出时间
+  timezone: process.env.TIMEZONE || 'Asia/Shanghai',
+  
+  // 回收站配置
+  recycleBin: {
+    // 删除的记录保留天数，超过后自动彻底删除；设为 0 则不自动清理
+    retentionDays: process.env.RECYCLE_BIN_RETENTION_DAYS !== undefined
+      ? parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 0
+      : 30
+  },
+  
+  // 报表配置
+  report: {
+    // PDF 月报使用的中文字体文件（TTF、OTF 或 TTC），未设置时依次查找常见的系统字体
+    fontPath: process.env.REPORT_FONT_PATH || null,
+    // 字体文件为 TTC 字体集合时需指定其中的字体名，例如 NotoSansCJKsc-Regular
+    fontName: process.env.REPORT_FONT_NAME || null
+  },
+  
+  // Notion 同步配置：设置令牌和数据库ID后启用
+  notion: {
+    token: process.env.NOTION_TOKEN || null,
+    databaseId: process.env.NOTION_DATABASE_ID || null,
+    // 自定义 API 地址，用于本地桩服务或代理
+    baseUrl: process.env.NOTION_BASE_URL || null,
+    // 单条记录的最大尝试次数，超过后标记为 failed，需手动重试
+    maxAttempts: parseInt(process.env.NOTION_SYNC_MAX_ATTEMPTS) || 5
+  },
+  
+  // Webhook 推送配置
+  webhooks: {
+    // 单次请求超时时间，需小于函数的最长执行时间
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    // 单个投递任务的最大尝试次数，超过后标记为 failed，需手动重试
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    // 为 true 时允许订阅地址指向本机和内网（仅用于本地调试），默认拒绝以防服务器被用来访问内网
+    allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+  },
+  
   // 安全配置
   security: {
-    jwtSecret: process.env.JWT_SECRET || 'donation_system_secret_key',
-    adminPassword: process.env.ADMIN_PASSWORD || 'admin123' // 在生产环境中请务必更改
+    // 令牌签名密钥和管理员密码没有默认值，未设置时本地服务拒绝启动，部署环境中登录接口返回 503
+    jwtSecret: process.env.JWT_SECRET || null,
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+    // 定时任务接口（/api/cron/*）的密钥，请求需带 Authorization: Bearer <CRON_SECRET>；Vercel Cron 会自动带上同名环境变量
+    // vercel.json 中每天调用一次（Hobby 计划的上限），Pro 计划或外部定时服务可以更频繁地调用
+    cronSecret: process.env.CRON_SECRET || null,
+    tokenTtlMs: parseInt(process.env.ADMIN_TOKEN_TTL_MS) || 12 * 60 * 60 * 1000, // 管理员令牌有效期，默认12小时
+    loginRateLimit: {
+      windowMs: 15 * 60 * 1000,
+      max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10
+    }
   }
 };
 
-module.exports = config;
+export default config;
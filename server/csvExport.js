@@ -0,0 +1,206 @@
+import { participantForRecord } from './participants.js';
+import { classicsTotal, columnHeader } from './practiceItems.js';
+import { formatDateTimeInTimeZone } from './timezone.js';
+import { periodKey } from './timeseries.js';
+
+// ================== CSV 导出 ==================
+// 按 RFC 4180 转义字段，逐行写入输出流；汇总模式按「人 × 周期」合计后输出
+
+export const CSV_EXPORT_MODES = ['records', 'aggregate'];
+export const CSV_AGGREGATE_PERIODS = ['day', 'week', 'month', 'year', 'all'];
+
+/**
+ * 转义单个 CSV 字段：包含逗号、双引号、换行或首尾空格时用双引号包裹，内部的双引号写为两个
+ */
+export function escapeCsvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function csvLine(values) {
+  return values.map(escapeCsvField).join(',') + '\r\n';
+}
+
+// 可选的列，默认列与 /api/import 接受的格式一致
+function recordColumns(practiceItems) {
+  return [
+    { key: 'date', header: '日期' },
+    { key: 'name', header: '姓名' },
+    { key: 'group', header: '小组', optional: true },
+    ...practiceItems.map(item => ({ key: item.key, header: columnHeader(item) })),
+    { key: 'totalClassics', header: '经典总数' },
+    { key: 'remark', header: '备注' },
+    { key: 'submittedAt', header: '提交时间' },
+    { key: 'deviceId', header: '设备ID' }
+  ];
+}
+
+function aggregateColumns(practiceItems) {
+  return [
+    { key: 'period', header: '周期' },
+    { key: 'name', header: '姓名' },
+    { key: 'group', header: '小组' },
+    { key: 'records', header: '记录数' },
+    { key: 'activeDays', header: '打卡天数' },
+    ...practiceItems.map(item => ({ key: item.key, header: columnHeader(item) })),
+    { key: 'totalClassics', header: '经典总数' }
+  ];
+}
+
+/**
+ * 解析 CSV 导出参数
+ * mode：records（逐条记录，默认）或 aggregate（每人每周期一行）
+ * period：汇总周期 day、week、month（默认）、year 或 all
+ * columns：逗号分隔的列键名，按给定顺序输出；不指定时输出默认列
+ * @returns {{ mode: string, period: string|null, columns: Array<{ key: string, header: string }>, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateCsvExportQuery(query, practiceItems) {
+  const errors = [];
+  const mode = query.mode || 'records';
+  if (!CSV_EXPORT_MODES.includes(mode)) {
+    errors.push({ field: 'mode', error: `导出模式必须是 ${CSV_EXPORT_MODES.join('、')} 之一` });
+  }
+  
+  let period = null;
+  if (mode === 'aggregate') {
+    period = query.period || 'month';
+    if (!CSV_AGGREGATE_PERIODS.includes(period)) {
+      errors.push({ field: 'period', error: `汇总周期必须是 ${CSV_AGGREGATE_PERIODS.join('、')} 之一` });
+    }
+  }
+  
+  const available = mode === 'aggregate' ? aggregateColumns(practiceItems) : recordColumns(practiceItems);
+  let columns = available.filter(column => !column.optional);
+  const requested = [].concat(query.columns || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  if (requested.length > 0) {
+    const byKey = new Map(available.map(column => [column.key, column]));
+    const unknown = requested.filter(key => !byKey.has(key));
+    if (unknown.length > 0) {
+      errors.push({ field: 'columns', error: `不支持的列: ${unknown.join(', ')}，可用的列: ${available.map(column => column.key).join(', ')}` });
+    }
+    columns = [...new Set(requested)].filter(key => byKey.has(key)).map(key => byKey.get(key));
+  }
+  
+  return { mode, period, columns, errors };
+}
+
+// 写入一行，缓冲区已满时等待 drain，客户端断开时中止
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('客户端已断开连接'));
+    };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+function groupName(participant, groupsById) {
+  const group = participant && participant.groupId ? groupsById.get(participant.groupId.toString()) : null;
+  return group ? group.name : '';
+}
+
+function aggregatePeriodKey(date, period) {
+  if (period === 'all') {
+    return '全部';
+  }
+  if (period === 'year') {
+    return date.slice(0, 4);
+  }
+  return periodKey(date, period);
+}
+
+/**
+ * 将功课记录写为 CSV（UTF-8 BOM，CRLF 换行）
+ * @param {object} options
+ * @param {import('stream').Writable} options.stream 输出流（通常为响应对象）
+ * @param {AsyncIterable<object>} options.records 按导出顺序排列的记录游标
+ * @param {{ mode: string, period: string|null, columns: Array }} options.options validateCsvExportQuery() 的结果
+ * @param {Array} options.practiceItems 功课项目目录
+ * @param {object} options.participantIndex loadParticipantIndex() 的返回值，用于统一姓名和小组
+ * @param {Map<string, object>} options.groupsById 小组ID到小组的映射
+ * @param {string} options.timeZone 提交时间使用的时区
+ * @returns {Promise<number>} 输出的数据行数
+ */
+export async function writeRecordsCsv({ stream, records, options, practiceItems, participantIndex, groupsById, timeZone }) {
+  const { mode, period, columns } = options;
+  await writeChunk(stream, '\uFEFF' + csvLine(columns.map(column => column.header)));
+  
+  if (mode === 'records') {
+    let count = 0;
+    for await (const record of records) {
+      const participant = participantForRecord(record, participantIndex);
+      const row = {
+        ...record,
+        name: participant ? participant.name : record.name || '',
+        group: groupName(participant, groupsById),
+        totalClassics: classicsTotal(record, practiceItems),
+        remark: record.remark || '',
+        submittedAt: record.submittedAt ? formatDateTimeInTimeZone(record.submittedAt, timeZone) : '',
+        deviceId: record.deviceId || ''
+      };
+      practiceItems.forEach(item => {
+        row[item.key] = record[item.key] || 0;
+      });
+      await writeChunk(stream, csvLine(columns.map(column => row[column.key])));
+      count++;
+    }
+    return count;
+  }
+  
+  // 汇总模式：内存中只保留「人 × 周期」的合计
+  const rows = new Map();
+  for await (const record of records) {
+    if (!record.date) {
+      continue;
+    }
+    const participant = participantForRecord(record, participantIndex);
+    const name = participant ? participant.name : record.name || '';
+    const personKey = participant ? participant._id.toString() : `name:${name}`;
+    const key = aggregatePeriodKey(record.date, period);
+    const rowKey = `${key}|${personKey}`;
+    
+    let row = rows.get(rowKey);
+    if (!row) {
+      row = { period: key, name, group: groupName(participant, groupsById), records: 0, dates: new Set(), totalClassics: 0 };
+      practiceItems.forEach(item => {
+        row[item.key] = 0;
+      });
+      rows.set(rowKey, row);
+    }
+    row.records++;
+    row.dates.add(record.date);
+    row.totalClassics += classicsTotal(record, practiceItems);
+    practiceItems.forEach(item => {
+      row[item.key] += record[item.key] || 0;
+    });
+  }
+  
+  const sorted = [...rows.values()].sort((a, b) => a.period.localeCompare(b.period) || a.name.localeCompare(b.name, 'zh-CN'));
+  for (const row of sorted) {
+    row.activeDays = row.dates.size;
+    await writeChunk(stream, csvLine(columns.map(column => row[column.key])));
+  }
+  return sorted.length;
+}
@@ -0,0 +1,475 @@
+import { ObjectId } from 'mongodb';
+import database from './database.js';
+import { isValidDateString } from './validation.js';
+import { buildAuditEntry, writeAuditLogs } from './auditLog.js';
+import { pendingSyncFields } from './notionSync.js';
+import { enqueueRecordEvents } from './webhooks.js';
+import { dateInTimeZone, formatDateTimeInTimeZone } from './timezone.js';
+
+// ================== 数据完整性检查 ==================
+// 检查 homework_records 和 homework_logs 中重复、格式错误和缺失的数据
+// 有问题的记录由聚合查询在数据库中筛选，不把整个集合读入内存
+// 监控页面只获取各类问题的数量；问题明细和自动修复（repairDataIntegrity）仅限管理员，修改记录时写入审计日志并发送 Webhook
+
+export const INTEGRITY_ISSUE_TYPES = {
+  duplicate: '同一人同一天有多条记录',
+  invalidDate: '日期缺失或格式错误',
+  invalidCount: '功课数量为负数或不是整数',
+  missingSubmittedAt: '缺少提交时间',
+  orphanedLog: '操作日志对应的记录不存在'
+};
+
+// 报告中每类问题最多列出的条数，数量统计不受限制
+const ISSUE_LIST_LIMIT = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 记录已被删除时写入的日志类型（包括回收站上线前直接删除的历史日志）
+const REMOVAL_LOG_TYPES = ['homework_delete', 'homework_purge'];
+
+function isValidTime(value) {
+  return value instanceof Date && !isNaN(value.getTime());
+}
+
+function createdTime(record) {
+  if (isValidTime(record.createdAt)) {
+    return record.createdAt;
+  }
+  return record._id instanceof ObjectId ? record._id.getTimestamp() : null;
+}
+
+// 提交时间：早期记录可能存为字符串，缺失时按创建时间
+function submissionTime(record) {
+  if (isValidTime(record.submittedAt)) {
+    return record.submittedAt;
+  }
+  const parsed = typeof record.submittedAt === 'string' ? new Date(record.submittedAt) : null;
+  return isValidTime(parsed) ? parsed : createdTime(record);
+}
+
+// 尝试把格式错误的日期转换为 YYYY-MM-DD，无法转换时返回 null
+function normalizeDate(value, timeZone) {
+  if (isValidTime(value)) {
+    return dateInTimeZone(value, timeZone);
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  const parts = text.match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?$/);
+  if (parts) {
+    const date = `${parts[1]}-${parts[2].padStart(2, '0')}-${parts[3].padStart(2, '0')}`;
+    return isValidDateString(date) ? date : null;
+  }
+  // 带时间的 ISO 8601 字符串按机构时区取日期
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const time = new Date(text);
+    return isValidTime(time) ? dateInTimeZone(time, timeZone) : null;
+  }
+  return null;
+}
+
+function checkDate(record, timeZone) {
+  if (isValidDateString(record.date)) {
+    return null;
+  }
+  const missing = record.date === undefined || record.date === null || record.date === '';
+  // 与列表显示一致：没有日期的记录按提交时间所在的日期
+  const submittedAt = submissionTime(record);
+  const fixed = missing
+    ? (submittedAt ? dateInTimeZone(submittedAt, timeZone) : null)
+    : normalizeDate(record.date, timeZone);
+  return {
+    field: 'date',
+    value: missing ? null : record.date,
+    message: missing ? '缺少日期' : '日期格式错误，应为 YYYY-MM-DD',
+    fix: fixed ? { date: fixed } : null
+  };
+}
+
+// 空值视为0；纯数字字符串可自动转换，负数和小数需要人工处理
+function checkCounts(record, practiceItems) {
+  const problems = [];
+  practiceItems.forEach(item => {
+    const value = record[item.key];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+      return;
+    }
+    if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+      problems.push({ field: item.key, value, message: `${item.name}为文本，应为数字`, fix: { [item.key]: parseInt(value, 10) } });
+      return;
+    }
+    const negative = typeof value === 'number' && value < 0;
+    problems.push({ field: item.key, value, message: `${item.name}${negative ? '为负数' : '不是非负整数'}`, fix: null });
+  });
+  return problems;
+}
+
+function checkSubmittedAt(record) {
+  if (isValidTime(record.submittedAt)) {
+    return null;
+  }
+  const fixed = submissionTime(record);
+  return {
+    field: 'submittedAt',
+    value: record.submittedAt === undefined ? null : record.submittedAt,
+    message: record.submittedAt === undefined || record.submittedAt === null ? '缺少提交时间' : '提交时间格式错误',
+    fix: fixed ? { submittedAt: fixed } : null
+  };
+}
+
+function contentKey(record, practiceItems) {
+  return [
+    ...practiceItems.map(item => record[item.key] || 0),
+    (record.remark || '').trim()
+  ].join('|');
+}
+
+function submittedTime(record) {
+  const time = submissionTime(record);
+  return time ? time.getTime() : 0;
+}
+
+// 日期是否为有效的 YYYY-MM-DD：按格式解析再格式化后与原值相同（排除 2026-02-30 这类日期）
+const VALID_DATE_EXPRESSION = {
+  $cond: [
+    { $eq: [{ $type: '$date' }, 'string'] },
+    {
+      $eq: ['$date', {
+        $dateToString: {
+          format: '%Y-%m-%d',
+          date: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d', onError: null } }
+        }
+      }]
+    },
+    false
+  ]
+};
+
+// 功课数量不是非负整数（空值视为0）
+function invalidCountExpression(key) {
+  const value = { $ifNull: [`$${key}`, 0] };
+  return {
+    $cond: [
+      { $isNumber: value },
+      { $or: [{ $lt: [value, 0] }, { $ne: [value, { $floor: value }] }] },
+      true
+    ]
+  };
+}
+
+// 日期、数量或提交时间有问题的记录，由数据库筛选，只返回这些记录
+function findInvalidFieldRecords(practiceItems) {
+  return database.homeworkRecords().aggregate([
+    {
+      $addFields: {
+        hasFieldIssue: {
+          $or: [
+            { $not: [VALID_DATE_EXPRESSION] },
+            { $ne: [{ $type: '$submittedAt' }, 'date'] },
+            ...practiceItems.map(item => invalidCountExpression(item.key))
+          ]
+        }
+      }
+    },
+    { $match: { hasFieldIssue: true } },
+    { $project: { hasFieldIssue: 0 } }
+  ]).toArray();
+}
+
+// 同一人同一天有多条有效记录的分组，只取出这些记录
+async function findDuplicateCandidates() {
+  const collection = database.homeworkRecords();
+  const groups = await collection.aggregate([
+    { $match: { deletedAt: null, date: DATE_PATTERN, name: { $type: 'string' } } },
+    { $group: { _id: { name: { $trim: { input: '$name' } }, date: '$date' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).toArray();
+  if (groups.length === 0) {
+    return [];
+  }
+  return collection.find({ _id: { $in: groups.flatMap(group => group.ids) } }).toArray();
+}
+
+/**
+ * 同一人同一天的有效记录
+ * 内容完全相同的记录可自动修复：保留最早提交的一条，其余移入回收站；内容不同的需要人工确认
+ */
+function findDuplicates(records, practiceItems) {
+  const groups = new Map();
+  records.forEach(record => {
+    if (record.deletedAt || typeof record.name !== 'string' || !isValidDateString(record.date)) {
+      return;
+    }
+    const key = `${record.name.trim()}|${record.date}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  });
+  
+  const duplicates = [];
+  groups.forEach(group => {
+    if (group.length < 2) {
+      return;
+    }
+    group.sort((a, b) => submittedTime(a) - submittedTime(b));
+    const identical = new Set(group.map(record => contentKey(record, practiceItems))).size === 1;
+    duplicates.push({
+      type: 'duplicate',
+      recordIds: group.map(record => record._id.toString()),
+      name: group[0].name.trim(),
+      date: group[0].date,
+      message: identical ? `${group.length} 条记录内容完全相同` : `${group.length} 条记录内容不同，请人工确认`,
+      fixable: identical,
+      keepId: identical ? group[0]._id.toString() : null
+    });
+  });
+  return duplicates;
+}
+
+// recordId 指向的记录不存在、也没有删除日志的操作日志
+async function findOrphanedLogs() {
+  const logs = database.homeworkLogs();
+  const recordIds = (await logs.distinct('recordId')).filter(id => id instanceof ObjectId);
+  const existing = await database.homeworkRecords().distinct('_id', { _id: { $in: recordIds } });
+  const existingIds = new Set(existing.map(id => id.toString()));
+  const missing = recordIds.filter(id => !existingIds.has(id.toString()));
+  if (missing.length === 0) {
+    return [];
+  }
+  
+  const removed = await logs.distinct('recordId', { recordId: { $in: missing }, type: { $in: REMOVAL_LOG_TYPES } });
+  const removedIds = new Set(removed.map(id => id.toString()));
+  const orphanIds = missing.filter(id => !removedIds.has(id.toString()));
+  if (orphanIds.length === 0) {
+    return [];
+  }
+  
+  const groups = await logs.aggregate([
+    { $match: { recordId: { $in: orphanIds } } },
+    { $group: { _id: '$recordId', logIds: { $push: '$_id' }, name: { $first: '$name' }, date: { $first: '$date' } } },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+  
+  return groups.map(group => ({
+    type: 'orphanedLog',
+    recordId: group._id.toString(),
+    logIds: group.logIds.map(id => id.toString()),
+    name: group.name || '',
+    date: group.date || '',
+    message: `${group.logIds.length} 条操作日志对应的记录不存在`,
+    fixable: true
+  }));
+}
+
+/**
+ * 检查记录（包括回收站中的）和操作日志
+ * @returns {Promise<{ records: Array, issues: Array }>} records 为有问题的记录，issues 中每项包含 type、记录ID、说明和 fixable
+ */
+async function collectIssues(practiceItems, timeZone) {
+  const [invalidRecords, duplicateRecords, orphanedLogs] = await Promise.all([
+    findInvalidFieldRecords(practiceItems),
+    findDuplicateCandidates(),
+    findOrphanedLogs()
+  ]);
+  const issues = [];
+  
+  invalidRecords.forEach(record => {
+    const recordId = record._id.toString();
+    const base = { recordId, name: record.name || '', deleted: !!record.deletedAt };
+    
+    const dateProblem = checkDate(record, timeZone);
+    if (dateProblem) {
+      issues.push({ type: 'invalidDate', ...base, ...dateProblem, fixable: !!dateProblem.fix });
+    }
+    checkCounts(record, practiceItems).forEach(problem => {
+      issues.push({ type: 'invalidCount', ...base, ...problem, fixable: !!problem.fix });
+    });
+    const submittedProblem = checkSubmittedAt(record);
+    if (submittedProblem) {
+      issues.push({ type: 'missingSubmittedAt', ...base, ...submittedProblem, fixable: !!submittedProblem.fix });
+    }
+  });
+  
+  issues.push(...findDuplicates(duplicateRecords, practiceItems));
+  issues.push(...orphanedLogs);
+  
+  const records = new Map([...invalidRecords, ...duplicateRecords].map(record => [record._id.toString(), record]));
+  return { records: [...records.values()], issues };
+}
+
+function formatIssue({ fix, ...issue }) {
+  return fix ? { ...issue, fixValue: Object.values(fix)[0] } : issue;
+}
+
+// 监控页面使用的概况：记录数、日期范围和最新提交时间，不包含姓名等记录内容
+async function buildOverview(timeZone) {
+  const collection = database.homeworkRecords();
+  const active = { deletedAt: null };
+  const [totalCount, deletedCount, first, last, latest] = await Promise.all([
+    collection.countDocuments(active),
+    collection.countDocuments({ deletedAt: { $ne: null } }),
+    collection.findOne({ ...active, date: DATE_PATTERN }, { sort: { date: 1 }, projection: { date: 1 } }),
+    collection.findOne({ ...active, date: DATE_PATTERN }, { sort: { date: -1 }, projection: { date: 1 } }),
+    collection.findOne({ ...active, submittedAt: { $type: 'date' } }, { sort: { submittedAt: -1 }, projection: { submittedAt: 1 } })
+  ]);
+  
+  return {
+    totalCount,
+    deletedCount,
+    hasData: totalCount > 0,
+    dateRange: {
+      first: first ? first.date : null,
+      last: last ? last.date : null
+    },
+    latestSubmittedAt: latest ? formatDateTimeInTimeZone(latest.submittedAt, timeZone) : null
+  };
+}
+
+/**
+ * 数据完整性检查
+ * @param {Array} practiceItems 功课项目目录（全部项目，包括已停用的）
+ * @param {object} [options]
+ * @param {boolean} [options.includeIssues] 是否附带问题明细（含记录ID和姓名，仅供管理员查看），每类最多 ISSUE_LIST_LIMIT 条
+ * @returns {Promise<object>} 概况和各类问题的统计（summary）；includeIssues 时另有 issues 和 truncated
+ */
+export async function verifyDataIntegrity(practiceItems, timeZone, { includeIssues = false } = {}) {
+  const [overview, { issues }] = await Promise.all([
+    buildOverview(timeZone),
+    collectIssues(practiceItems, timeZone)
+  ]);
+  
+  const summary = {};
+  const listed = {};
+  Object.entries(INTEGRITY_ISSUE_TYPES).forEach(([type, label]) => {
+    const ofType = issues.filter(issue => issue.type === type);
+    summary[type] = {
+      label,
+      count: ofType.length,
+      fixable: ofType.filter(issue => issue.fixable).length
+    };
+    listed[type] = ofType.slice(0, ISSUE_LIST_LIMIT).map(formatIssue);
+  });
+  
+  const verification = {
+    ...overview,
+    issueCount: issues.length,
+    fixableCount: issues.filter(issue => issue.fixable).length,
+    summary,
+    checkedAt: new Date()
+  };
+  if (includeIssues) {
+    verification.issues = listed;
+    verification.truncated = Object.values(summary).some(item => item.count > ISSUE_LIST_LIMIT);
+  }
+  return verification;
+}
+
+// ================== 自动修复 ==================
+
+/**
+ * 修复可自动修复的问题
+ * 字段修复和重复记录的删除写入审计日志（repair: true）并重新同步 Notion、发送 Webhook；孤立的操作日志直接删除
+ * @param {object} req 请求对象，用于记录操作人
+ * @param {string[]} types 要修复的问题类型
+ * @returns {Promise<object>} 各类问题修复的数量及修改、删除的记录ID
+ */
+export async function repairDataIntegrity(req, practiceItems, types) {
+  const { records, issues } = await collectIssues(practiceItems, req.timeZone);
+  const fixable = issues.filter(issue => issue.fixable && types.includes(issue.type));
+  const byId = new Map(records.map(record => [record._id.toString(), record]));
+  const collection = database.homeworkRecords();
+  const now = new Date();
+  const fixed = Object.fromEntries(types.map(type => [type, 0]));
+  
+  // 同一条记录的多个字段修复合并为一次更新
+  const fieldFixes = new Map();
+  fixable.filter(issue => issue.fix).forEach(issue => {
+    const pending = fieldFixes.get(issue.recordId) || { fix: {}, types: [] };
+    fieldFixes.set(issue.recordId, { fix: { ...pending.fix, ...issue.fix }, types: [...pending.types, issue.type] });
+  });
+  
+  const updatedIds = [];
+  const auditEntries = [];
+  const updateEvents = [];
+  for (const [id, { fix, types: fixedTypes }] of fieldFixes) {
+    const before = byId.get(id);
+    const after = await collection.findOneAndUpdate(
+      { _id: before._id },
+      { $set: { ...fix, updatedAt: now, ...pendingSyncFields(now) } },
+      { returnDocument: 'after' }
+    );
+    if (!after) {
+      continue;
+    }
+    updatedIds.push(id);
+    fixedTypes.forEach(type => {
+      fixed[type]++;
+    });
+    const entry = buildAuditEntry(req, { action: 'update', recordId: before._id, before, after, repair: true });
+    auditEntries.push(entry);
+    if (!after.deletedAt) {
+      updateEvents.push({ record: after, changes: entry.changes });
+    }
+  }
+  
+  // 重复记录保留最早提交的一条，其余移入回收站
+  const deletedBy = req.admin.sub;
+  const removeIds = fixable
+    .filter(issue => issue.type === 'duplicate')
+    .flatMap(issue => issue.recordIds.filter(id => id !== issue.keepId));
+  const deletedIds = [];
+  const deleteEvents = [];
+  if (removeIds.length > 0) {
+    await collection.updateMany(
+      { _id: { $in: removeIds.map(id => new ObjectId(id)) }, deletedAt: null },
+      { $set: { deletedAt: now, deletedBy, updatedAt: now, ...pendingSyncFields(now) } }
+    );
+    const deleted = await collection
+      .find({ _id: { $in: removeIds.map(id => new ObjectId(id)) }, deletedAt: now }, { projection: { _id: 1 } })
+      .toArray();
+    deleted.forEach(({ _id }) => {
+      const before = byId.get(_id.toString());
+      deletedIds.push(_id.toString());
+      auditEntries.push(buildAuditEntry(req, {
+        action: 'delete',
+        recordId: _id,
+        before,
+        after: { ...before, deletedAt: now, deletedBy, updatedAt: now },
+        repair: true
+      }));
+      deleteEvents.push({ record: { ...before, deletedAt: now, deletedBy } });
+    });
+    if (types.includes('duplicate')) {
+      fixed.duplicate = deletedIds.length;
+    }
+  }
+  
+  let removedLogs = 0;
+  const orphanLogIds = fixable
+    .filter(issue => issue.type === 'orphanedLog')
+    .flatMap(issue => issue.logIds.map(id => new ObjectId(id)));
+  if (orphanLogIds.length > 0) {
+    const result = await database.homeworkLogs().deleteMany({ _id: { $in: orphanLogIds } });
+    removedLogs = result.deletedCount;
+    fixed.orphanedLog = removedLogs;
+  }
+  
+  await writeAuditLogs(auditEntries);
+  await enqueueRecordEvents(req, 'record.updated', updateEvents);
+  await enqueueRecordEvents(req, 'record.deleted', deleteEvents);
+  
+  console.log(`🩺 [数据检查] 修复完成：修改 ${updatedIds.length} 条记录，移入回收站 ${deletedIds.length} 条，删除孤立日志 ${removedLogs} 条`);
+  
+  return {
+    fixed,
+    updatedIds,
+    deletedIds,
+    removedLogs,
+    skipped: issues.filter(issue => types.includes(issue.type) && !issue.fixable).length
+  };
+}
@@ -0,0 +1,217 @@
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { isValidDateString } from './validation.js';
+import { findParticipantByName, resolveParticipant, cleanName } from './participants.js';
+
+// ================== 发愿目标 ==================
+// 目标针对个人或全体，指定功课项目、目标数量和时间范围，进度由功课记录汇总得出
+
+export const GOAL_SCOPES = ['person', 'all'];
+export const GOAL_PERIODS = ['week', 'month', 'year', 'custom'];
+export const GOAL_STATUSES = ['active', 'closed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(dateString, days) {
+  return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS);
+}
+
+// 根据周期类型和参考日期计算起止日期（周从周一开始）
+export function periodRange(period, referenceDate) {
+  const [year, month] = referenceDate.split('-').map(Number);
+  
+  if (period === 'week') {
+    const weekday = (new Date(`${referenceDate}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const startDate = addDays(referenceDate, -weekday);
+    return { startDate, endDate: addDays(startDate, 6) };
+  }
+  
+  if (period === 'month') {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const monthText = String(month).padStart(2, '0');
+    return { startDate: `${year}-${monthText}-01`, endDate: `${year}-${monthText}-${String(lastDay).padStart(2, '0')}` };
+  }
+  
+  if (period === 'year') {
+    return { startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+  }
+  
+  return null;
+}
+
+/**
+ * 校验新目标
+ * @param {object} input 请求数据：scope, name, practiceKey, target, period, startDate, endDate, title
+ * @param {Array} practiceItems 功课项目目录
+ * @param {string} today 今天的日期，作为周期的默认参考日期
+ * @returns {{ value: object, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateGoal(input, practiceItems, today) {
+  const errors = [];
+  const value = {};
+  
+  if (!input || typeof input !== 'object') {
+    return { value, errors: [{ field: 'body', error: '请求体必须是对象' }] };
+  }
+  
+  value.scope = input.scope || 'person';
+  if (!GOAL_SCOPES.includes(value.scope)) {
+    errors.push({ field: 'scope', error: `目标范围只能是 ${GOAL_SCOPES.join('/')}` });
+  }
+  
+  if (value.scope === 'person') {
+    const name = typeof input.name === 'string' ? cleanName(input.name) : '';
+    if (!name || name.length > 50) {
+      errors.push({ field: 'name', error: '个人目标必须填写姓名' });
+    } else {
+      value.name = name;
+    }
+  }
+  
+  const item = practiceItems.find(practiceItem => practiceItem.key === input.practiceKey);
+  if (!item) {
+    errors.push({ field: 'practiceKey', error: '请选择有效的功课项目' });
+  } else {
+    value.practiceKey = item.key;
+  }
+  
+  if (!Number.isInteger(input.target) || input.target < 1 || input.target > 100000000) {
+    errors.push({ field: 'target', error: '目标数量必须是正整数' });
+  } else {
+    value.target = input.target;
+  }
+  
+  value.period = input.period || 'month';
+  if (!GOAL_PERIODS.includes(value.period)) {
+    errors.push({ field: 'period', error: `周期只能是 ${GOAL_PERIODS.join('/')}` });
+  } else if (value.period === 'custom') {
+    if (!isValidDateString(input.startDate) || !isValidDateString(input.endDate)) {
+      errors.push({ field: 'startDate', error: '自定义周期必须填写开始和结束日期（YYYY-MM-DD）' });
+    } else if (input.startDate > input.endDate) {
+      errors.push({ field: 'endDate', error: '结束日期不能早于开始日期' });
+    } else {
+      value.startDate = input.startDate;
+      value.endDate = input.endDate;
+    }
+  } else {
+    const referenceDate = input.startDate || today;
+    if (!isValidDateString(referenceDate)) {
+      errors.push({ field: 'startDate', error: '日期格式应为 YYYY-MM-DD' });
+    } else {
+      Object.assign(value, periodRange(value.period, referenceDate));
+    }
+  }
+  
+  if (input.title !== undefined) {
+    if (typeof input.title !== 'string' || input.title.trim().length > 100) {
+      errors.push({ field: 'title', error: '标题不超过100个字符' });
+    } else {
+      value.title = input.title.trim();
+    }
+  }
+  if (!value.title && item && value.target) {
+    value.title = `${value.scope === 'all' ? '全体' : value.name || ''} ${item.name} ${value.target}${item.unit}`.trim();
+  }
+  
+  return { value, errors };
+}
+
+// 创建目标，个人目标关联参与者
+export async function createGoal(value, actor) {
+  const now = new Date();
+  const goal = { ...value, status: 'active', createdAt: now, updatedAt: now, createdBy: actor };
+  
+  if (value.scope === 'person') {
+    const participant = await resolveParticipant(value.name);
+    goal.participantId = participant._id;
+    goal.name = participant.name;
+  }
+  
+  await database.goals().insertOne(goal);
+  return goal;
+}
+
+// 目标对应的记录查询条件
+function goalRecordFilter(goal, participant) {
+  const filter = {
+    ...ACTIVE_RECORD_FILTER,
+    date: { $gte: goal.startDate, $lte: goal.endDate }
+  };
+  
+  if (goal.scope === 'person') {
+    const names = participant ? [participant.name, ...(participant.aliases || [])] : [goal.name];
+    filter.$or = [
+      { participantId: goal.participantId },
+      { participantId: { $exists: false }, name: { $in: names } }
+    ];
+  }
+  
+  return filter;
+}
+
+/**
+ * 计算目标进度
+ * @returns {{ current: number, target: number, percent: number, remaining: number, daysTotal: number, daysElapsed: number, daysLeft: number, expectedPercent: number, completed: boolean }}
+ */
+export async function computeGoalProgress(goal, today) {
+  const participant = goal.participantId
+    ? await database.participants().findOne({ _id: goal.participantId })
+    : null;
+  
+  const result = await database.homeworkRecords().aggregate([
+    { $match: goalRecordFilter(goal, participant) },
+    { $group: { _id: null, total: { $sum: { $ifNull: [`$${goal.practiceKey}`, 0] } } } }
+  ]).toArray();
+  
+  const current = result[0] ? result[0].total : 0;
+  const daysTotal = daysBetween(goal.startDate, goal.endDate) + 1;
+  const daysElapsed = Math.min(Math.max(daysBetween(goal.startDate, today) + 1, 0), daysTotal);
+  
+  return {
+    current,
+    target: goal.target,
+    percent: Math.round((current / goal.target) * 1000) / 10,
+    remaining: Math.max(goal.target - current, 0),
+    daysTotal,
+    daysElapsed,
+    daysLeft: daysTotal - daysElapsed,
+    // 按时间进度应完成的比例，用于判断是否落后
+    expectedPercent: Math.round((daysElapsed / daysTotal) * 1000) / 10,
+    completed: current >= goal.target
+  };
+}
+
+export function formatGoal(goal, progress, practiceItems) {
+  const item = practiceItems.find(practiceItem => practiceItem.key === goal.practiceKey);
+  return {
+    _id: goal._id.toString(),
+    title: goal.title,
+    scope: goal.scope,
+    name: goal.name || null,
+    participantId: goal.participantId ? goal.participantId.toString() : null,
+    practiceKey: goal.practiceKey,
+    practiceName: item ? item.name : goal.practiceKey,
+    unit: item ? item.unit : '',
+    target: goal.target,
+    period: goal.period,
+    startDate: goal.startDate,
+    endDate: goal.endDate,
+    status: goal.status,
+    createdAt: goal.createdAt,
+    closedAt: goal.closedAt || null,
+    progress
+  };
+}
+
+// 查询某人相关的目标条件：本人的个人目标和全体目标
+export async function goalsFilterForName(name) {
+  const participant = await findParticipantByName(name);
+  const personConditions = participant
+    ? [{ participantId: participant._id }]
+    : [{ name: cleanName(name) }];
+  return { $or: [{ scope: 'all' }, ...personConditions.map(condition => ({ scope: 'person', ...condition }))] };
+}
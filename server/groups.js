@@ -0,0 +1,204 @@
+import { ObjectId } from 'mongodb';
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { loadParticipantIndex, participantForRecord, cleanName } from './participants.js';
+
+// ================== 小组 ==================
+// groups 集合保存小组名称和说明，参与者的 groupId 指向所属小组（每人最多属于一个小组）
+
+export const GROUP_NAME_MAX_LENGTH = 50;
+export const GROUP_DESCRIPTION_MAX_LENGTH = 200;
+
+// 校验小组名称和说明，返回 { value, errors }
+export function validateGroupInput(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  
+  if (!body || typeof body !== 'object') {
+    return { value, errors: [{ field: 'body', error: '请求体必须是对象' }] };
+  }
+  
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? cleanName(body.name) : '';
+    if (!name || name.length > GROUP_NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', error: `小组名称为必填项，且不超过${GROUP_NAME_MAX_LENGTH}个字符` });
+    } else {
+      value.name = name;
+    }
+  }
+  
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.trim().length > GROUP_DESCRIPTION_MAX_LENGTH) {
+      errors.push({ field: 'description', error: `小组说明不超过${GROUP_DESCRIPTION_MAX_LENGTH}个字符` });
+    } else {
+      value.description = body.description.trim();
+    }
+  }
+  
+  return { value, errors };
+}
+
+export function formatGroup(doc, memberCount) {
+  const formatted = {
+    _id: doc._id.toString(),
+    name: doc.name,
+    description: doc.description || '',
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+  if (memberCount !== undefined) {
+    formatted.memberCount = memberCount;
+  }
+  return formatted;
+}
+
+export async function findGroupById(id) {
+  if (typeof id !== 'string' || !ObjectId.isValid(id)) {
+    return null;
+  }
+  return database.groups().findOne({ _id: new ObjectId(id) });
+}
+
+// 一组参与者的记录查询条件，旧记录没有 participantId 时按姓名和别名匹配
+export function membersRecordFilter(members) {
+  const names = members.flatMap(member => [member.name, ...(member.aliases || [])]);
+  return {
+    $or: [
+      { participantId: { $in: members.map(member => member._id) } },
+      { participantId: { $exists: false }, name: { $in: names } }
+    ]
+  };
+}
+
+/**
+ * 解析 group 查询参数
+ * @param {string|undefined} groupId 小组ID
+ * @returns {Promise<{ group: object|null, filter: object|null, errors: Array<{ field: string, error: string }> }>}
+ */
+export async function resolveGroupFilter(groupId) {
+  if (groupId === undefined || groupId === '') {
+    return { group: null, filter: null, errors: [] };
+  }
+  
+  const group = await findGroupById(groupId);
+  if (!group) {
+    return { group: null, filter: null, errors: [{ field: 'group', error: '找不到指定的小组' }] };
+  }
+  
+  const members = await database.participants().find({ groupId: group._id }).toArray();
+  return { group, filter: membersRecordFilter(members), errors: [] };
+}
+
+// 在已有查询条件上追加小组条件（用 $and 合并，避免覆盖已有的 $or）
+export function applyGroupFilter(filter, groupFilter) {
+  if (!groupFilter) {
+    return filter;
+  }
+  return { ...filter, $and: [...(filter.$and || []), groupFilter] };
+}
+
+// 删除小组，成员改为未分组，返回移出的成员数
+export async function deleteGroup(group) {
+  const result = await database.participants().updateMany(
+    { groupId: group._id },
+    { $unset: { groupId: '' }, $set: { updatedAt: new Date() } }
+  );
+  await database.groups().deleteOne({ _id: group._id });
+  console.log(`👥 [小组] 删除 ${group.name}，${result.modifiedCount} 位成员改为未分组`);
+  return result.modifiedCount;
+}
+
+// ================== 小组排行 ==================
+
+// 排行可用的指标：records（记录数）、activeDays（打卡天数）、totalClassics（经典总数）或功课项目键名
+export const GROUP_RANKING_BASE_METRICS = ['totalClassics', 'records', 'activeDays'];
+
+function emptyTotals(practiceItems) {
+  const totals = { records: 0, activeDays: 0, totalClassics: 0 };
+  practiceItems.forEach(item => {
+    totals[item.key] = 0;
+  });
+  return totals;
+}
+
+function addTotals(target, source, practiceItems) {
+  ['records', 'activeDays', 'totalClassics', ...practiceItems.map(item => item.key)].forEach(field => {
+    target[field] += source[field] || 0;
+  });
+}
+
+/**
+ * 统计各小组在日期范围内的功课合计并排名，每个小组附带成员排行
+ * @param {{ startDate: string, endDate: string, sortBy: string }} options 日期范围和排名指标
+ * @param {Array} practiceItems 功课项目目录
+ */
+export async function buildGroupRanking({ startDate, endDate, sortBy }, practiceItems) {
+  const group = {
+    _id: { participantId: '$participantId', name: '$name' },
+    records: { $sum: 1 },
+    dates: { $addToSet: '$date' }
+  };
+  practiceItems.forEach(item => {
+    group[item.key] = { $sum: { $ifNull: [`$${item.key}`, 0] } };
+  });
+  
+  const [groups, index, nameGroups] = await Promise.all([
+    database.groups().find({}).sort({ name: 1 }).toArray(),
+    loadParticipantIndex(),
+    database.homeworkRecords().aggregate([
+      { $match: { ...ACTIVE_RECORD_FILTER, date: { $gte: startDate, $lte: endDate } } },
+      { $group: group }
+    ]).toArray()
+  ]);
+  
+  // 按参与者合并（同一人可能有多个姓名写法）
+  const byParticipant = new Map();
+  nameGroups.forEach(nameGroup => {
+    const participant = participantForRecord(nameGroup._id, index);
+    if (!participant || !participant.groupId) {
+      return;
+    }
+    const key = participant._id.toString();
+    const current = byParticipant.get(key) || { totals: emptyTotals(practiceItems), dates: new Set() };
+    const totals = { records: nameGroup.records };
+    practiceItems.forEach(item => {
+      totals[item.key] = nameGroup[item.key];
+    });
+    totals.totalClassics = practiceItems
+      .filter(item => item.countsTowardClassics)
+      .reduce((sum, item) => sum + nameGroup[item.key], 0);
+    addTotals(current.totals, totals, practiceItems);
+    nameGroup.dates.forEach(date => current.dates.add(date));
+    byParticipant.set(key, current);
+  });
+  
+  const ranking = groups.map(groupDoc => {
+    const members = index.participants
+      .filter(participant => participant.groupId && participant.groupId.equals(groupDoc._id))
+      .map(participant => {
+        const stats = byParticipant.get(participant._id.toString());
+        const totals = stats ? { ...stats.totals, activeDays: stats.dates.size } : emptyTotals(practiceItems);
+        return { participantId: participant._id.toString(), name: participant.name, ...totals };
+      })
+      .sort((a, b) => b[sortBy] - a[sortBy] || a.name.localeCompare(b.name, 'zh-CN'));
+    
+    const totals = emptyTotals(practiceItems);
+    members.forEach(member => addTotals(totals, member, practiceItems));
+    
+    return {
+      ...formatGroup(groupDoc, members.length),
+      activeMembers: members.filter(member => member.records > 0).length,
+      ...totals,
+      // 人均值，便于比较人数不同的小组
+      average: members.length > 0 ? Math.round((totals[sortBy] / members.length) * 100) / 100 : 0,
+      members
+    };
+  });
+  
+  ranking.sort((a, b) => b[sortBy] - a[sortBy] || a.name.localeCompare(b.name, 'zh-CN'));
+  ranking.forEach((item, position) => {
+    item.rank = position + 1;
+  });
+  
+  return { startDate, endDate, sortBy, groups: ranking };
+}
@@ -0,0 +1,283 @@
+import { ObjectId } from 'mongodb';
+import database from './database.js';
+import { validateHomeworkRecord } from './validation.js';
+import { columnHeader } from './practiceItems.js';
+import { loadParticipantIndex, participantForRecord, normalizeName } from './participants.js';
+import { parseDateTimeInTimeZone } from './timezone.js';
+
+// ================== 数据导入 ==================
+// 支持 /api/export/csv、管理页面和提交页面导出的 CSV，以及管理页面的 JSON 备份
+// 先解析、校验并找出重复记录，预览确认后再写入
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// 单次导入的最大行数
+export const IMPORT_MAX_ROWS = 5000;
+
+// CSV 中不导入的列：计算字段和本地存储信息
+const IGNORED_CSV_COLUMNS = ['经典总数', '存储方式', '小组'];
+
+/**
+ * 解析 CSV 文本（RFC 4180：字段可用双引号包裹，引号内的 "" 表示一个双引号，可包含逗号和换行）
+ * @returns {string[][]} 各行的字段
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // 去掉空行
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// 日期统一为 YYYY-MM-DD，兼容表格软件改写后的 2024/1/1
+function normalizeDate(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!match) {
+    return text;
+  }
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+// 将 CSV 表头映射为记录字段
+function mapCsvColumns(headers, practiceItems) {
+  const fixed = { '日期': 'date', '姓名': 'name', '备注': 'remark', '提交时间': 'submittedAt', '设备ID': 'deviceId' };
+  const practiceByHeader = new Map();
+  practiceItems.forEach(item => {
+    [columnHeader(item), item.name, item.fullName, item.key].forEach(header => practiceByHeader.set(header, item.key));
+  });
+  
+  const warnings = [];
+  const columns = headers.map(rawHeader => {
+    const header = rawHeader.trim();
+    if (fixed[header]) {
+      return fixed[header];
+    }
+    if (practiceByHeader.has(header)) {
+      return practiceByHeader.get(header);
+    }
+    if (!IGNORED_CSV_COLUMNS.includes(header)) {
+      warnings.push(`忽略无法识别的列：${header}`);
+    }
+    return null;
+  });
+  
+  return { columns, warnings };
+}
+
+// 从 JSON 记录中取出可导入的字段
+function pickJsonFields(item, practiceItems) {
+  const fields = {};
+  ['date', 'name', 'remark', 'deviceId', 'localId'].forEach(field => {
+    if (item[field] !== undefined && item[field] !== null) {
+      fields[field] = item[field];
+    }
+  });
+  practiceItems.forEach(practiceItem => {
+    if (item[practiceItem.key] !== undefined) {
+      fields[practiceItem.key] = item[practiceItem.key];
+    }
+  });
+  fields.submittedAt = item.submittedAt || item.submitTime || null;
+  fields.sourceId = item._id || null;
+  return fields;
+}
+
+/**
+ * 将导入内容解析为待校验的行
+ * @param {string} format csv 或 json
+ * @param {string|Array|object} content 文件内容；JSON 可为记录数组，或包含 data/records 数组的对象
+ * @param {Array} practiceItems 功课项目目录
+ * @returns {{ rows: Array<{ row: number, fields: object }>, warnings: string[], error: string|null }}
+ */
+export function parseImportContent(format, content, practiceItems) {
+  if (format === 'csv') {
+    if (typeof content !== 'string') {
+      return { rows: [], warnings: [], error: 'CSV 内容必须是文本' };
+    }
+    const [headers, ...lines] = parseCsv(content);
+    if (!headers) {
+      return { rows: [], warnings: [], error: '文件为空' };
+    }
+    const { columns, warnings } = mapCsvColumns(headers, practiceItems);
+    if (!columns.includes('date') || !columns.includes('name')) {
+      return { rows: [], warnings, error: 'CSV 缺少「日期」或「姓名」列' };
+    }
+    const rows = lines.map((cells, index) => {
+      const fields = {};
+      columns.forEach((field, column) => {
+        if (field && cells[column] !== undefined && cells[column].trim() !== '') {
+          fields[field] = cells[column].trim();
+        }
+      });
+      // 行号从表头下一行开始计，与表格软件中看到的行号一致
+      return { row: index + 2, fields };
+    });
+    return { rows, warnings, error: null };
+  }
+  
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      return { rows: [], warnings: [], error: `JSON 格式错误：${error.message}` };
+    }
+  }
+  const items = Array.isArray(data) ? data : data && (data.data || data.records);
+  if (!Array.isArray(items)) {
+    return { rows: [], warnings: [], error: 'JSON 必须是记录数组，或包含 data/records 数组的对象' };
+  }
+  return {
+    rows: items.map((item, index) => ({
+      row: index + 1,
+      fields: item && typeof item === 'object' ? pickJsonFields(item, practiceItems) : null
+    })),
+    warnings: [],
+    error: null
+  };
+}
+
+// 重复判断依据：同一参与者、同一日期、功课数值和备注都相同
+function contentKey(record, personKey, practiceItems) {
+  return [
+    personKey,
+    record.date,
+    ...practiceItems.map(item => record[item.key] || 0),
+    (record.remark || '').trim()
+  ].join('|');
+}
+
+function personKeyFor(name, participantId, index) {
+  const participant = participantForRecord({ name, participantId }, index);
+  return participant ? participant._id.toString() : `name:${normalizeName(name)}`;
+}
+
+/**
+ * 校验各行并找出重复记录
+ * status: new（可导入）、invalid（校验失败）、duplicate（云端已有或文件内重复）
+ * @param {Array<{ row: number, fields: object }>} rows parseImportContent() 的结果
+ * @param {Array} practiceItems 功课项目目录（包括已停用的项目，导入历史数据时保留其数值）
+ * @param {string} timeZone 解析不带时区的提交时间时使用的时区
+ */
+export async function analyzeImportRows(rows, practiceItems, timeZone) {
+  // 历史数据中已停用的项目同样导入
+  const importItems = practiceItems.map(item => ({ ...item, enabled: true }));
+  
+  const analyzed = rows.map(({ row, fields }) => {
+    if (!fields) {
+      return { row, status: 'invalid', errors: [{ field: 'row', error: '记录必须是对象' }], warnings: [] };
+    }
+    
+    const { submittedAt, sourceId, localId, ...input } = fields;
+    if (input.date !== undefined) {
+      input.date = normalizeDate(input.date);
+    }
+    const { value, errors } = validateHomeworkRecord(input, importItems);
+    const warnings = [];
+    
+    let submittedDate = null;
+    if (submittedAt) {
+      submittedDate = submittedAt instanceof Date ? submittedAt : parseDateTimeInTimeZone(submittedAt, timeZone);
+      if (!submittedDate) {
+        warnings.push(`无法识别提交时间「${submittedAt}」，将使用导入时间`);
+      }
+    }
+    
+    return {
+      row,
+      status: errors.length > 0 ? 'invalid' : 'new',
+      data: value,
+      submittedAt: submittedDate,
+      localId: typeof localId === 'string' && localId.trim() ? localId.trim() : null,
+      sourceId: typeof sourceId === 'string' && ObjectId.isValid(sourceId) ? sourceId : null,
+      errors,
+      warnings
+    };
+  });
+  
+  const candidates = analyzed.filter(item => item.status === 'new');
+  if (candidates.length === 0) {
+    return analyzed;
+  }
+  
+  const collection = database.homeworkRecords();
+  const dates = [...new Set(candidates.map(item => item.data.date))];
+  const localIds = candidates.map(item => item.localId).filter(Boolean);
+  const sourceIds = candidates.map(item => item.sourceId).filter(Boolean).map(id => new ObjectId(id));
+  
+  const [index, sameDateRecords, existingIds] = await Promise.all([
+    loadParticipantIndex(),
+    collection.find({ deletedAt: null, date: { $in: dates } }).toArray(),
+    collection
+      .find({ $or: [{ _id: { $in: sourceIds } }, { localId: { $in: localIds } }] }, { projection: { _id: 1, localId: 1 } })
+      .toArray()
+  ]);
+  
+  const existingById = new Set(existingIds.map(doc => doc._id.toString()));
+  const existingByLocalId = new Map(existingIds.filter(doc => doc.localId).map(doc => [doc.localId, doc._id.toString()]));
+  const existingByContent = new Map();
+  sameDateRecords.forEach(record => {
+    existingByContent.set(contentKey(record, personKeyFor(record.name, record.participantId, index), practiceItems), record._id.toString());
+  });
+  
+  const seenInFile = new Map();
+  candidates.forEach(item => {
+    const key = contentKey(item.data, personKeyFor(item.data.name, null, index), practiceItems);
+    
+    if (item.sourceId && existingById.has(item.sourceId)) {
+      item.status = 'duplicate';
+      item.duplicateOf = { recordId: item.sourceId, reason: '记录ID已存在' };
+    } else if (item.localId && existingByLocalId.has(item.localId)) {
+      item.status = 'duplicate';
+      item.duplicateOf = { recordId: existingByLocalId.get(item.localId), reason: '客户端记录ID已存在' };
+    } else if (existingByContent.has(key)) {
+      item.status = 'duplicate';
+      item.duplicateOf = { recordId: existingByContent.get(key), reason: '云端已有相同的记录' };
+    } else if (seenInFile.has(key)) {
+      item.status = 'duplicate';
+      item.duplicateOf = { row: seenInFile.get(key), reason: '与文件中前面的行相同' };
+    } else {
+      seenInFile.set(key, item.row);
+    }
+  });
+  
+  return analyzed;
+}
@@ -0,0 +1,49 @@
+import { createApp } from './app.js';
+import database from './database.js';
+import { authConfigError } from './auth.js';
+import { reportFontError } from './monthlyReportPdf.js';
+
+// ================== 本地服务入口 ==================
+// npm start：监听端口并立即连接数据库；Vercel 部署使用 server.js
+
+// 存储或认证配置有误（如未设置 MONGODB_URI、ADMIN_PASSWORD）时直接退出，避免启动后每个请求都失败
+const configErrors = [database.configError(), authConfigError()].filter(Boolean);
+if (configErrors.length > 0) {
+  configErrors.forEach(message => console.error(`❌ [启动] ${message}`));
+  process.exit(1);
+}
+
+// 缺少中文字体只影响 PDF 月报，提示后继续启动
+const fontError = reportFontError();
+if (fontError) {
+  console.warn(`⚠️ [启动] ${fontError}`);
+}
+
+const app = createApp();
+const PORT = process.env.PORT || 3000;
+
+const server = app.listen(PORT, async () => {
+  console.log(`🚀 服务器正在端口 ${PORT} 上运行`);
+  console.log(`📡 访问地址: http://localhost:${PORT}`);
+  console.log(`🔧 环境: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`📊 管理页面: http://localhost:${PORT}/manage`);
+  console.log(`🧪 测试页面: http://localhost:${PORT}/test-page`);
+  
+  try {
+    await database.connect();
+    console.log('✅ 数据库连接成功');
+  } catch (error) {
+    console.error('⚠️ 数据库连接失败，但服务器继续运行:', error.message);
+  }
+});
+
+// 退出前关闭连接，本地文件存储会等待未完成的写入
+async function shutdown(signal) {
+  console.log(`👋 收到 ${signal}，正在关闭服务器...`);
+  server.close();
+  await database.disconnect();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
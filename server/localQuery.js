@@ -0,0 +1,899 @@
+import { ObjectId } from 'mongodb';
+
+// ================== 本地查询引擎 ==================
+// 本地存储使用的 MongoDB 语法子集：查询条件、更新操作符、聚合管道和表达式
+// 只实现本项目用到的操作符（以及少量同类操作符），遇到不支持的操作符直接抛出错误，避免静默返回错误的结果
+
+function unsupported(kind, operator) {
+  return new Error(`本地存储不支持${kind} ${operator}`);
+}
+
+// 与驱动抛出的 MongoServerError 结构一致（message、code、codeName），业务代码按 code 判断时本地与 MongoDB 行为相同
+export function serverError(message, code, codeName) {
+  const error = new Error(message);
+  error.name = 'MongoServerError';
+  error.code = code;
+  error.codeName = codeName;
+  return error;
+}
+
+export function isObjectId(value) {
+  return value instanceof ObjectId || (!!value && value._bsontype === 'ObjectId');
+}
+
+// ObjectId、Binary 等 BSON 值和 Buffer 作为整体保存和比较，不按普通对象逐字段复制
+export function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype && !ArrayBuffer.isView(value);
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+// 深拷贝文档，保留 Date 和 ObjectId 类型
+export function cloneDocument(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneDocument);
+  }
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = cloneDocument(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// ================== 比较 ==================
+
+// 与 MongoDB 相同的跨类型排序：null < 数字 < 字符串 < 对象 < 数组 < ObjectId < 布尔 < 日期 < 正则
+function typeRank(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (isObjectId(value)) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+export function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 3:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    }
+    case 7:
+      return compareValues(a.toHexString(), b.toHexString());
+    case 8:
+      return Number(a) - Number(b);
+    case 9:
+      return a.getTime() - b.getTime();
+    case 11:
+      return compareValues(a.toString(), b.toString());
+    default: {
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const result = compareValues(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+}
+
+export function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+// 值的唯一字符串表示，用于分组、去重和唯一索引
+export function valueKey(value) {
+  if (value === undefined || value === null) return 'null';
+  if (isObjectId(value)) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (value instanceof RegExp) return `re:${value.toString()}`;
+  if (Array.isArray(value)) return `[${value.map(valueKey).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).map(key => `${JSON.stringify(key)}:${valueKey(value[key])}`).join(',')}}`;
+  }
+  return `${typeof value}:${JSON.stringify(value)}`;
+}
+
+// ================== 字段路径 ==================
+
+// 按点号路径取值，路径经过数组时取各元素的值（与 MongoDB 相同）
+export function getValue(doc, path) {
+  let current = doc;
+  for (const part of path.split('.')) {
+    if (Array.isArray(current) && !/^\d+$/.test(part)) {
+      current = current.map(item => (isPlainObject(item) ? item[part] : undefined)).filter(item => item !== undefined);
+    } else if (current !== null && typeof current === 'object' && !(current instanceof Date) && !isObjectId(current)) {
+      current = current[part];
+    } else {
+      return undefined;
+    }
+  }
+  return current;
+}
+
+function setValue(doc, path, value) {
+  const parts = path.split('.');
+  let current = doc;
+  parts.slice(0, -1).forEach(part => {
+    if (current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+}
+
+function unsetValue(doc, path) {
+  const parts = path.split('.');
+  const parent = parts.length > 1 ? getValue(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+// ================== 查询条件 ==================
+
+// 字段的候选值：数组字段既匹配整个数组，也匹配其中任一元素
+function candidates(value) {
+  return Array.isArray(value) ? [value, ...value] : [value];
+}
+
+function matchesEquality(value, expected) {
+  if (expected instanceof RegExp) {
+    return candidates(value).some(item => typeof item === 'string' && expected.test(item));
+  }
+  return candidates(value).some(item => valuesEqual(item, expected));
+}
+
+const TYPE_ALIASES = {
+  double: value => typeof value === 'number',
+  int: value => Number.isInteger(value),
+  long: value => Number.isInteger(value),
+  number: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  object: value => isPlainObject(value),
+  array: value => Array.isArray(value),
+  objectId: value => isObjectId(value),
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  null: value => value === null,
+  regex: value => value instanceof RegExp
+};
+
+function compareOperator(value, operand, test) {
+  // 只比较同类型的值，例如日期条件不会匹配字符串
+  return candidates(value).some(item => typeRank(item) === typeRank(operand) && test(compareValues(item, operand)));
+}
+
+function matchesOperator(value, operator, operand, condition) {
+  switch (operator) {
+    case '$eq':
+      return matchesEquality(value, operand);
+    case '$ne':
+      return !matchesEquality(value, operand);
+    case '$gt':
+      return compareOperator(value, operand, result => result > 0);
+    case '$gte':
+      return compareOperator(value, operand, result => result >= 0);
+    case '$lt':
+      return compareOperator(value, operand, result => result < 0);
+    case '$lte':
+      return compareOperator(value, operand, result => result <= 0);
+    case '$in':
+      return operand.some(expected => matchesEquality(value, expected));
+    case '$nin':
+      return !operand.some(expected => matchesEquality(value, expected));
+    case '$exists':
+      return operand ? value !== undefined : value === undefined;
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return candidates(value).some(item => typeof item === 'string' && regex.test(item));
+    }
+    case '$options':
+      return true;
+    case '$type': {
+      const types = [].concat(operand);
+      return types.some(type => {
+        const test = TYPE_ALIASES[type];
+        if (!test) {
+          throw unsupported('类型', type);
+        }
+        return type === 'array' ? test(value) : candidates(value).some(test);
+      });
+    }
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$all':
+      return Array.isArray(value) && operand.every(expected => matchesEquality(value, expected));
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(item => (isOperatorObject(operand)
+        ? matchesCondition(item, operand)
+        : isPlainObject(item) && matchesFilter(item, operand)));
+    case '$not':
+      return !matchesCondition(value, operand);
+    default:
+      throw unsupported('查询操作符', operator);
+  }
+}
+
+function matchesCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    return matchesEquality(value, condition);
+  }
+  if (isOperatorObject(condition)) {
+    return Object.keys(condition).every(operator => matchesOperator(value, operator, condition[operator], condition));
+  }
+  return matchesEquality(value, condition);
+}
+
+/**
+ * 判断文档是否符合查询条件
+ * @param {object} doc 文档
+ * @param {object} filter MongoDB 查询条件
+ */
+// ================== $jsonSchema ==================
+// 集合校验规则和查询使用的 $jsonSchema 子集；各关键字与 MongoDB 一样只约束对应类型的值，例如 pattern 不影响数字
+
+const SCHEMA_ANNOTATIONS = ['title', 'description'];
+
+function matchesSchema(value, schema) {
+  return Object.keys(schema).every(keyword => {
+    const operand = schema[keyword];
+    switch (keyword) {
+      case 'bsonType':
+        return [].concat(operand).some(type => {
+          const test = TYPE_ALIASES[type];
+          if (!test) {
+            throw unsupported('类型', type);
+          }
+          return test(value);
+        });
+      case 'enum':
+        return operand.some(expected => valuesEqual(value, expected));
+      case 'required':
+        return !isPlainObject(value) || operand.every(field => value[field] !== undefined);
+      case 'properties':
+        return !isPlainObject(value) || Object.keys(operand)
+          .every(field => value[field] === undefined || matchesSchema(value[field], operand[field]));
+      case 'additionalProperties':
+        return !isPlainObject(value) || operand !== false ||
+          Object.keys(value).every(field => Object.prototype.hasOwnProperty.call(schema.properties || {}, field));
+      case 'pattern':
+        return typeof value !== 'string' || new RegExp(operand, 'u').test(value);
+      case 'minLength':
+        return typeof value !== 'string' || [...value].length >= operand;
+      case 'maxLength':
+        return typeof value !== 'string' || [...value].length <= operand;
+      case 'minimum':
+        return typeof value !== 'number' || value >= operand;
+      case 'maximum':
+        return typeof value !== 'number' || value <= operand;
+      case 'items':
+        return !Array.isArray(value) || value.every(item => matchesSchema(item, operand));
+      default:
+        if (SCHEMA_ANNOTATIONS.includes(keyword)) {
+          return true;
+        }
+        throw unsupported('$jsonSchema 关键字', keyword);
+    }
+  });
+}
+
+export function matchesFilter(doc, filter = {}) {
+  return Object.keys(filter || {}).every(key => {
+    const condition = filter[key];
+    if (key === '$and') {
+      return condition.every(sub => matchesFilter(doc, sub));
+    }
+    if (key === '$or') {
+      return condition.some(sub => matchesFilter(doc, sub));
+    }
+    if (key === '$nor') {
+      return !condition.some(sub => matchesFilter(doc, sub));
+    }
+    if (key === '$jsonSchema') {
+      return matchesSchema(doc, condition);
+    }
+    if (key.startsWith('$')) {
+      throw unsupported('查询操作符', key);
+    }
+    return matchesCondition(getValue(doc, key), condition);
+  });
+}
+
+// upsert 时由查询条件中的等值字段生成新文档
+export function upsertSeed(filter = {}) {
+  const seed = {};
+  Object.keys(filter).forEach(key => {
+    const condition = filter[key];
+    if (key === '$and') {
+      condition.forEach(sub => Object.assign(seed, upsertSeed(sub)));
+    } else if (!key.startsWith('$')) {
+      if (isOperatorObject(condition)) {
+        if (condition.$eq !== undefined) {
+          setValue(seed, key, cloneDocument(condition.$eq));
+        }
+      } else if (!(condition instanceof RegExp)) {
+        setValue(seed, key, cloneDocument(condition));
+      }
+    }
+  });
+  return seed;
+}
+
+// ================== 排序和投影 ==================
+
+export function sortDocuments(docs, sort) {
+  const fields = Object.entries(sort || {});
+  if (fields.length === 0) {
+    return docs;
+  }
+  // Array.prototype.sort 是稳定排序，排序键相同的文档保持原有顺序
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compareValues(getValue(a, field), getValue(b, field));
+      if (result !== 0) {
+        return direction < 0 ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * 应用投影：包含式（{ a: 1 }）或排除式（{ a: 0 }），_id 默认包含
+ * 聚合中的 $project 可使用表达式计算新字段
+ */
+export function projectDocument(doc, projection) {
+  const fields = Object.keys(projection || {});
+  if (fields.length === 0) {
+    return doc;
+  }
+  
+  const isExclusion = fields.every(field => projection[field] === 0 || projection[field] === false);
+  if (isExclusion) {
+    const result = cloneDocument(doc);
+    fields.forEach(field => unsetValue(result, field));
+    return result;
+  }
+  
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) {
+    result._id = doc._id;
+  }
+  fields.forEach(field => {
+    const spec = projection[field];
+    if (field === '_id' && (spec === 0 || spec === false || spec === 1 || spec === true)) {
+      return;
+    }
+    const value = spec === 1 || spec === true ? getValue(doc, field) : evaluateExpression(spec, doc);
+    if (value !== undefined) {
+      setValue(result, field, value);
+    }
+  });
+  return result;
+}
+
+// ================== 更新操作符 ==================
+
+function eachValues(operand) {
+  return isPlainObject(operand) && operand.$each !== undefined ? operand.$each : [operand];
+}
+
+/**
+ * 对文档应用更新（就地修改）
+ * @param {object} doc 文档
+ * @param {object} update 更新操作符对象，或不含操作符的替换文档
+ * @param {{ isInsert?: boolean }} options upsert 新建文档时为 true，此时才应用 $setOnInsert
+ */
+export function applyUpdate(doc, update, { isInsert = false } = {}) {
+  const operators = Object.keys(update);
+  
+  if (!operators.some(key => key.startsWith('$'))) {
+    const id = doc._id;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, cloneDocument(update));
+    if (id !== undefined) {
+      doc._id = id;
+    }
+    return doc;
+  }
+  
+  operators.forEach(operator => {
+    const fields = update[operator];
+    Object.keys(fields).forEach(field => {
+      const operand = fields[field];
+      const current = getValue(doc, field);
+      
+      switch (operator) {
+        case '$set':
+          setValue(doc, field, cloneDocument(operand));
+          break;
+        case '$setOnInsert':
+          if (isInsert) {
+            setValue(doc, field, cloneDocument(operand));
+          }
+          break;
+        case '$unset':
+          unsetValue(doc, field);
+          break;
+        case '$inc':
+          setValue(doc, field, (current || 0) + operand);
+          break;
+        case '$mul':
+          setValue(doc, field, (current || 0) * operand);
+          break;
+        case '$min':
+          if (current === undefined || compareValues(operand, current) < 0) {
+            setValue(doc, field, cloneDocument(operand));
+          }
+          break;
+        case '$max':
+          if (current === undefined || compareValues(operand, current) > 0) {
+            setValue(doc, field, cloneDocument(operand));
+          }
+          break;
+        case '$currentDate':
+          setValue(doc, field, new Date());
+          break;
+        case '$push': {
+          let list = Array.isArray(current) ? [...current] : [];
+          list.push(...eachValues(operand).map(cloneDocument));
+          if (isPlainObject(operand) && operand.$slice !== undefined) {
+            list = operand.$slice < 0 ? list.slice(operand.$slice) : list.slice(0, operand.$slice);
+          }
+          setValue(doc, field, list);
+          break;
+        }
+        case '$addToSet': {
+          const list = Array.isArray(current) ? [...current] : [];
+          eachValues(operand).forEach(value => {
+            if (!list.some(item => valuesEqual(item, value))) {
+              list.push(cloneDocument(value));
+            }
+          });
+          setValue(doc, field, list);
+          break;
+        }
+        case '$pull':
+          if (Array.isArray(current)) {
+            setValue(doc, field, current.filter(item => !(isOperatorObject(operand)
+              ? matchesCondition(item, operand)
+              : isPlainObject(operand) ? isPlainObject(item) && matchesFilter(item, operand) : valuesEqual(item, operand))));
+          }
+          break;
+        case '$pullAll':
+          if (Array.isArray(current)) {
+            setValue(doc, field, current.filter(item => !operand.some(value => valuesEqual(item, value))));
+          }
+          break;
+        default:
+          throw unsupported('更新操作符', operator);
+      }
+    });
+  });
+  
+  return doc;
+}
+
+// ================== 表达式 ==================
+
+function isTruthy(value) {
+  return !(value === undefined || value === null || value === false || value === 0);
+}
+
+function toNumber(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+// 日期表达式只支持 UTC（本项目的日期字段是 YYYY-MM-DD 字符串，按 UTC 解析）
+function assertUtc(timezone) {
+  if (timezone !== undefined && !['UTC', 'GMT', 'Z', '+00:00'].includes(timezone)) {
+    throw unsupported('时区', timezone);
+  }
+}
+
+const DATE_FORMAT_PARTS = {
+  '%Y': date => String(date.getUTCFullYear()).padStart(4, '0'),
+  '%m': date => String(date.getUTCMonth() + 1).padStart(2, '0'),
+  '%d': date => String(date.getUTCDate()).padStart(2, '0'),
+  '%H': date => String(date.getUTCHours()).padStart(2, '0'),
+  '%M': date => String(date.getUTCMinutes()).padStart(2, '0'),
+  '%S': date => String(date.getUTCSeconds()).padStart(2, '0'),
+  '%L': date => String(date.getUTCMilliseconds()).padStart(3, '0'),
+  '%%': () => '%'
+};
+
+function formatDate(date, format) {
+  return format.replace(/%[YmdHMSL%]/g, part => DATE_FORMAT_PARTS[part](date));
+}
+
+function parseDate(dateString, format) {
+  if (format === undefined) {
+    const time = Date.parse(dateString);
+    return isNaN(time) ? null : new Date(time);
+  }
+  if (format !== '%Y-%m-%d') {
+    throw unsupported('日期格式', format);
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString);
+  if (!match) {
+    return null;
+  }
+  // 与 MongoDB 一致，2024-02-30 之类不存在的日期视为解析失败
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+function evaluateOperator(operator, operand, doc) {
+  const args = () => [].concat(operand).map(arg => evaluateExpression(arg, doc));
+  
+  switch (operator) {
+    case '$literal':
+      return operand;
+    case '$ifNull': {
+      const values = args();
+      const found = values.slice(0, -1).find(value => value !== undefined && value !== null);
+      return found !== undefined ? found : values[values.length - 1];
+    }
+    case '$add': {
+      const values = args();
+      if (values.some(value => value === undefined || value === null)) {
+        return null;
+      }
+      const sum = values.reduce((total, value) => total + toNumber(value), 0);
+      return values.some(value => value instanceof Date) ? new Date(sum) : sum;
+    }
+    case '$subtract': {
+      const [a, b] = args();
+      if (a === undefined || a === null || b === undefined || b === null) {
+        return null;
+      }
+      if (a instanceof Date && !(b instanceof Date)) {
+        return new Date(a.getTime() - b);
+      }
+      return toNumber(a) - toNumber(b);
+    }
+    case '$multiply': {
+      const values = args();
+      return values.some(value => value === undefined || value === null) ? null : values.reduce((total, value) => total * value, 1);
+    }
+    case '$divide': {
+      const [a, b] = args();
+      return a === undefined || a === null || b === undefined || b === null ? null : a / b;
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+      return isTruthy(evaluateExpression(condition, doc)) ? evaluateExpression(then, doc) : evaluateExpression(otherwise, doc);
+    }
+    case '$eq':
+    case '$ne':
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      const [a, b] = args();
+      const result = compareValues(a, b);
+      return {
+        $eq: result === 0,
+        $ne: result !== 0,
+        $gt: result > 0,
+        $gte: result >= 0,
+        $lt: result < 0,
+        $lte: result <= 0
+      }[operator];
+    }
+    case '$and':
+      return args().every(isTruthy);
+    case '$or':
+      return args().some(isTruthy);
+    case '$not':
+      return !isTruthy(args()[0]);
+    case '$in': {
+      const [value, list] = args();
+      return Array.isArray(list) && list.some(item => valuesEqual(item, value));
+    }
+    case '$size': {
+      const [value] = args();
+      if (!Array.isArray(value)) {
+        throw new Error('$size 的参数必须是数组');
+      }
+      return value.length;
+    }
+    case '$concat': {
+      const values = args();
+      return values.some(value => value === undefined || value === null) ? null : values.join('');
+    }
+    case '$substrCP': {
+      const [value, start, length] = args();
+      return Array.from(value === undefined || value === null ? '' : String(value)).slice(start, start + length).join('');
+    }
+    case '$toString': {
+      const [value] = args();
+      if (value === undefined || value === null) return null;
+      if (value instanceof Date) return value.toISOString();
+      return isObjectId(value) ? value.toHexString() : String(value);
+    }
+    case '$trim': {
+      const value = evaluateExpression(operand.input, doc);
+      if (value === undefined || value === null) return null;
+      if (operand.chars !== undefined) {
+        throw unsupported('$trim 参数', 'chars');
+      }
+      if (typeof value !== 'string') {
+        throw serverError(`$trim requires its input to be a string, got ${typeof value}`, 50699, 'Location50699');
+      }
+      return value.trim();
+    }
+    case '$floor': {
+      const [value] = args();
+      if (value === undefined || value === null) return null;
+      if (typeof value !== 'number') {
+        throw serverError(`$floor only supports numeric types, not ${typeof value}`, 28765, 'Location28765');
+      }
+      return Math.floor(value);
+    }
+    case '$isNumber':
+      return typeof args()[0] === 'number';
+    case '$type': {
+      // 与 MongoDB 一致：字段不存在时返回 'missing'
+      const [value] = args();
+      if (value === undefined) return 'missing';
+      if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+      return Object.keys(TYPE_ALIASES).find(type => !['int', 'long', 'number', 'double'].includes(type) && TYPE_ALIASES[type](value)) || 'object';
+    }
+    case '$dateFromString': {
+      // 与 MongoDB 一致：空值返回 onNull，无法解析时返回 onError，未提供 onError 时整个聚合报错
+      assertUtc(operand.timezone);
+      const dateString = evaluateExpression(operand.dateString, doc);
+      if (dateString === undefined || dateString === null) {
+        return operand.onNull === undefined ? null : evaluateExpression(operand.onNull, doc);
+      }
+      const date = typeof dateString === 'string' ? parseDate(dateString, operand.format) : null;
+      if (date) {
+        return date;
+      }
+      if (operand.onError !== undefined) {
+        return evaluateExpression(operand.onError, doc);
+      }
+      throw serverError(
+        typeof dateString === 'string'
+          ? `Error parsing date string '${dateString}'`
+          : `$dateFromString requires that 'dateString' be a string, found: ${typeof dateString}`,
+        241,
+        'ConversionFailure'
+      );
+    }
+    case '$dateToString': {
+      assertUtc(operand.timezone);
+      const date = evaluateExpression(operand.date, doc);
+      return date instanceof Date ? formatDate(date, operand.format || '%Y-%m-%dT%H:%M:%S.%LZ') : null;
+    }
+    case '$isoDayOfWeek':
+    case '$year':
+    case '$month':
+    case '$dayOfMonth': {
+      const date = evaluateExpression(isPlainObject(operand) && operand.date !== undefined ? operand.date : operand, doc);
+      if (!(date instanceof Date)) {
+        return null;
+      }
+      return {
+        $isoDayOfWeek: ((date.getUTCDay() + 6) % 7) + 1,
+        $year: date.getUTCFullYear(),
+        $month: date.getUTCMonth() + 1,
+        $dayOfMonth: date.getUTCDate()
+      }[operator];
+    }
+    default:
+      throw unsupported('表达式操作符', operator);
+  }
+}
+
+/**
+ * 计算聚合表达式：'$field' 取字段值，{ $op: ... } 为操作符，普通对象和数组逐项计算
+ */
+export function evaluateExpression(expression, doc) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    if (expression === '$$ROOT' || expression === '$$CURRENT') {
+      return doc;
+    }
+    if (expression === '$$NOW') {
+      return new Date();
+    }
+    return getValue(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluateExpression(item, doc));
+  }
+  if (isOperatorObject(expression)) {
+    const [operator] = Object.keys(expression);
+    return evaluateOperator(operator, expression[operator], doc);
+  }
+  if (isPlainObject(expression)) {
+    const result = {};
+    Object.keys(expression).forEach(key => {
+      const value = evaluateExpression(expression[key], doc);
+      // 与 MongoDB 一致，值不存在的字段不输出
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    });
+    return result;
+  }
+  return expression;
+}
+
+// ================== 聚合管道 ==================
+
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    add: (total, value) => (typeof value === 'number' ? total + value : total)
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    add: (state, value) => (typeof value === 'number' ? { total: state.total + value, count: state.count + 1 } : state),
+    result: state => (state.count > 0 ? state.total / state.count : null)
+  },
+  $min: {
+    init: () => undefined,
+    add: (min, value) => (value === undefined || value === null || (min !== undefined && compareValues(value, min) >= 0) ? min : value),
+    result: min => (min === undefined ? null : min)
+  },
+  $max: {
+    init: () => undefined,
+    add: (max, value) => (value === undefined || value === null || (max !== undefined && compareValues(value, max) <= 0) ? max : value),
+    result: max => (max === undefined ? null : max)
+  },
+  $first: {
+    init: () => ({ set: false, value: null }),
+    add: (state, value) => (state.set ? state : { set: true, value: value === undefined ? null : value }),
+    result: state => state.value
+  },
+  $last: {
+    init: () => null,
+    add: (last, value) => (value === undefined ? null : value)
+  },
+  $push: {
+    init: () => [],
+    add: (list, value) => (value === undefined ? list : [...list, value])
+  },
+  $addToSet: {
+    init: () => ({ list: [], keys: new Set() }),
+    add: (state, value) => {
+      const key = valueKey(value);
+      if (value !== undefined && !state.keys.has(key)) {
+        state.keys.add(key);
+        state.list.push(value);
+      }
+      return state;
+    },
+    result: state => state.list
+  }
+};
+
+function groupDocuments(docs, spec) {
+  const fields = Object.keys(spec).filter(field => field !== '_id');
+  const accumulators = fields.map(field => {
+    const [operator] = Object.keys(spec[field]);
+    const accumulator = ACCUMULATORS[operator];
+    if (!accumulator) {
+      throw unsupported('聚合累加器', operator);
+    }
+    return { field, accumulator, expression: spec[field][operator] };
+  });
+  
+  const groups = new Map();
+  docs.forEach(doc => {
+    const id = evaluateExpression(spec._id, doc);
+    const key = valueKey(id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: id === undefined ? null : id, states: accumulators.map(({ accumulator }) => accumulator.init()) });
+    }
+    const group = groups.get(key);
+    accumulators.forEach(({ accumulator, expression }, index) => {
+      group.states[index] = accumulator.add(group.states[index], evaluateExpression(expression, doc));
+    });
+  });
+  
+  return [...groups.values()].map(group => {
+    const result = { _id: group._id };
+    accumulators.forEach(({ field, accumulator }, index) => {
+      result[field] = accumulator.result ? accumulator.result(group.states[index]) : group.states[index];
+    });
+    return result;
+  });
+}
+
+function unwindDocuments(docs, spec) {
+  const options = typeof spec === 'string' ? { path: spec } : spec;
+  const field = options.path.slice(1);
+  return docs.flatMap(doc => {
+    const value = getValue(doc, field);
+    if (!Array.isArray(value) || value.length === 0) {
+      return options.preserveNullAndEmptyArrays || (value !== undefined && value !== null && !Array.isArray(value)) ? [doc] : [];
+    }
+    return value.map(item => {
+      const copy = cloneDocument(doc);
+      setValue(copy, field, item);
+      return copy;
+    });
+  });
+}
+
+/**
+ * 执行聚合管道，返回结果文档（不修改输入文档）
+ * 支持 $match、$group、$sort、$skip、$limit、$addFields/$set、$project、$unwind、$count
+ */
+export function runPipeline(docs, pipeline) {
+  const result = pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+    switch (name) {
+      case '$match':
+        return current.filter(doc => matchesFilter(doc, spec));
+      case '$group':
+        return groupDocuments(current, spec);
+      case '$sort':
+        return sortDocuments(current, spec);
+      case '$skip':
+        return current.slice(spec);
+      case '$limit':
+        return current.slice(0, spec);
+      case '$addFields':
+      case '$set':
+        return current.map(doc => {
+          const copy = cloneDocument(doc);
+          Object.keys(spec).forEach(field => {
+            setValue(copy, field, evaluateExpression(spec[field], doc));
+          });
+          return copy;
+        });
+      case '$project':
+        return current.map(doc => projectDocument(doc, spec));
+      case '$unwind':
+        return unwindDocuments(current, spec);
+      case '$count':
+        return current.length > 0 ? [{ [spec]: current.length }] : [];
+      default:
+        throw unsupported('聚合阶段', name);
+    }
+  }, docs);
+  return result.map(cloneDocument);
+}
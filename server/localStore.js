@@ -0,0 +1,653 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BSON, ObjectId } from 'mongodb';
+import {
+  cloneDocument,
+  matchesFilter,
+  applyUpdate,
+  upsertSeed,
+  sortDocuments,
+  projectDocument,
+  runPipeline,
+  getValue,
+  valueKey,
+  valuesEqual,
+  serverError
+} from './localQuery.js';
+
+// ================== 本地存储 ==================
+// 不使用 MongoDB 时的存储实现：memory 只保存在进程内存中，file 将每个集合保存为数据目录下的 EJSON 文件
+// 提供与 MongoDB 驱动相同的调用方式（增删改查、聚合、唯一索引和 TTL 索引），业务代码不区分存储方式
+// 适合单实例的本地开发、演示和离线使用；多实例部署（如 Vercel）各实例的数据互不可见，应使用 MongoDB
+//
+// 与 MongoDB 一致的行为（test/localStore.test.js、test/localQuery.test.js 覆盖）：
+// - 集合校验规则（$jsonSchema 子集）按 validationLevel/validationAction 执行，失败时抛出 code 121
+// - 唯一索引冲突抛出 code 11000，批量写入失败抛出结构相同的 MongoBulkWriteError
+// - $dateFromString 解析失败时报错（code 241），提供 onError/onNull 时返回对应的值
+// 已知差异：
+// - 只支持 localQuery.js 中列出的操作符和聚合阶段，其余直接报错而不是静默忽略
+// - 日期表达式只支持 UTC；比较字符串按码点，不支持排序规则（collation）
+// - 没有事务和多文档原子性；file 模式每次写入重写整个集合文件，只适合小数据量
+// - 校验规则、索引定义不写入数据文件，由每次连接时的 initHomeworkCollections 重新创建
+
+// TTL 索引的清理间隔
+const TTL_CHECK_INTERVAL_MS = 60 * 1000;
+
+function duplicateKeyError(collectionName, index, doc) {
+  const keyValue = Object.fromEntries(Object.keys(index.key).map(field => [field, getValue(doc, field) ?? null]));
+  const error = serverError(
+    `E11000 duplicate key error collection: ${collectionName} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`,
+    11000,
+    'DuplicateKey'
+  );
+  error.keyValue = keyValue;
+  return error;
+}
+
+// 与驱动的 MongoBulkWriteError 结构一致：code、writeErrors[{ index, code, errmsg }]、result
+function bulkWriteError(writeErrors, result) {
+  const error = new Error(writeErrors[0].errmsg);
+  error.name = 'MongoBulkWriteError';
+  error.code = writeErrors[0].code;
+  error.writeErrors = writeErrors;
+  error.result = result;
+  return error;
+}
+
+// 设置集合的校验规则（createCollection 和 collMod 的 validator、validationLevel、validationAction）
+function setValidation(state, options) {
+  if (options.validator !== undefined) {
+    state.validator = options.validator || null;
+  }
+  if (options.validationLevel !== undefined) {
+    state.validationLevel = options.validationLevel;
+  }
+  if (options.validationAction !== undefined) {
+    state.validationAction = options.validationAction;
+  }
+}
+
+// 集合状态，_id 索引始终存在
+function collectionState(docs = []) {
+  const idIndex = { name: '_id_', key: { _id: 1 }, unique: true, partialFilterExpression: null, entries: new Map() };
+  docs.forEach(doc => idIndex.entries.set(valueKey(doc._id), valueKey(doc._id)));
+  return { docs, indexes: [idIndex], validator: null, validationLevel: 'strict', validationAction: 'error', lastExpireAt: 0 };
+}
+
+function indexName(key) {
+  return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+// 索引键：单字段为数组时每个元素各一个键；缺少字段按 null 处理（与 MongoDB 相同）
+function indexKeys(doc, index) {
+  const fields = Object.keys(index.key);
+  if (fields.length === 1) {
+    const value = getValue(doc, fields[0]);
+    if (Array.isArray(value)) {
+      return value.length > 0 ? [...new Set(value.map(valueKey))] : [valueKey(null)];
+    }
+    return [valueKey(value)];
+  }
+  return [fields.map(field => valueKey(getValue(doc, field))).join('|')];
+}
+
+class LocalCursor {
+  constructor(produce, options = {}) {
+    this.produce = produce;
+    this.options = { ...options };
+  }
+  
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+  
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+  
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+  
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+  
+  async toArray() {
+    let docs = this.produce();
+    if (this.options.sort) {
+      docs = sortDocuments(docs, this.options.sort);
+    }
+    if (this.options.skip) {
+      docs = docs.slice(this.options.skip);
+    }
+    if (this.options.limit) {
+      docs = docs.slice(0, Math.abs(this.options.limit));
+    }
+    return docs.map(doc => cloneDocument(projectDocument(doc, this.options.projection)));
+  }
+  
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) {
+      yield doc;
+    }
+  }
+}
+
+class LocalCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+  }
+  
+  get state() {
+    return this.db.collectionState(this.collectionName);
+  }
+  
+  // 当前文档（先清理 TTL 过期的文档）
+  documents() {
+    this.db.expireDocuments(this.collectionName);
+    return this.state.docs;
+  }
+  
+  matching(filter, { sort } = {}) {
+    const docs = this.documents().filter(doc => matchesFilter(doc, filter));
+    return sort ? sortDocuments(docs, sort) : docs;
+  }
+  
+  // ================== 索引 ==================
+  
+  appliesTo(index, doc) {
+    return !index.partialFilterExpression || matchesFilter(doc, index.partialFilterExpression);
+  }
+  
+  addToIndexes(doc) {
+    const id = valueKey(doc._id);
+    this.state.indexes.filter(index => index.unique && this.appliesTo(index, doc)).forEach(index => {
+      indexKeys(doc, index).forEach(key => index.entries.set(key, id));
+    });
+  }
+  
+  removeFromIndexes(doc) {
+    const id = valueKey(doc._id);
+    this.state.indexes.filter(index => index.unique).forEach(index => {
+      indexKeys(doc, index).forEach(key => {
+        if (index.entries.get(key) === id) {
+          index.entries.delete(key);
+        }
+      });
+    });
+  }
+  
+  checkUnique(doc) {
+    const id = valueKey(doc._id);
+    this.state.indexes.filter(index => index.unique && this.appliesTo(index, doc)).forEach(index => {
+      const conflict = indexKeys(doc, index).some(key => index.entries.has(key) && index.entries.get(key) !== id);
+      if (conflict) {
+        throw duplicateKeyError(this.collectionName, index, doc);
+      }
+    });
+  }
+  
+  async createIndex(key, options = {}) {
+    const name = options.name || indexName(key);
+    const index = {
+      name,
+      key,
+      unique: !!options.unique,
+      partialFilterExpression: options.partialFilterExpression || null,
+      expireAfterSeconds: options.expireAfterSeconds,
+      entries: new Map()
+    };
+    
+    if (index.unique) {
+      this.documents().filter(doc => this.appliesTo(index, doc)).forEach(doc => {
+        const id = valueKey(doc._id);
+        indexKeys(doc, index).forEach(indexKey => {
+          if (index.entries.has(indexKey) && index.entries.get(indexKey) !== id) {
+            throw duplicateKeyError(this.collectionName, index, doc);
+          }
+          index.entries.set(indexKey, id);
+        });
+      });
+    }
+    
+    if (name !== '_id_') {
+      this.state.indexes = [...this.state.indexes.filter(existing => existing.name !== name), index];
+    }
+    return name;
+  }
+  
+  async indexes() {
+    return this.state.indexes.map(({ entries, ...index }) => ({ v: 2, ...index }));
+  }
+  
+  // ================== 查询 ==================
+  
+  find(filter = {}, options = {}) {
+    return new LocalCursor(() => this.matching(filter), options);
+  }
+  
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options).limit(1).toArray();
+    return doc || null;
+  }
+  
+  async countDocuments(filter = {}, options = {}) {
+    let count = this.matching(filter).length - (options.skip || 0);
+    if (options.limit) {
+      count = Math.min(count, options.limit);
+    }
+    return Math.max(count, 0);
+  }
+  
+  async estimatedDocumentCount() {
+    return this.documents().length;
+  }
+  
+  async distinct(field, filter = {}) {
+    const values = [];
+    const seen = new Set();
+    this.matching(filter).forEach(doc => {
+      const value = getValue(doc, field);
+      [].concat(value === undefined ? [] : value).forEach(item => {
+        const key = valueKey(item);
+        if (!seen.has(key)) {
+          seen.add(key);
+          values.push(cloneDocument(item));
+        }
+      });
+    });
+    return values;
+  }
+  
+  aggregate(pipeline = []) {
+    return new LocalCursor(() => runPipeline(this.documents(), pipeline));
+  }
+  
+  // ================== 写入 ==================
+  
+  /**
+   * 按集合的校验规则检查写入的文档，与 MongoDB 相同：
+   * validationLevel 为 strict 时校验所有写入，moderate 时不校验原本就不符合规则的文档的修改，off 不校验；
+   * validationAction 为 warn 时只记录警告；bypassDocumentValidation 跳过校验
+   */
+  validateDocument(next, current, { bypassDocumentValidation = false } = {}) {
+    const { validator, validationLevel, validationAction } = this.state;
+    if (!validator || bypassDocumentValidation || validationLevel === 'off') {
+      return;
+    }
+    if (current && validationLevel === 'moderate' && !matchesFilter(current, validator)) {
+      return;
+    }
+    if (matchesFilter(next, validator)) {
+      return;
+    }
+    if (validationAction === 'warn') {
+      console.warn(`⚠️ [本地存储] ${this.collectionName} 文档 ${next._id} 不符合校验规则`);
+      return;
+    }
+    throw serverError('Document failed validation', 121, 'DocumentValidationFailure');
+  }
+  
+  // 插入一条文档，与驱动一样为没有 _id 的文档生成 ObjectId
+  insertDocument(doc, options = {}) {
+    if (doc._id === undefined) {
+      doc._id = new ObjectId();
+    }
+    const stored = cloneDocument(doc);
+    this.validateDocument(stored, null, options);
+    this.checkUnique(stored);
+    this.state.docs.push(stored);
+    this.addToIndexes(stored);
+    return doc._id;
+  }
+  
+  replaceDocument(current, next) {
+    if (!valuesEqual(current._id, next._id)) {
+      throw new Error('不能修改文档的 _id');
+    }
+    this.removeFromIndexes(current);
+    try {
+      this.state.indexes.filter(index => index.unique && this.appliesTo(index, next)).forEach(index => {
+        if (indexKeys(next, index).some(key => index.entries.has(key))) {
+          throw duplicateKeyError(this.collectionName, index, next);
+        }
+      });
+    } catch (error) {
+      this.addToIndexes(current);
+      throw error;
+    }
+    const position = this.state.docs.indexOf(current);
+    this.state.docs[position] = next;
+    this.addToIndexes(next);
+  }
+  
+  /**
+   * 更新符合条件的文档
+   * @returns {{ matchedCount: number, modifiedCount: number, upsertedId: ObjectId|null, before: object|null, after: object|null }}
+   */
+  updateDocuments(filter, update, { multi = false, upsert = false, sort = null, bypassDocumentValidation = false } = {}) {
+    const targets = this.matching(filter, { sort });
+    const selected = multi ? targets : targets.slice(0, 1);
+    
+    if (selected.length === 0) {
+      if (!upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedId: null, before: null, after: null };
+      }
+      const doc = applyUpdate(upsertSeed(filter), update, { isInsert: true });
+      const upsertedId = this.insertDocument(doc, { bypassDocumentValidation });
+      return { matchedCount: 0, modifiedCount: 0, upsertedId, before: null, after: doc };
+    }
+    
+    let modifiedCount = 0;
+    let first = null;
+    selected.forEach(current => {
+      const next = applyUpdate(cloneDocument(current), update);
+      if (!valuesEqual(current, next)) {
+        this.validateDocument(next, current, { bypassDocumentValidation });
+        this.replaceDocument(current, next);
+        modifiedCount++;
+      }
+      if (!first) {
+        first = { before: current, after: next };
+      }
+    });
+    return { matchedCount: selected.length, modifiedCount, upsertedId: null, ...first };
+  }
+  
+  deleteDocuments(filter, { multi = false, sort = null } = {}) {
+    const targets = this.matching(filter, { sort });
+    const selected = multi ? targets : targets.slice(0, 1);
+    const removed = new Set(selected);
+    selected.forEach(doc => this.removeFromIndexes(doc));
+    this.state.docs = this.state.docs.filter(doc => !removed.has(doc));
+    return selected;
+  }
+  
+  async insertOne(doc, options = {}) {
+    const insertedId = this.insertDocument(doc, options);
+    await this.db.persist(this.collectionName);
+    return { acknowledged: true, insertedId };
+  }
+  
+  async insertMany(docs, options = {}) {
+    const result = await this.bulkWrite(docs.map(document => ({ insertOne: { document } })), options);
+    return { acknowledged: true, insertedCount: result.insertedCount, insertedIds: result.insertedIds };
+  }
+  
+  async updateOne(filter, update, options = {}) {
+    const result = this.updateDocuments(filter, update, { upsert: options.upsert, bypassDocumentValidation: options.bypassDocumentValidation });
+    await this.db.persist(this.collectionName);
+    return updateResult(result);
+  }
+  
+  async updateMany(filter, update, options = {}) {
+    const result = this.updateDocuments(filter, update, { multi: true, upsert: options.upsert, bypassDocumentValidation: options.bypassDocumentValidation });
+    await this.db.persist(this.collectionName);
+    return updateResult(result);
+  }
+  
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+  
+  async deleteOne(filter = {}) {
+    const removed = this.deleteDocuments(filter);
+    await this.db.persist(this.collectionName);
+    return { acknowledged: true, deletedCount: removed.length };
+  }
+  
+  async deleteMany(filter = {}) {
+    const removed = this.deleteDocuments(filter, { multi: true });
+    await this.db.persist(this.collectionName);
+    return { acknowledged: true, deletedCount: removed.length };
+  }
+  
+  // 与驱动 v6 相同：直接返回文档（returnDocument 默认为 before），没有匹配时返回 null
+  async findOneAndUpdate(filter, update, options = {}) {
+    const result = this.updateDocuments(filter, update, {
+      upsert: options.upsert,
+      sort: options.sort,
+      bypassDocumentValidation: options.bypassDocumentValidation
+    });
+    await this.db.persist(this.collectionName);
+    const doc = options.returnDocument === 'after' ? result.after : result.before;
+    return doc ? cloneDocument(projectDocument(doc, options.projection)) : null;
+  }
+  
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+  
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.deleteDocuments(filter, { sort: options.sort });
+    await this.db.persist(this.collectionName);
+    return doc ? cloneDocument(projectDocument(doc, options.projection)) : null;
+  }
+  
+  /**
+   * 批量写入，支持 insertOne、updateOne、updateMany、replaceOne、deleteOne、deleteMany
+   * ordered 为 false 时单条失败不影响其他操作，全部执行后抛出包含 writeErrors 的错误
+   */
+  async bulkWrite(operations, { ordered = true, bypassDocumentValidation = false } = {}) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {}
+    };
+    const writeErrors = [];
+    
+    for (let index = 0; index < operations.length; index++) {
+      const [type] = Object.keys(operations[index]);
+      const operation = operations[index][type];
+      try {
+        if (type === 'insertOne') {
+          result.insertedIds[index] = this.insertDocument(operation.document, { bypassDocumentValidation });
+          result.insertedCount++;
+        } else if (type === 'updateOne' || type === 'updateMany' || type === 'replaceOne') {
+          const updated = this.updateDocuments(operation.filter, operation.update || operation.replacement, {
+            multi: type === 'updateMany',
+            upsert: operation.upsert,
+            bypassDocumentValidation
+          });
+          result.matchedCount += updated.matchedCount;
+          result.modifiedCount += updated.modifiedCount;
+          if (updated.upsertedId) {
+            result.upsertedIds[index] = updated.upsertedId;
+            result.upsertedCount++;
+          }
+        } else if (type === 'deleteOne' || type === 'deleteMany') {
+          result.deletedCount += this.deleteDocuments(operation.filter, { multi: type === 'deleteMany' }).length;
+        } else {
+          throw new Error(`本地存储不支持批量操作 ${type}`);
+        }
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) {
+          break;
+        }
+      }
+    }
+    
+    await this.db.persist(this.collectionName);
+    if (writeErrors.length > 0) {
+      throw bulkWriteError(writeErrors, result);
+    }
+    return { acknowledged: true, ...result };
+  }
+  
+  async drop() {
+    return this.db.dropCollection(this.collectionName);
+  }
+}
+
+function updateResult({ matchedCount, modifiedCount, upsertedId }) {
+  return {
+    acknowledged: true,
+    matchedCount,
+    modifiedCount,
+    upsertedCount: upsertedId ? 1 : 0,
+    upsertedId
+  };
+}
+
+class LocalDb {
+  /**
+   * @param {{ databaseName: string, dataDir: string|null }} options dataDir 为空时只保存在内存中
+   */
+  constructor({ databaseName, dataDir = null }) {
+    this.databaseName = databaseName;
+    this.dataDir = dataDir;
+    this.collections = new Map();
+    this.handles = new Map();
+    this.writes = new Map();
+  }
+  
+  // 读取数据目录中的集合文件（每个集合一个 <集合名>.json）
+  async load() {
+    if (!this.dataDir) {
+      return;
+    }
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = (await fs.readdir(this.dataDir)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      const text = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+      const docs = text.trim() ? BSON.EJSON.parse(text, { relaxed: true }) : [];
+      this.collections.set(path.basename(file, '.json'), collectionState(docs));
+    }
+  }
+  
+  collectionState(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, collectionState());
+    }
+    return this.collections.get(name);
+  }
+  
+  collection(name) {
+    if (!this.handles.has(name)) {
+      this.handles.set(name, new LocalCollection(this, name));
+    }
+    return this.handles.get(name);
+  }
+  
+  // 校验规则只保存在内存中，每次连接时由 initHomeworkCollections 重新设置
+  async createCollection(name, options = {}) {
+    const state = this.collectionState(name);
+    setValidation(state, options);
+    await this.persist(name);
+    return this.collection(name);
+  }
+  
+  async dropCollection(name) {
+    const existed = this.collections.delete(name);
+    if (this.dataDir && existed) {
+      await this.flush(name);
+      await fs.rm(this.filePath(name), { force: true });
+    }
+    return existed;
+  }
+  
+  listCollections(filter = {}) {
+    return new LocalCursor(() => [...this.collections.keys()]
+      .map(name => ({ name, type: 'collection' }))
+      .filter(info => matchesFilter(info, filter)));
+  }
+  
+  async command(command) {
+    if (command.ping) {
+      return { ok: 1 };
+    }
+    if (command.dbStats) {
+      const states = [...this.collections.values()];
+      const dataSize = states.reduce((total, state) => total + BSON.EJSON.stringify(state.docs).length, 0);
+      return {
+        db: this.databaseName,
+        collections: states.length,
+        objects: states.reduce((total, state) => total + state.docs.length, 0),
+        dataSize,
+        storageSize: dataSize,
+        ok: 1
+      };
+    }
+    if (command.collMod) {
+      setValidation(this.collectionState(command.collMod), command);
+      return { ok: 1 };
+    }
+    throw new Error(`本地存储不支持命令 ${Object.keys(command)[0]}`);
+  }
+  
+  // 删除 TTL 索引过期的文档，每个集合最多每分钟检查一次
+  expireDocuments(name) {
+    const state = this.collectionState(name);
+    const ttlIndexes = state.indexes.filter(index => index.expireAfterSeconds !== undefined);
+    if (ttlIndexes.length === 0 || Date.now() - state.lastExpireAt < TTL_CHECK_INTERVAL_MS) {
+      return;
+    }
+    state.lastExpireAt = Date.now();
+    
+    const now = Date.now();
+    const expired = state.docs.filter(doc => ttlIndexes.some(index => {
+      const value = getValue(doc, Object.keys(index.key)[0]);
+      return [].concat(value).some(date => date instanceof Date && date.getTime() + index.expireAfterSeconds * 1000 <= now);
+    }));
+    if (expired.length > 0) {
+      this.collection(name).deleteDocuments({ _id: { $in: expired.map(doc => doc._id) } }, { multi: true });
+      this.persist(name).catch(error => {
+        console.warn(`⚠️ [本地存储] 保存 ${name} 失败:`, error.message);
+      });
+    }
+  }
+  
+  filePath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+  
+  // 写入集合文件：先写临时文件再重命名，同一集合的写入按顺序执行
+  persist(name) {
+    if (!this.dataDir) {
+      return Promise.resolve();
+    }
+    const previous = this.writes.get(name) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const state = this.collections.get(name);
+      if (!state) {
+        return;
+      }
+      const target = this.filePath(name);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temp, BSON.EJSON.stringify(state.docs, { relaxed: true }));
+      await fs.rename(temp, target);
+    });
+    this.writes.set(name, write);
+    return write;
+  }
+  
+  async flush(name) {
+    await (this.writes.get(name) || Promise.resolve()).catch(() => {});
+  }
+  
+  async close() {
+    await Promise.all([...this.writes.keys()].map(name => this.flush(name)));
+  }
+}
+
+/**
+ * 打开本地数据库
+ * @param {{ databaseName: string, dataDir?: string|null }} options 提供 dataDir 时数据保存到该目录，否则只保存在内存中
+ * @returns {Promise<LocalDb>} 与驱动的 Db 用法相同的对象
+ */
+export async function openLocalDb({ databaseName, dataDir = null }) {
+  const db = new LocalDb({ databaseName, dataDir: dataDir ? path.resolve(dataDir) : null });
+  await db.load();
+  return db;
+}
@@ -0,0 +1,218 @@
+import { Binary } from 'mongodb';
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { loadParticipantIndex, participantForRecord } from './participants.js';
+import { periodRange } from './goals.js';
+import { buildGroupRanking } from './groups.js';
+import { buildMissingReport } from './roster.js';
+
+// ================== 月度报表 ==================
+// 汇总一个月的功课：总体概况、参与率、小组合计、功课项目排行和个人明细
+// 当月报表统计到今天为止
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// 个人明细中列出的主要功课数量
+const TOP_PRACTICES_PER_PERSON = 3;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 校验 month 参数（YYYY-MM），默认为本月，不能晚于本月
+ * @returns {{ value: { month: string, startDate: string, endDate: string }, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateReportMonth(month, today) {
+  const value = {};
+  const currentMonth = today.slice(0, 7);
+  
+  if (month === undefined || month === '') {
+    month = currentMonth;
+  }
+  if (typeof month !== 'string' || !MONTH_PATTERN.test(month)) {
+    return { value, errors: [{ field: 'month', error: '月份格式应为 YYYY-MM' }] };
+  }
+  if (month > currentMonth) {
+    return { value, errors: [{ field: 'month', error: '不能生成未来月份的报表' }] };
+  }
+  
+  const range = periodRange('month', `${month}-01`);
+  value.month = month;
+  value.startDate = range.startDate;
+  value.endDate = range.endDate < today ? range.endDate : today;
+  return { value, errors: [] };
+}
+
+function emptyPerson(practiceItems) {
+  const person = { records: 0, dates: new Set(), totalClassics: 0, totals: {} };
+  practiceItems.forEach(item => {
+    person.totals[item.key] = 0;
+  });
+  return person;
+}
+
+/**
+ * 生成月度报表数据
+ * @param {{ month: string, startDate: string, endDate: string }} range validateReportMonth() 的结果
+ * @param {Array} practiceItems 功课项目目录
+ */
+export async function buildMonthlyReport({ month, startDate, endDate }, practiceItems) {
+  const group = {
+    _id: { participantId: '$participantId', name: '$name' },
+    records: { $sum: 1 },
+    dates: { $addToSet: '$date' }
+  };
+  practiceItems.forEach(item => {
+    group[item.key] = { $sum: { $ifNull: [`$${item.key}`, 0] } };
+  });
+  
+  const [index, groups, nameGroups, groupRanking, missingReport] = await Promise.all([
+    loadParticipantIndex(),
+    database.groups().find({}).toArray(),
+    database.homeworkRecords().aggregate([
+      { $match: { ...ACTIVE_RECORD_FILTER, date: { $gte: startDate, $lte: endDate } } },
+      { $group: group }
+    ]).toArray(),
+    buildGroupRanking({ startDate, endDate, sortBy: 'totalClassics' }, practiceItems),
+    buildMissingReport({ startDate, endDate })
+  ]);
+  const groupsById = new Map(groups.map(item => [item._id.toString(), item]));
+  
+  // 按参与者合并（同一人可能有多个姓名写法），未登记的姓名单独统计
+  const people = new Map();
+  nameGroups.forEach(nameGroup => {
+    const participant = participantForRecord(nameGroup._id, index);
+    const key = participant ? participant._id.toString() : `name:${nameGroup._id.name}`;
+    const person = people.get(key) || { participant, name: participant ? participant.name : nameGroup._id.name, ...emptyPerson(practiceItems) };
+    person.records += nameGroup.records;
+    nameGroup.dates.forEach(date => person.dates.add(date));
+    practiceItems.forEach(item => {
+      person.totals[item.key] += nameGroup[item.key];
+      if (item.countsTowardClassics) {
+        person.totalClassics += nameGroup[item.key];
+      }
+    });
+    people.set(key, person);
+  });
+  
+  // 应提交但本月没有记录的人也列出
+  index.participants
+    .filter(participant => participant.expected && !people.has(participant._id.toString()))
+    .forEach(participant => {
+      people.set(participant._id.toString(), { participant, name: participant.name, ...emptyPerson(practiceItems) });
+    });
+  
+  const days = missingReport.days;
+  const personRows = [...people.values()].map(person => {
+    const participant = person.participant;
+    const groupDoc = participant && participant.groupId ? groupsById.get(participant.groupId.toString()) : null;
+    return {
+      participantId: participant ? participant._id.toString() : null,
+      name: person.name,
+      group: groupDoc ? { _id: groupDoc._id.toString(), name: groupDoc.name } : null,
+      expected: !!(participant && participant.expected),
+      records: person.records,
+      activeDays: person.dates.size,
+      attendanceRate: round(person.dates.size / days),
+      totalClassics: person.totalClassics,
+      totals: person.totals,
+      topPractices: practiceItems
+        .filter(item => person.totals[item.key] > 0)
+        .sort((a, b) => person.totals[b.key] - person.totals[a.key])
+        .slice(0, TOP_PRACTICES_PER_PERSON)
+        .map(item => ({ key: item.key, name: item.name, unit: item.unit, total: person.totals[item.key] }))
+    };
+  });
+  personRows.sort((a, b) => b.totalClassics - a.totalClassics || b.activeDays - a.activeDays || a.name.localeCompare(b.name, 'zh-CN'));
+  
+  // 功课项目排行：各项目单位不同，按参与人数排序
+  const practices = practiceItems
+    .map(item => {
+      const doing = personRows.filter(person => person.totals[item.key] > 0);
+      return {
+        key: item.key,
+        name: item.name,
+        unit: item.unit,
+        total: doing.reduce((sum, person) => sum + person.totals[item.key], 0),
+        people: doing.length
+      };
+    })
+    .filter(practice => practice.people > 0)
+    .sort((a, b) => b.people - a.people || b.total - a.total);
+  
+  // 参与率：应提交名单中本月有提交的人数，以及按天计算的平均提交率
+  const expectedCount = missingReport.expectedCount;
+  const neverSubmitted = missingReport.missing.filter(item => item.missingDays === days).length;
+  const missedDays = missingReport.missing.reduce((sum, item) => sum + item.missingDays, 0);
+  const participation = {
+    expectedCount,
+    submittedCount: expectedCount - neverSubmitted,
+    rate: expectedCount > 0 ? round((expectedCount - neverSubmitted) / expectedCount) : null,
+    dailyRate: expectedCount > 0 ? round(1 - missedDays / (expectedCount * days)) : null
+  };
+  
+  const activePeople = personRows.filter(person => person.records > 0);
+  return {
+    month,
+    startDate,
+    endDate,
+    days,
+    summary: {
+      records: activePeople.reduce((sum, person) => sum + person.records, 0),
+      activeParticipants: activePeople.length,
+      totalClassics: activePeople.reduce((sum, person) => sum + person.totalClassics, 0)
+    },
+    participation,
+    groups: groupRanking.groups.map(({ members, ...groupTotals }) => groupTotals),
+    practices,
+    people: personRows
+  };
+}
+
+// ================== 已生成的月报 ==================
+// 生成 PDF 后保存到 monthly_reports，每月一份（month 唯一），重新生成时覆盖
+// PDF 以二进制保存在文档中：月报通常只有几十 KB，远小于 MongoDB 单个文档 16MB 的上限
+
+/**
+ * 保存生成的月报
+ * @param {{ report: object, pdf: Buffer, generatedBy: string }} options report 为 buildMonthlyReport() 的结果
+ */
+export async function saveMonthlyReport({ report, pdf, generatedBy }) {
+  const now = new Date();
+  await database.monthlyReports().updateOne(
+    { month: report.month },
+    {
+      $set: {
+        startDate: report.startDate,
+        endDate: report.endDate,
+        summary: report.summary,
+        report,
+        pdf: new Binary(pdf),
+        size: pdf.length,
+        generatedAt: now,
+        generatedBy
+      },
+      $setOnInsert: { createdAt: now }
+    },
+    { upsert: true }
+  );
+}
+
+// 已保存的月报列表，按月份倒序，不含报表内容
+export async function listMonthlyReports() {
+  const reports = await database.monthlyReports()
+    .find({}, { projection: { report: 0, pdf: 0 } })
+    .sort({ month: -1 })
+    .toArray();
+  return reports.map(({ _id, ...report }) => report);
+}
+
+// 读取已保存的月报，不存在时返回 null；pdf 为 Buffer
+export async function loadMonthlyReport(month) {
+  const saved = await database.monthlyReports().findOne({ month });
+  if (!saved) {
+    return null;
+  }
+  return { ...saved, pdf: Buffer.from(saved.pdf.buffer) };
+}
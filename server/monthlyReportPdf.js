@@ -0,0 +1,278 @@
+import fs from 'fs';
+import { PassThrough } from 'stream';
+import PDFDocument from 'pdfkit';
+import config from './config.js';
+import { formatDateTimeInTimeZone } from './timezone.js';
+
+// ================== 月报 PDF ==================
+// 将 buildMonthlyReport() 的结果排版为 A4 PDF；内置字体不含中文，需要提供中文字体文件
+
+// 未配置 REPORT_FONT_PATH 时依次尝试的系统字体，TTC 字体集合需注明字体名
+const SYSTEM_FONT_CANDIDATES = [
+  { path: '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', name: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc', name: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/google-noto-cjk/NotoSansCJK-Regular.ttc', name: 'NotoSansCJKsc-Regular' },
+  { path: '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc', name: 'WenQuanYiMicroHei' },
+  { path: '/usr/share/fonts/truetype/wqy/wqy-zenhei.ttc', name: 'WenQuanYiZenHei' },
+  { path: '/System/Library/Fonts/PingFang.ttc', name: 'PingFangSC-Regular' },
+  { path: '/Library/Fonts/Arial Unicode.ttf', name: null },
+  { path: 'C:\\Windows\\Fonts\\simhei.ttf', name: null }
+];
+
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 20;
+const COLORS = {
+  text: '#2c3e50',
+  muted: '#7f8c8d',
+  header: '#2c3e50',
+  stripe: '#f4f6f7',
+  accent: '#3498db'
+};
+
+// 找出可用的中文字体，找不到时返回 null
+export function resolveReportFont() {
+  if (config.report.fontPath) {
+    return fs.existsSync(config.report.fontPath)
+      ? { path: config.report.fontPath, name: config.report.fontName }
+      : null;
+  }
+  return SYSTEM_FONT_CANDIDATES.find(candidate => fs.existsSync(candidate.path)) || null;
+}
+
+// 找不到中文字体时的配置错误说明，字体可用时返回 null
+// Vercel 等环境没有系统中文字体，需将字体文件随项目部署并设置 REPORT_FONT_PATH
+export function reportFontError() {
+  if (resolveReportFont()) {
+    return null;
+  }
+  return config.report.fontPath
+    ? `REPORT_FONT_PATH 指向的字体文件不存在: ${config.report.fontPath}`
+    : '未找到中文字体，无法生成 PDF 月报，请设置 REPORT_FONT_PATH 环境变量指向 TTF/OTF 字体文件';
+}
+
+function percent(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+function monthTitle(month) {
+  const [year, monthNumber] = month.split('-');
+  return `${year}年${Number(monthNumber)}月`;
+}
+
+function sectionTitle(doc, text) {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.moveDown(0.8);
+  doc.fontSize(14).fillColor(COLORS.accent).text(text, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+/**
+ * 绘制表格，跨页时重复表头
+ * @param {Array<{ header: string, width: number, align?: string }>} columns 列定义，width 为占可用宽度的比例
+ * @param {Array<Array<string|number>>} rows 单元格文本
+ */
+function drawTable(doc, columns, rows) {
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalWeight) * tableWidth);
+  
+  const drawRow = (cells, { header = false, stripe = false } = {}) => {
+    const y = doc.y;
+    if (header || stripe) {
+      doc.rect(PAGE_MARGIN, y, tableWidth, ROW_HEIGHT).fill(header ? COLORS.header : COLORS.stripe);
+    }
+    doc.fontSize(9).fillColor(header ? '#ffffff' : COLORS.text);
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x + 4, y + 6, {
+        width: widths[index] - 8,
+        height: ROW_HEIGHT - 6,
+        align: header ? 'center' : columns[index].align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+  
+  const headers = columns.map(column => column.header);
+  ensureSpace(doc, ROW_HEIGHT * 2);
+  drawRow(headers, { header: true });
+  rows.forEach((row, index) => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawRow(headers, { header: true });
+    }
+    drawRow(row, { stripe: index % 2 === 1 });
+  });
+  if (rows.length === 0) {
+    doc.fontSize(9).fillColor(COLORS.muted).text('无数据', PAGE_MARGIN, doc.y + 6);
+  }
+}
+
+function drawPeopleTable(doc, people) {
+  drawTable(doc, [
+    { header: '姓名', width: 3 },
+    { header: '打卡天数', width: 2, align: 'right' },
+    { header: '出勤率', width: 2, align: 'right' },
+    { header: '记录数', width: 2, align: 'right' },
+    { header: '经典总数', width: 2, align: 'right' },
+    { header: '主要功课', width: 7 }
+  ], people.map(person => [
+    person.expected ? person.name : `${person.name}*`,
+    person.activeDays,
+    percent(person.attendanceRate),
+    person.records,
+    person.totalClassics,
+    person.topPractices.map(practice => `${practice.name} ${practice.total}${practice.unit}`).join('、') || '-'
+  ]));
+}
+
+/**
+ * 将月报写为 PDF
+ * @param {object} options
+ * @param {import('stream').Writable} options.stream 输出流（通常为响应对象）
+ * @param {object} options.report buildMonthlyReport() 的结果
+ * @param {{ path: string, name: string|null }} options.font resolveReportFont() 的结果
+ * @param {string} options.timeZone 生成时间使用的时区
+ */
+export function writeMonthlyReportPdf({ stream, report, font, timeZone }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `功课月报 ${report.month}`, Author: '功课数据管理系统' }
+  });
+  doc.pipe(stream);
+  doc.registerFont('cjk', font.path, font.name || undefined);
+  doc.font('cjk');
+  
+  // 标题
+  doc.fontSize(20).fillColor(COLORS.text).text(`功课月报 · ${monthTitle(report.month)}`, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.fontSize(10).fillColor(COLORS.muted).text(
+    `统计范围 ${report.startDate} 至 ${report.endDate}（${report.days} 天）    生成时间 ${formatDateTimeInTimeZone(new Date(), timeZone).slice(0, 16).replace('T', ' ')}`,
+    { align: 'center' }
+  );
+  
+  // 概况
+  const { summary, participation } = report;
+  sectionTitle(doc, '一、概况');
+  drawTable(doc, [
+    { header: '记录数', width: 1, align: 'right' },
+    { header: '参与人数', width: 1, align: 'right' },
+    { header: '经典总数', width: 1, align: 'right' },
+    { header: '应提交人数', width: 1, align: 'right' },
+    { header: '本月有提交', width: 1, align: 'right' },
+    { header: '参与率', width: 1, align: 'right' },
+    { header: '日均提交率', width: 1, align: 'right' }
+  ], [[
+    summary.records,
+    summary.activeParticipants,
+    summary.totalClassics,
+    participation.expectedCount,
+    participation.submittedCount,
+    percent(participation.rate),
+    percent(participation.dailyRate)
+  ]]);
+  
+  // 小组合计
+  sectionTitle(doc, '二、小组合计');
+  drawTable(doc, [
+    { header: '排名', width: 1, align: 'right' },
+    { header: '小组', width: 3 },
+    { header: '成员', width: 1, align: 'right' },
+    { header: '活跃成员', width: 1.5, align: 'right' },
+    { header: '打卡天数', width: 1.5, align: 'right' },
+    { header: '记录数', width: 1.5, align: 'right' },
+    { header: '经典总数', width: 1.5, align: 'right' },
+    { header: '人均经典', width: 1.5, align: 'right' }
+  ], report.groups.map(group => [
+    group.rank,
+    group.name,
+    group.memberCount,
+    group.activeMembers,
+    group.activeDays,
+    group.records,
+    group.totalClassics,
+    group.average
+  ]));
+  
+  // 功课项目排行
+  sectionTitle(doc, '三、功课项目排行（按参与人数）');
+  drawTable(doc, [
+    { header: '排名', width: 1, align: 'right' },
+    { header: '功课', width: 3 },
+    { header: '参与人数', width: 2, align: 'right' },
+    { header: '合计', width: 2, align: 'right' }
+  ], report.practices.map((practice, index) => [
+    index + 1,
+    practice.name,
+    practice.people,
+    `${practice.total}${practice.unit}`
+  ]));
+  
+  // 个人明细：按小组分表，未分组的人放在最后
+  sectionTitle(doc, '四、个人明细');
+  doc.fontSize(9).fillColor(COLORS.muted).text('出勤率 = 打卡天数 / 统计天数；姓名后带 * 的不在应提交名单中', PAGE_MARGIN);
+  const sections = report.groups.map(group => ({
+    title: group.name,
+    people: report.people.filter(person => person.group && person.group._id === group._id)
+  }));
+  sections.push({ title: '未分组', people: report.people.filter(person => !person.group) });
+  sections
+    .filter(section => section.people.length > 0)
+    .forEach(section => {
+      ensureSpace(doc, ROW_HEIGHT * 4);
+      doc.moveDown(0.6);
+      doc.fontSize(11).fillColor(COLORS.text).text(`${section.title}（${section.people.length} 人）`, PAGE_MARGIN);
+      doc.moveDown(0.2);
+      drawPeopleTable(doc, section.people);
+    });
+  
+  // 页码
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // 页脚位于下边距内，临时取消下边距以免触发自动分页
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fillColor(COLORS.muted).text(
+      `${monthTitle(report.month)} 功课月报  第 ${i + 1} / ${range.count} 页`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN + 20,
+      { align: 'center', width: doc.page.width - PAGE_MARGIN * 2, lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+  
+  doc.end();
+}
+
+/**
+ * 将月报生成为 PDF 数据，用于保存和下载
+ * @param {object} options 与 writeMonthlyReportPdf() 相同，不含 stream
+ * @returns {Promise<Buffer>}
+ */
+export function renderMonthlyReportPdf(options) {
+  return new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    try {
+      writeMonthlyReportPdf({ ...options, stream });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
@@ -0,0 +1,38 @@
+import database from './database.js';
+import { isNotionSyncEnabled, backfillNotion } from './notionSync.js';
+
+// ================== Notion 回填 ==================
+// 将已有记录同步到 Notion：npm run notion:backfill
+// 默认只处理还没有 Notion 页面的有效记录；加 --all 时全部记录（包括回收站中的）重新同步一遍
+
+async function backfill() {
+  if (!isNotionSyncEnabled()) {
+    console.error('❌ [Notion] 未启用同步，请设置 NOTION_TOKEN 和 NOTION_DATABASE_ID');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const all = process.argv.includes('--all');
+  await database.connect();
+  
+  try {
+    const { queued, synced, failed } = await backfillNotion({
+      all,
+      onProgress: progress => {
+        console.log(`🔗 [Notion] 进度 ${progress.synced + progress.failed}/${progress.queued}`);
+      }
+    });
+    
+    console.log(`✅ [Notion] 回填 ${queued} 条记录${all ? '（全部重新同步）' : ''}完成：成功 ${synced} 条，失败 ${failed} 条${failed > 0 ? '（将由服务自动重试）' : ''}`);
+    if (failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+backfill().catch(error => {
+  console.error('❌ [Notion] 回填失败:', error);
+  process.exitCode = 1;
+});
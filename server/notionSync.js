@@ -0,0 +1,430 @@
+import { Client } from '@notionhq/client';
+import config from './config.js';
+import database from './database.js';
+import { loadAllPracticeItems, classicsTotal } from './practiceItems.js';
+
+// ================== Notion 同步 ==================
+// 配置 NOTION_TOKEN 和 NOTION_DATABASE_ID 后，功课记录的新增、修改、删除都同步到 Notion 数据库（每条记录一个页面）
+// 写入记录时标记 syncStatus 为 pending，由 syncPendingRecords 逐条领取（标记为 syncing）并推送；失败后按指数退避重试，超过次数标记为 failed
+// 写入记录的请求在返回响应前调用 drainNotionSync 推送；到期的重试由定时任务 /api/cron/drain 处理
+
+export const SYNC_STATUSES = ['pending', 'syncing', 'synced', 'failed'];
+
+// 每次同步处理的最大记录数（Notion API 限速约每秒 3 次请求）
+const SYNC_BATCH_SIZE = 20;
+
+// 回填时每批处理的记录数
+const BACKFILL_BATCH_SIZE = 50;
+
+// 同一实例两次自动同步的最小间隔
+const SYNC_INTERVAL_MS = 30 * 1000;
+
+// 领取记录后的锁定时间，实例中途退出时超过该时间由其他实例重新领取
+const SYNC_LOCK_MS = 60 * 1000;
+
+// 第 n 次失败后等待 2^(n-1) 分钟再重试，最长 1 小时
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// 数据库结构缓存，避免每条记录都查询
+const SCHEMA_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Notion 数据库中使用的属性名，功课项目以项目名称为属性名
+const PROPERTY_NAMES = {
+  date: '日期',
+  totalClassics: '经典总数',
+  remark: '备注',
+  deviceId: '设备ID',
+  submittedAt: '提交时间',
+  recordId: '记录ID'
+};
+
+let client = null;
+let schemaCache = { properties: null, loadedAt: 0 };
+let running = null;
+let rerun = false;
+let lastSyncAt = 0;
+
+export function isNotionSyncEnabled() {
+  return !!(config.notion.token && config.notion.databaseId);
+}
+
+function notionClient() {
+  if (!client) {
+    client = new Client({
+      auth: config.notion.token,
+      // 可指向本地的 Notion API 桩服务
+      ...(config.notion.baseUrl ? { baseUrl: config.notion.baseUrl } : {}),
+      timeoutMs: 10 * 1000
+    });
+  }
+  return client;
+}
+
+// 新记录的同步字段；未启用同步时不写入
+export function initialSyncFields(now = new Date()) {
+  if (!isNotionSyncEnabled()) {
+    return {};
+  }
+  return { syncStatus: 'pending', syncRequestedAt: now, nextSyncAt: now, syncAttempts: 0 };
+}
+
+// 记录变更后重新排队同步，合并到更新语句的 $set 中
+export function pendingSyncFields(now = new Date()) {
+  if (!isNotionSyncEnabled()) {
+    return {};
+  }
+  return { syncStatus: 'pending', syncRequestedAt: now, nextSyncAt: now, syncAttempts: 0, syncError: null };
+}
+
+// ================== 属性映射 ==================
+
+async function loadDatabaseSchema() {
+  if (schemaCache.properties && Date.now() - schemaCache.loadedAt < SCHEMA_CACHE_TTL_MS) {
+    return schemaCache.properties;
+  }
+  const notionDatabase = await notionClient().databases.retrieve({ database_id: config.notion.databaseId });
+  schemaCache = { properties: notionDatabase.properties, loadedAt: Date.now() };
+  return schemaCache.properties;
+}
+
+function richText(text) {
+  return [{ type: 'text', text: { content: String(text || '').slice(0, 2000) } }];
+}
+
+// 记录各字段期望的 Notion 属性类型和值
+function recordPropertyValues(record, practiceItems) {
+  return [
+    { name: PROPERTY_NAMES.date, type: 'date', value: record.date ? { start: record.date } : null },
+    ...practiceItems.map(item => ({ name: item.name, type: 'number', value: record[item.key] || 0 })),
+    { name: PROPERTY_NAMES.totalClassics, type: 'number', value: classicsTotal(record, practiceItems) },
+    { name: PROPERTY_NAMES.remark, type: 'rich_text', value: richText(record.remark) },
+    { name: PROPERTY_NAMES.deviceId, type: 'rich_text', value: richText(record.deviceId) },
+    {
+      name: PROPERTY_NAMES.submittedAt,
+      type: 'date',
+      value: record.submittedAt ? { start: new Date(record.submittedAt).toISOString() } : null
+    },
+    { name: PROPERTY_NAMES.recordId, type: 'rich_text', value: richText(record._id.toString()) }
+  ];
+}
+
+/**
+ * 将记录转换为 Notion 页面属性
+ * 只写入数据库中存在且类型一致的属性；标题属性（无论名称）写入姓名
+ */
+export function buildPageProperties(record, practiceItems, schema) {
+  const properties = {};
+  const titleName = Object.keys(schema).find(name => schema[name].type === 'title');
+  if (titleName) {
+    properties[titleName] = { title: richText(record.name) };
+  }
+  recordPropertyValues(record, practiceItems).forEach(({ name, type, value }) => {
+    if (schema[name] && schema[name].type === type) {
+      properties[name] = { [type]: value };
+    }
+  });
+  return properties;
+}
+
+/**
+ * 在 Notion 数据库中补充缺少的属性（回填前调用）
+ * @returns {Promise<string[]>} 新增的属性名
+ */
+export async function ensureDatabaseProperties(practiceItems) {
+  const schema = await loadDatabaseSchema();
+  const missing = {};
+  recordPropertyValues({ _id: '' }, practiceItems).forEach(({ name, type }) => {
+    if (!schema[name]) {
+      missing[name] = { [type]: type === 'number' ? { format: 'number' } : {} };
+    }
+  });
+  
+  const names = Object.keys(missing);
+  if (names.length > 0) {
+    await notionClient().databases.update({ database_id: config.notion.databaseId, properties: missing });
+    schemaCache = { properties: null, loadedAt: 0 };
+    console.log(`🔗 [Notion] 已在数据库中新增属性: ${names.join(', ')}`);
+  }
+  return names;
+}
+
+// ================== 同步 ==================
+
+/**
+ * 将一条记录推送到 Notion：没有页面时新建，已有页面时更新属性，回收站中的记录归档页面
+ * @returns {Promise<string|null>} 页面ID；已删除且从未同步过的记录不建页面，返回 null
+ */
+export async function pushRecordToNotion(record, practiceItems) {
+  const notion = notionClient();
+  const archived = !!record.deletedAt;
+  
+  if (!record.notionPageId) {
+    if (archived) {
+      return null;
+    }
+    const schema = await loadDatabaseSchema();
+    const page = await notion.pages.create({
+      parent: { database_id: config.notion.databaseId },
+      properties: buildPageProperties(record, practiceItems, schema)
+    });
+    return page.id;
+  }
+  
+  if (archived) {
+    await notion.pages.update({ page_id: record.notionPageId, archived: true });
+  } else {
+    const schema = await loadDatabaseSchema();
+    await notion.pages.update({
+      page_id: record.notionPageId,
+      archived: false,
+      properties: buildPageProperties(record, practiceItems, schema)
+    });
+  }
+  return record.notionPageId;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// 到期且未被领取的待同步记录；领取后中途退出的记录在锁定到期后重新匹配
+function dueRecordFilter(now = new Date()) {
+  return {
+    syncStatus: { $in: ['pending', 'syncing'] },
+    nextSyncAt: { $lte: now },
+    $or: [{ syncLockedUntil: null }, { syncLockedUntil: { $lte: now } }]
+  };
+}
+
+/**
+ * 推送到期的待同步记录
+ * @param {{ limit?: number }} options 本次最多处理的记录数
+ * @returns {Promise<{ synced: number, failed: number }>}
+ */
+export async function syncPendingRecords({ limit = SYNC_BATCH_SIZE } = {}) {
+  if (!isNotionSyncEnabled()) {
+    return { synced: 0, failed: 0 };
+  }
+  
+  const collection = database.homeworkRecords();
+  const maxAttempts = config.notion.maxAttempts;
+  let practiceItems = null;
+  let synced = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < limit; i++) {
+    // 逐条领取：标记为 syncing 并加锁，并发的请求或其他实例不会取到同一条记录
+    // 同步期间记录又被修改时状态改回 pending，锁仍保留，等本轮保存页面ID后再被领取，避免重复建页
+    const now = new Date();
+    const record = await collection.findOneAndUpdate(
+      dueRecordFilter(now),
+      { $set: { syncStatus: 'syncing', syncLockedUntil: new Date(now.getTime() + SYNC_LOCK_MS) } },
+      { sort: { nextSyncAt: 1 }, returnDocument: 'after' }
+    );
+    if (!record) {
+      break;
+    }
+    if (!practiceItems) {
+      practiceItems = await loadAllPracticeItems();
+    }
+    
+    // 同步期间记录又被修改时 syncRequestedAt 会变化，此时只保存页面ID并解锁，保持 pending 等待下一轮
+    const unchanged = { _id: record._id, syncRequestedAt: record.syncRequestedAt };
+    try {
+      const pageId = await pushRecordToNotion(record, practiceItems);
+      const pageFields = pageId ? { notionPageId: pageId } : {};
+      const result = await collection.updateOne(unchanged, {
+        $set: { ...pageFields, syncStatus: 'synced', syncedAt: new Date(), syncAttempts: 0, syncError: null },
+        $unset: { nextSyncAt: '', syncLockedUntil: '' }
+      });
+      if (result.matchedCount === 0) {
+        await collection.updateOne({ _id: record._id }, { ...(pageId ? { $set: pageFields } : {}), $unset: { syncLockedUntil: '' } });
+      }
+      synced++;
+    } catch (error) {
+      const attempts = (record.syncAttempts || 0) + 1;
+      const giveUp = attempts >= maxAttempts;
+      const result = await collection.updateOne(unchanged, {
+        $set: {
+          syncStatus: giveUp ? 'failed' : 'pending',
+          syncAttempts: attempts,
+          syncError: error.message,
+          nextSyncAt: new Date(Date.now() + retryDelay(attempts))
+        },
+        $unset: { syncLockedUntil: '' }
+      });
+      if (result.matchedCount === 0) {
+        await collection.updateOne({ _id: record._id }, { $unset: { syncLockedUntil: '' } });
+      }
+      failed++;
+      console.warn(`⚠️ [Notion] 同步记录 ${record._id} 失败（第 ${attempts} 次${giveUp ? '，不再重试' : ''}）:`, error.message);
+    }
+  }
+  
+  if (synced + failed > 0) {
+    console.log(`🔗 [Notion] 同步 ${synced} 条，失败 ${failed} 条`);
+  }
+  return { synced, failed };
+}
+
+/**
+ * 触发后台同步，不阻塞当前请求
+ * 默认按间隔节流；记录刚被修改时传 force 立即同步，正在同步时在本轮结束后再执行一轮
+ */
+export function scheduleNotionSync({ force = false } = {}) {
+  if (!isNotionSyncEnabled()) {
+    return;
+  }
+  if (running) {
+    rerun = rerun || force;
+    return;
+  }
+  if (!force && Date.now() - lastSyncAt < SYNC_INTERVAL_MS) {
+    return;
+  }
+  lastSyncAt = Date.now();
+  running = syncPendingRecords()
+    .catch(error => {
+      console.warn('⚠️ [Notion] 自动同步失败:', error.message);
+    })
+    .finally(() => {
+      running = null;
+      if (rerun) {
+        rerun = false;
+        scheduleNotionSync({ force: true });
+      }
+    });
+}
+
+// 等待 promise 完成，超过 deadline 时返回 null
+function waitUntil(promise, deadline) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0), null);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 立即同步，直到没有到期的待同步记录或超过 timeoutMs
+ * Vercel 在响应返回后可能冻结函数实例，写入记录的请求在返回响应前调用；与自动同步共用同一轮，不会重复推送同一条记录
+ * 等待的一轮可能在本次记录标记为待同步前就已开始，每轮结束后检查是否还有到期记录，有则再执行一轮
+ * 超时时正在进行的一轮继续在后台执行，剩余的记录保持 pending
+ * @returns {Promise<{ synced: number, failed: number }>} 等待期间完成的数量
+ */
+export async function drainNotionSync(timeoutMs) {
+  const total = { synced: 0, failed: 0 };
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    if (!running) {
+      scheduleNotionSync({ force: true });
+    }
+    if (!running) {
+      break;
+    }
+    const result = await waitUntil(running, deadline);
+    // 超时或本轮出错
+    if (!result) {
+      break;
+    }
+    total.synced += result.synced;
+    total.failed += result.failed;
+    // 本轮结束后立即开始的下一轮可能已领取本次标记的记录，继续等待
+    if (!running && !(await database.homeworkRecords().findOne(dueRecordFilter(), { projection: { _id: 1 } }))) {
+      break;
+    }
+  }
+  return total;
+}
+
+/**
+ * 将记录标记为待同步（回填和重试使用）
+ * @param {object} filter 记录查询条件
+ * @returns {Promise<number>} 标记的记录数
+ */
+export async function queueRecordsForSync(filter) {
+  const result = await database.homeworkRecords().updateMany(filter, { $set: pendingSyncFields() });
+  return result.modifiedCount;
+}
+
+/**
+ * 回填：将已有记录同步到 Notion（npm run notion:backfill）
+ * 先补充数据库中缺少的属性，再把记录标记为待同步并逐批推送；失败的记录推迟到下次重试时间，不会在本轮重复取出
+ * @param {object} [options]
+ * @param {boolean} [options.all] 为 true 时全部记录（包括回收站中的）重新同步，否则只处理还没有 Notion 页面的有效记录
+ * @param {Function} [options.onProgress] 每批完成后调用，参数为 { queued, synced, failed }
+ * @returns {Promise<{ queued: number, synced: number, failed: number }>}
+ */
+export async function backfillNotion({ all = false, batchSize = BACKFILL_BATCH_SIZE, onProgress } = {}) {
+  await ensureDatabaseProperties(await loadAllPracticeItems());
+  
+  const filter = all ? {} : { deletedAt: null, notionPageId: { $exists: false } };
+  const queued = await queueRecordsForSync(filter);
+  let synced = 0;
+  let failed = 0;
+  for (;;) {
+    const result = await syncPendingRecords({ limit: batchSize });
+    if (result.synced + result.failed === 0) {
+      break;
+    }
+    synced += result.synced;
+    failed += result.failed;
+    if (onProgress) {
+      onProgress({ queued, synced, failed });
+    }
+  }
+  return { queued, synced, failed };
+}
+
+// 彻底删除前归档对应的 Notion 页面；删除尚未同步时页面可能仍未归档
+export async function archiveNotionPages(records) {
+  if (!isNotionSyncEnabled()) {
+    return;
+  }
+  const pending = records.filter(record => record.notionPageId && record.syncStatus !== 'synced');
+  for (const record of pending) {
+    try {
+      await notionClient().pages.update({ page_id: record.notionPageId, archived: true });
+    } catch (error) {
+      console.warn(`⚠️ [Notion] 归档页面 ${record.notionPageId} 失败:`, error.message);
+    }
+  }
+}
+
+// 各同步状态的记录数
+export async function notionSyncStatus() {
+  const counts = await database.homeworkRecords().aggregate([
+    { $match: { syncStatus: { $in: SYNC_STATUSES } } },
+    { $group: { _id: '$syncStatus', count: { $sum: 1 } } }
+  ]).toArray();
+  const byStatus = Object.fromEntries(SYNC_STATUSES.map(status => [status, 0]));
+  counts.forEach(item => {
+    byStatus[item._id] = item.count;
+  });
+  
+  const [lastFailed, notSynced] = await Promise.all([
+    database.homeworkRecords()
+      .find({ syncStatus: 'failed' }, { projection: { _id: 1, name: 1, date: 1, syncError: 1, syncAttempts: 1 } })
+      .sort({ nextSyncAt: -1 })
+      .limit(20)
+      .toArray(),
+    database.homeworkRecords().countDocuments({ deletedAt: null, notionPageId: { $exists: false } })
+  ]);
+  
+  return {
+    enabled: isNotionSyncEnabled(),
+    databaseId: config.notion.databaseId || null,
+    counts: byStatus,
+    // 未建立 Notion 页面的有效记录，可用回填命令补齐
+    withoutPage: notSynced,
+    recentFailures: lastFailed.map(record => ({
+      _id: record._id.toString(),
+      name: record.name,
+      date: record.date,
+      attempts: record.syncAttempts || 0,
+      error: record.syncError || ''
+    }))
+  };
+}
@@ -0,0 +1,308 @@
+import database from './database.js';
+import { pendingSyncFields } from './notionSync.js';
+import { buildAuditEntry, writeAuditLogs } from './auditLog.js';
+import { enqueueRecordEvents } from './webhooks.js';
+
+// ================== 参与者 ==================
+// participants 集合保存每位参与者的标准姓名和别名，提交时将姓名解析为参与者，
+// 功课记录保存 participantId，并将 name 统一为标准姓名
+
+// 姓名比较键：统一全角半角、合并空白、忽略大小写
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// 显示用姓名：统一全角半角并合并空白
+export function cleanName(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function formatParticipant(doc, recordCount) {
+  const formatted = {
+    _id: doc._id.toString(),
+    name: doc.name,
+    aliases: doc.aliases || [],
+    // 是否列入应提交名单
+    expected: !!doc.expected,
+    groupId: doc.groupId ? doc.groupId.toString() : null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+  if (recordCount !== undefined) {
+    formatted.recordCount = recordCount;
+  }
+  return formatted;
+}
+
+// 按姓名查找参与者（标准姓名或别名），找不到返回 null
+export async function findParticipantByName(name) {
+  const key = normalizeName(name);
+  if (!key) {
+    return null;
+  }
+  return database.participants().findOne({ keys: key });
+}
+
+// 按姓名解析参与者，找不到时自动创建
+export async function resolveParticipant(name) {
+  const existing = await findParticipantByName(name);
+  if (existing) {
+    return existing;
+  }
+  
+  const now = new Date();
+  const participant = {
+    name: cleanName(name),
+    aliases: [],
+    keys: [normalizeName(name)],
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  try {
+    await database.participants().insertOne(participant);
+    console.log('👤 [参与者] 新增:', participant.name);
+    return participant;
+  } catch (error) {
+    // 并发提交同一新姓名时唯一索引冲突，返回先创建的参与者
+    if (error.code === 11000) {
+      return findParticipantByName(name);
+    }
+    throw error;
+  }
+}
+
+// 批量解析姓名，返回 Map<原始姓名, 参与者>
+export async function resolveParticipants(names) {
+  const resolved = new Map();
+  for (const name of new Set(names)) {
+    resolved.set(name, await resolveParticipant(name));
+  }
+  return resolved;
+}
+
+// 将解析结果写入待保存的记录数据：name 改为标准姓名，保留原始输入
+export function applyParticipant(record, participant) {
+  if (record.name !== participant.name) {
+    record.rawName = record.name;
+  }
+  record.name = participant.name;
+  record.participantId = participant._id;
+  return record;
+}
+
+// 读取全部参与者，返回按ID和姓名键查找的索引
+export async function loadParticipantIndex() {
+  const participants = await database.participants().find({}).toArray();
+  const byId = new Map();
+  const byKey = new Map();
+  participants.forEach(participant => {
+    byId.set(participant._id.toString(), participant);
+    (participant.keys || []).forEach(key => byKey.set(key, participant));
+  });
+  return { participants, byId, byKey };
+}
+
+// 记录所属的参与者：优先使用 participantId，旧记录按姓名匹配
+export function participantForRecord(record, index) {
+  if (record.participantId) {
+    const participant = index.byId.get(record.participantId.toString());
+    if (participant) {
+      return participant;
+    }
+  }
+  return index.byKey.get(normalizeName(record.name)) || null;
+}
+
+/**
+ * 将按 { participantId, name } 分组的统计合并为按参与者分组
+ * @param {Array} groups 聚合结果，_id 为 { participantId, name }，包含 count 与 lastSubmit
+ * @param {object} index loadParticipantIndex() 的返回值
+ * @returns {Array<{ _id: string, participantId: string|null, count: number, lastSubmit: Date }>}
+ */
+export function mergeNameStats(groups, index) {
+  const merged = new Map();
+  
+  groups.forEach(group => {
+    const participant = participantForRecord(group._id, index);
+    const key = participant ? participant._id.toString() : `name:${normalizeName(group._id.name)}`;
+    const current = merged.get(key) || {
+      _id: participant ? participant.name : group._id.name,
+      participantId: participant ? participant._id.toString() : null,
+      count: 0,
+      lastSubmit: null
+    };
+    current.count += group.count;
+    if (group.lastSubmit && (!current.lastSubmit || group.lastSubmit > current.lastSubmit)) {
+      current.lastSubmit = group.lastSubmit;
+    }
+    merged.set(key, current);
+  });
+  
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * 将记录关联到参与者（participantId 和 name 改为该参与者），已关联的记录跳过
+ * 逐条写入修改日志，未删除的记录触发 record.updated 事件
+ * @param {object|null} req 请求对象，用于记录操作人
+ * @param {object} filter 记录查询条件
+ * @param {object} participant 目标参与者
+ * @param {string} participantChange 日志中的参与者操作类型：merge、rename 或 sync
+ * @returns {Promise<number>} 修改的记录数
+ */
+async function assignRecordsToParticipant(req, filter, participant, participantChange) {
+  const collection = database.homeworkRecords();
+  const participantId = participant._id.toString();
+  const records = (await collection.find(filter).toArray()).filter(record =>
+    !record.participantId || record.participantId.toString() !== participantId || record.name !== participant.name);
+  if (records.length === 0) {
+    return 0;
+  }
+  
+  const now = new Date();
+  const ids = records.map(record => record._id);
+  await collection.updateMany(
+    { _id: { $in: ids } },
+    { $set: { participantId: participant._id, name: participant.name, updatedAt: now, ...pendingSyncFields(now) } }
+  );
+  
+  const updated = await collection.find({ _id: { $in: ids } }).toArray();
+  const beforeById = new Map(records.map(record => [record._id.toString(), record]));
+  const auditEntries = [];
+  const events = [];
+  updated.forEach(after => {
+    const before = beforeById.get(after._id.toString());
+    const entry = buildAuditEntry(req, { action: 'update', recordId: after._id, before, after, participantChange });
+    auditEntries.push(entry);
+    if (!after.deletedAt) {
+      events.push({ record: after, changes: entry.changes });
+    }
+  });
+  await writeAuditLogs(auditEntries);
+  await enqueueRecordEvents(req, 'record.updated', events);
+  
+  return updated.length;
+}
+
+// 将参与者的全部记录（包括尚未关联 participantId 的旧记录）指向目标参与者
+function repointRecords(req, names, participantIds, target, participantChange) {
+  return assignRecordsToParticipant(
+    req,
+    {
+      $or: [
+        { participantId: { $in: participantIds } },
+        { participantId: { $exists: false }, name: { $in: names } }
+      ]
+    },
+    target,
+    participantChange
+  );
+}
+
+/**
+ * 合并参与者：source 的姓名和别名并入 target，source 的记录改为 target
+ * 先更新 target 和记录，最后删除 source；中途失败时 source 仍然存在，可以重新合并
+ * @param {object|null} req 请求对象，用于记录操作人
+ */
+export async function mergeParticipants(source, target, req = null) {
+  const participants = database.participants();
+  const sourceNames = [source.name, ...(source.aliases || [])];
+  
+  // 先把 source 的姓名键换成占位键，释放唯一约束（空数组在唯一索引中按 null 计，多个 source 会冲突）
+  // 姓名和别名保留在 source 上，target 的姓名键由它们重新计算
+  await participants.updateOne({ _id: source._id }, { $set: { keys: [`#merging:${source._id}`], updatedAt: new Date() } });
+  await participants.updateOne(
+    { _id: target._id },
+    {
+      $addToSet: {
+        aliases: { $each: sourceNames.filter(name => normalizeName(name) !== normalizeName(target.name)) },
+        keys: { $each: [...new Set(sourceNames.map(normalizeName).filter(Boolean))] }
+      },
+      // 任一方在应提交名单中，合并后仍在名单中
+      $set: {
+        updatedAt: new Date(),
+        ...(source.expected ? { expected: true } : {}),
+        // target 未分组时沿用 source 的小组
+        ...(source.groupId && !target.groupId ? { groupId: source.groupId } : {})
+      }
+    }
+  );
+  
+  const movedRecords = await repointRecords(req, sourceNames, [source._id, target._id], target, 'merge');
+  await participants.deleteOne({ _id: source._id });
+  console.log(`👥 [参与者] 合并 ${source.name} -> ${target.name}，更新 ${movedRecords} 条记录`);
+  
+  return { movedRecords, participant: await participants.findOne({ _id: target._id }) };
+}
+
+// 修改标准姓名或别名，返回 { participant, error }
+export async function updateParticipantNames(participant, { name, aliases }, req = null) {
+  const participants = database.participants();
+  const newName = name !== undefined ? cleanName(name) : participant.name;
+  const newAliases = aliases !== undefined
+    ? [...new Set(aliases.map(cleanName).filter(Boolean))]
+    : [...(participant.aliases || [])];
+  
+  // 原标准姓名保留为别名，便于旧写法继续匹配
+  if (normalizeName(newName) !== normalizeName(participant.name) && aliases === undefined) {
+    newAliases.push(participant.name);
+  }
+  
+  const aliasList = newAliases.filter(alias => normalizeName(alias) !== normalizeName(newName));
+  const keys = [...new Set([newName, ...aliasList].map(normalizeName))];
+  
+  const conflict = await participants.findOne({ _id: { $ne: participant._id }, keys: { $in: keys } });
+  if (conflict) {
+    return { error: `姓名或别名已属于参与者「${conflict.name}」，请使用合并功能` };
+  }
+  
+  await participants.updateOne(
+    { _id: participant._id },
+    { $set: { name: newName, aliases: aliasList, keys, updatedAt: new Date() } }
+  );
+  const updated = await participants.findOne({ _id: participant._id });
+  await repointRecords(req, [newName, ...aliasList], [participant._id], updated, 'rename');
+  
+  return { participant: updated };
+}
+
+// 设置是否列入应提交名单
+export async function setParticipantExpected(participant, expected) {
+  await database.participants().updateOne(
+    { _id: participant._id },
+    { $set: { expected, updatedAt: new Date() } }
+  );
+  return database.participants().findOne({ _id: participant._id });
+}
+
+// 设置所属小组，groupId 为 null 时移出小组
+export async function setParticipantGroup(participant, groupId) {
+  const update = groupId
+    ? { $set: { groupId, updatedAt: new Date() } }
+    : { $unset: { groupId: '' }, $set: { updatedAt: new Date() } };
+  await database.participants().updateOne({ _id: participant._id }, update);
+  return database.participants().findOne({ _id: participant._id });
+}
+
+// 为尚未关联参与者的旧记录补充 participantId，返回 { names, records }
+export async function syncParticipants(req = null) {
+  const collection = database.homeworkRecords();
+  const names = await collection.distinct('name', { participantId: { $exists: false } });
+  let updatedRecords = 0;
+  
+  for (const name of names.filter(Boolean)) {
+    const participant = await resolveParticipant(name);
+    updatedRecords += await assignRecordsToParticipant(req, { participantId: { $exists: false }, name }, participant, 'sync');
+  }
+  
+  console.log(`👥 [参与者] 同步完成：${names.length} 个姓名，${updatedRecords} 条记录`);
+  return { names: names.length, records: updatedRecords };
+}
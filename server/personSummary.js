@@ -0,0 +1,171 @@
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { loadAllPracticeItems } from './practiceItems.js';
+import { findParticipantByName, cleanName } from './participants.js';
+
+// ================== 个人功课汇总 ==================
+// 累计数量、连续打卡天数、本月缺勤天数与平均值，日期均为 YYYY-MM-DD 字符串
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayNumber(dateString) {
+  return Math.floor(Date.parse(`${dateString}T00:00:00Z`) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 计算连续打卡天数
+ * 当天尚未提交时，截至昨天的连续天数仍算作当前连续天数
+ * @param {string[]} dates 提交过功课的日期（不要求排序、可重复）
+ * @param {string} today 今天的日期
+ */
+export function computeStreaks(dates, today) {
+  const days = [...new Set(dates.map(toDayNumber))].sort((a, b) => a - b);
+  const todayNumber = toDayNumber(today);
+  
+  let longest = { length: 0, start: null, end: null };
+  let runStart = null;
+  let previous = null;
+  
+  days.forEach(day => {
+    if (previous === null || day !== previous + 1) {
+      runStart = day;
+    }
+    if (day - runStart + 1 > longest.length) {
+      longest = { length: day - runStart + 1, start: runStart, end: day };
+    }
+    previous = day;
+  });
+  
+  // 从今天（或昨天）往前数连续天数
+  const daySet = new Set(days);
+  let cursor = daySet.has(todayNumber) ? todayNumber : todayNumber - 1;
+  let current = 0;
+  while (daySet.has(cursor)) {
+    current++;
+    cursor--;
+  }
+  
+  return {
+    current,
+    longest: longest.length,
+    longestStart: longest.start === null ? null : fromDayNumber(longest.start),
+    longestEnd: longest.end === null ? null : fromDayNumber(longest.end)
+  };
+}
+
+/**
+ * 本月缺勤情况：从本月1日（或首次提交日，取较晚者）到昨天没有提交的日期
+ * 今天尚未结束，不计入缺勤
+ */
+export function computeMonthAttendance(dates, today, firstDate) {
+  const month = today.slice(0, 7);
+  const daySet = new Set(dates);
+  const monthStart = toDayNumber(`${month}-01`);
+  const start = firstDate ? Math.max(monthStart, toDayNumber(firstDate)) : monthStart;
+  const yesterday = toDayNumber(today) - 1;
+  
+  const missedDates = [];
+  for (let day = start; day <= yesterday; day++) {
+    const date = fromDayNumber(day);
+    if (!daySet.has(date)) {
+      missedDates.push(date);
+    }
+  }
+  
+  return {
+    month,
+    activeDays: dates.filter(date => date.startsWith(month)).length,
+    missedDays: missedDates.length,
+    missedDates,
+    submittedToday: daySet.has(today)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 查询条件：参与者的记录，旧记录没有 participantId 时按姓名匹配
+export function personFilter(name, participant) {
+  if (!participant) {
+    return { ...ACTIVE_RECORD_FILTER, name };
+  }
+  return {
+    ...ACTIVE_RECORD_FILTER,
+    $or: [
+      { participantId: participant._id },
+      { participantId: { $exists: false }, name: { $in: [participant.name, ...(participant.aliases || [])] } }
+    ]
+  };
+}
+
+/**
+ * 生成个人功课汇总，没有任何记录时返回 null
+ * @param {string} name 姓名（标准姓名或别名）
+ * @param {string} today 今天的日期
+ */
+export async function buildPersonSummary(name, today) {
+  const participant = await findParticipantByName(name);
+  const filter = personFilter(cleanName(name), participant);
+  const practiceItems = await loadAllPracticeItems();
+  
+  const totalsGroup = { _id: null, totalRecords: { $sum: 1 } };
+  practiceItems.forEach(item => {
+    totalsGroup[item.key] = { $sum: { $ifNull: [`$${item.key}`, 0] } };
+  });
+  
+  const collection = database.homeworkRecords();
+  const [totalsResult, dateGroups] = await Promise.all([
+    collection.aggregate([{ $match: filter }, { $group: totalsGroup }]).toArray(),
+    collection.aggregate([
+      { $match: filter },
+      { $group: { _id: '$date' } },
+      { $sort: { _id: 1 } }
+    ]).toArray()
+  ]);
+  
+  const totals = totalsResult[0];
+  if (!totals) {
+    return null;
+  }
+  
+  const dates = dateGroups.map(group => group._id).filter(Boolean);
+  const firstDate = dates[0] || null;
+  const lastDate = dates[dates.length - 1] || null;
+  const activeDays = dates.length;
+  const calendarDays = firstDate ? toDayNumber(today) - toDayNumber(firstDate) + 1 : 0;
+  
+  const practiceTotals = practiceItems
+    .filter(item => item.enabled || totals[item.key] > 0)
+    .map(item => ({
+      key: item.key,
+      name: item.name,
+      unit: item.unit,
+      countsTowardClassics: item.countsTowardClassics,
+      total: totals[item.key],
+      // 每个打卡日的平均值
+      perActiveDay: activeDays > 0 ? round(totals[item.key] / activeDays) : 0,
+      // 自首次提交以来每天的平均值
+      perCalendarDay: calendarDays > 0 ? round(totals[item.key] / calendarDays) : 0
+    }));
+  
+  return {
+    name: participant ? participant.name : cleanName(name),
+    participantId: participant ? participant._id.toString() : null,
+    aliases: participant ? participant.aliases || [] : [],
+    totalRecords: totals.totalRecords,
+    activeDays,
+    firstDate,
+    lastDate,
+    totals: practiceTotals,
+    totalClassics: practiceTotals
+      .filter(item => item.countsTowardClassics)
+      .reduce((sum, item) => sum + item.total, 0),
+    streak: computeStreaks(dates, today),
+    thisMonth: computeMonthAttendance(dates, today, firstDate)
+  };
+}
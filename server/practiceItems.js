@@ -0,0 +1,201 @@
+import database from './database.js';
+import { SYNC_FIELDS } from './validation.js';
+
+// ================== 功课项目目录 ==================
+// 功课项目保存在 practice_items 集合中，提交、统计、导出和前端表单都由目录驱动
+
+// 默认功课项目，集合为空时自动写入
+export const DEFAULT_PRACTICE_ITEMS = [
+  { key: 'nineWord', name: '九字禅', fullName: '九字禅', unit: '声', inputType: 'number', maxValue: null, countsTowardClassics: false },
+  { key: 'buddhaWorship', name: '拜忏文', fullName: '礼佛拜忏文', unit: '遍', inputType: 'number', maxValue: null, countsTowardClassics: false },
+  { key: 'quietZen', name: '静禅', fullName: '静禅', unit: '分钟', inputType: 'number', maxValue: null, countsTowardClassics: false },
+  { key: 'activeZen', name: '动禅', fullName: '动禅', unit: '分钟', inputType: 'number', maxValue: null, countsTowardClassics: false },
+  { key: 'diamond', name: '金刚经', fullName: '金刚般若波罗蜜经', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true },
+  { key: 'amitabha', name: '阿弥陀经', fullName: '佛说阿弥陀经', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true },
+  { key: 'guanyin', name: '普门品', fullName: '观世音菩萨普门品', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true },
+  { key: 'puxian', name: '普贤品', fullName: '普贤行愿品', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true },
+  { key: 'dizang', name: '地藏经', fullName: '地藏菩萨本愿经', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true },
+  { key: 'yaoshi', name: '药师经', fullName: '药师琉璃光如来本愿功德经', unit: '遍', inputType: 'radio', maxValue: 4, countsTowardClassics: true }
+].map((item, index) => ({ ...item, order: (index + 1) * 10, enabled: true }));
+
+export const PRACTICE_UNITS = ['声', '遍', '分钟'];
+export const PRACTICE_INPUT_TYPES = ['number', 'radio'];
+
+// 功课记录本身的字段，不能用作功课项目键名
+const RESERVED_KEYS = [
+  '_id', 'id', 'date', 'name', 'remark', 'deviceId', 'localId', 'submitTime', 'submittedAt',
+  'createdAt', 'updatedAt', 'totalClassics', 'storageMode', 'submitTimestamp',
+  'deletedAt', 'deletedBy', 'participantId', 'rawName', ...SYNC_FIELDS
+];
+
+// 目录缓存，避免每个请求都查询数据库
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { items: null, loadedAt: 0 };
+
+export function invalidatePracticeItemsCache() {
+  cache = { items: null, loadedAt: 0 };
+}
+
+function toPublicItem(doc) {
+  return {
+    key: doc.key,
+    name: doc.name,
+    fullName: doc.fullName || doc.name,
+    unit: doc.unit,
+    inputType: doc.inputType,
+    maxValue: doc.maxValue ?? null,
+    countsTowardClassics: !!doc.countsTowardClassics,
+    order: doc.order ?? 0,
+    enabled: doc.enabled !== false
+  };
+}
+
+// 读取全部功课项目（包括已停用的），按 order 排序
+export async function loadAllPracticeItems() {
+  if (cache.items && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.items;
+  }
+  
+  const collection = database.practiceItems();
+  let docs = await collection.find({}).sort({ order: 1, key: 1 }).toArray();
+  
+  if (docs.length === 0) {
+    console.log('🔧 [功课项目] 目录为空，写入默认功课项目...');
+    try {
+      await collection.insertMany(DEFAULT_PRACTICE_ITEMS.map(item => ({
+        ...item,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      })), { ordered: false });
+    } catch (error) {
+      // 并发初始化时唯一索引冲突可忽略
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    docs = await collection.find({}).sort({ order: 1, key: 1 }).toArray();
+    await database.applyRecordsValidator(docs.map(doc => doc.key));
+  }
+  
+  cache = { items: docs.map(toPublicItem), loadedAt: Date.now() };
+  return cache.items;
+}
+
+// 读取启用中的功课项目
+export async function getPracticeItems() {
+  const items = await loadAllPracticeItems();
+  return items.filter(item => item.enabled);
+}
+
+// 计算一条记录的经典总数
+export function classicsTotal(record, items) {
+  return items
+    .filter(item => item.countsTowardClassics)
+    .reduce((sum, item) => sum + (Number(record[item.key]) || 0), 0);
+}
+
+// 经典总数计算表达式（用于聚合管道）
+export function classicsTotalExpression(items) {
+  const fields = items.filter(item => item.countsTowardClassics).map(item => ({ $ifNull: [`$${item.key}`, 0] }));
+  return fields.length > 0 ? { $add: fields } : { $literal: 0 };
+}
+
+// 统计字段名，例如 diamond -> totalDiamond
+export function totalFieldName(key) {
+  return 'total' + key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// 导出表头，例如 金刚经(遍)
+export function columnHeader(item) {
+  return `${item.name}(${item.unit})`;
+}
+
+// 校验功课项目数据，partial 为 true 时只校验提供的字段（用于更新）
+export function validatePracticeItem(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const has = field => input[field] !== undefined;
+  
+  if (!input || typeof input !== 'object') {
+    return { value, errors: [{ field: 'body', error: '请求体必须是对象' }] };
+  }
+  
+  if (!partial) {
+    if (typeof input.key !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]{0,39}$/.test(input.key)) {
+      errors.push({ field: 'key', error: '键名只能包含字母和数字，且以字母开头' });
+    } else if (RESERVED_KEYS.includes(input.key)) {
+      errors.push({ field: 'key', error: `键名 ${input.key} 为保留字段` });
+    } else {
+      value.key = input.key;
+    }
+  }
+  
+  if (!partial || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.trim().length > 20) {
+      errors.push({ field: 'name', error: '显示名称为必填项，且不超过20个字符' });
+    } else {
+      value.name = input.name.trim();
+    }
+  }
+  
+  if (has('fullName')) {
+    if (typeof input.fullName !== 'string' || input.fullName.trim().length > 50) {
+      errors.push({ field: 'fullName', error: '完整名称不超过50个字符' });
+    } else {
+      value.fullName = input.fullName.trim();
+    }
+  } else if (!partial && value.name) {
+    value.fullName = value.name;
+  }
+  
+  if (!partial || has('unit')) {
+    if (!PRACTICE_UNITS.includes(input.unit)) {
+      errors.push({ field: 'unit', error: `单位只能是 ${PRACTICE_UNITS.join('/')}` });
+    } else {
+      value.unit = input.unit;
+    }
+  }
+  
+  if (!partial || has('inputType')) {
+    const inputType = input.inputType === undefined ? 'number' : input.inputType;
+    if (!PRACTICE_INPUT_TYPES.includes(inputType)) {
+      errors.push({ field: 'inputType', error: `输入方式只能是 ${PRACTICE_INPUT_TYPES.join('/')}` });
+    } else {
+      value.inputType = inputType;
+    }
+  }
+  
+  if (has('maxValue') && input.maxValue !== null) {
+    if (!Number.isInteger(input.maxValue) || input.maxValue < 1 || input.maxValue > 100000) {
+      errors.push({ field: 'maxValue', error: '最大值必须是 1-100000 的整数' });
+    } else {
+      value.maxValue = input.maxValue;
+    }
+  } else if (has('maxValue') || !partial) {
+    value.maxValue = null;
+  }
+  
+  if (value.inputType === 'radio' && !value.maxValue && !partial) {
+    errors.push({ field: 'maxValue', error: '单选输入方式必须设置最大值' });
+  }
+  
+  if (!partial || has('countsTowardClassics')) {
+    value.countsTowardClassics = input.countsTowardClassics === true;
+  }
+  
+  if (has('order')) {
+    if (!Number.isInteger(input.order)) {
+      errors.push({ field: 'order', error: '排序值必须是整数' });
+    } else {
+      value.order = input.order;
+    }
+  }
+  
+  if (has('enabled')) {
+    value.enabled = input.enabled !== false;
+  } else if (!partial) {
+    value.enabled = true;
+  }
+  
+  return { value, errors };
+}
@@ -0,0 +1,132 @@
+// ================== 功课记录查询条件 ==================
+// 将 /api/records 等接口的查询参数转换为 MongoDB 查询、排序条件
+
+// 记录自身的可排序字段，功课项目字段由目录提供，totalClassics 为计算字段
+const BASE_SORT_FIELDS = ['submittedAt', 'createdAt', 'date', 'name', 'deviceId', 'totalClassics'];
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COMPARISON_OPERATORS = {
+  '>=': '$gte',
+  '<=': '$lte',
+  '!=': '$ne',
+  '>': '$gt',
+  '<': '$lt',
+  '=': '$eq'
+};
+
+// 转义正则特殊字符，避免用户输入被当作正则表达式
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 支持重复参数（?name=a&name=b）或逗号分隔（?name=a,b）
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// 解析功课阈值表达式，例如 diamond>0、nineWord>=108
+function parsePracticeCondition(expression, practiceKeys) {
+  const match = expression.match(/^(\w+)\s*(>=|<=|!=|>|<|=)\s*(-?\d+)$/);
+  if (!match) {
+    return null;
+  }
+  const [, field, operator, value] = match;
+  if (!practiceKeys.includes(field)) {
+    return null;
+  }
+  return { field, operator: COMPARISON_OPERATORS[operator], value: parseInt(value) };
+}
+
+// 未删除的记录（回收站中的记录带有 deletedAt）
+export const ACTIVE_RECORD_FILTER = Object.freeze({ deletedAt: null });
+
+// 构建查询条件，返回 { filter, errors }
+// practiceKeys 为功课项目键名列表，deleted 为 true 时查询回收站中的记录
+export function buildRecordFilter(query = {}, practiceKeys = [], { deleted = false } = {}) {
+  const filter = { deletedAt: deleted ? { $ne: null } : null };
+  const errors = [];
+  
+  // 姓名（精确匹配，可多个）
+  const names = toList(query.name);
+  if (names.length === 1) {
+    filter.name = names[0];
+  } else if (names.length > 1) {
+    filter.name = { $in: names };
+  }
+  
+  // 日期范围
+  const { startDate, endDate } = query;
+  if (startDate && (typeof startDate !== 'string' || !DATE_PATTERN.test(startDate))) {
+    errors.push({ field: 'startDate', error: '开始日期格式应为 YYYY-MM-DD' });
+  }
+  if (endDate && (typeof endDate !== 'string' || !DATE_PATTERN.test(endDate))) {
+    errors.push({ field: 'endDate', error: '结束日期格式应为 YYYY-MM-DD' });
+  }
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = startDate;
+    if (endDate) filter.date.$lte = endDate;
+  }
+  
+  // 设备
+  const devices = toList(query.deviceId);
+  if (devices.length === 1) {
+    filter.deviceId = devices[0];
+  } else if (devices.length > 1) {
+    filter.deviceId = { $in: devices };
+  }
+  
+  // 功课阈值，例如 ?filter=diamond>0,nineWord>=108
+  toList(query.filter).forEach(expression => {
+    const condition = parsePracticeCondition(expression, practiceKeys);
+    if (!condition) {
+      errors.push({ field: 'filter', error: `无法识别的筛选条件: ${expression}` });
+      return;
+    }
+    filter[condition.field] = { ...(filter[condition.field] || {}), [condition.operator]: condition.value };
+  });
+  
+  // 备注关键字
+  if (typeof query.remark === 'string' && query.remark.trim()) {
+    filter.remark = { $regex: escapeRegex(query.remark.trim()), $options: 'i' };
+  }
+  
+  return { filter, errors };
+}
+
+// 构建排序条件，返回 { sort, field, order, errors }
+// 重复的查询参数（?order=a&order=b）会被解析为数组，只接受单个字符串
+export function buildRecordSort(query = {}, practiceKeys = []) {
+  const field = query.sort || 'submittedAt';
+  const order = query.order || 'desc';
+  const errors = [];
+  
+  if (typeof field !== 'string' || (!BASE_SORT_FIELDS.includes(field) && !practiceKeys.includes(field))) {
+    errors.push({ field: 'sort', error: `不支持的排序字段: ${field}` });
+  }
+  if (typeof order !== 'string' || !SORT_ORDERS.includes(order.toLowerCase())) {
+    errors.push({ field: 'order', error: `排序方向只能是 ${SORT_ORDERS.join(' 或 ')}` });
+  }
+  if (errors.length > 0) {
+    return { sort: null, field, order, errors };
+  }
+  
+  const direction = order.toLowerCase() === 'asc' ? 1 : -1;
+  const sort = { [field]: direction };
+  // 相同值时按提交时间排序，保证分页稳定
+  if (field !== 'submittedAt') {
+    sort.submittedAt = -1;
+  }
+  sort._id = direction;
+  
+  return { sort, field, order: order.toLowerCase(), errors };
+}
@@ -0,0 +1,84 @@
+import config from './config.js';
+import database from './database.js';
+import { buildAuditEntry, writeAuditLogs } from './auditLog.js';
+import { archiveNotionPages } from './notionSync.js';
+
+// ================== 回收站 ==================
+// 删除记录时只写入 deletedAt，保留期过后由 purgeExpiredRecords 彻底删除
+
+// 单次自动清理的最大条数
+const PURGE_BATCH_SIZE = 500;
+
+// 同一实例两次自动清理的最小间隔
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurgeAt = 0;
+
+export function retentionDays() {
+  return config.recycleBin.retentionDays;
+}
+
+// 记录的自动清理时间，不自动清理时返回 null
+export function purgeAtFor(deletedAt) {
+  const days = retentionDays();
+  if (!deletedAt || days <= 0) {
+    return null;
+  }
+  return new Date(new Date(deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// 彻底删除指定的回收站记录并写入审计日志，返回删除的记录
+export async function purgeRecords(ids, req, extra = {}) {
+  const collection = database.homeworkRecords();
+  const records = await collection
+    .find({ _id: { $in: ids }, deletedAt: { $ne: null } })
+    .toArray();
+  
+  if (records.length === 0) {
+    return [];
+  }
+  
+  await archiveNotionPages(records);
+  await collection.deleteMany({ _id: { $in: records.map(record => record._id) }, deletedAt: { $ne: null } });
+  await writeAuditLogs(records.map(record => buildAuditEntry(req, {
+    action: 'purge',
+    recordId: record._id,
+    before: record,
+    ...extra
+  })));
+  
+  return records;
+}
+
+// 彻底删除超过保留期的记录
+export async function purgeExpiredRecords() {
+  const days = retentionDays();
+  if (days <= 0) {
+    return 0;
+  }
+  
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const expired = await database.homeworkRecords()
+    .find({ deletedAt: { $ne: null, $lt: cutoff } }, { projection: { _id: 1 } })
+    .limit(PURGE_BATCH_SIZE)
+    .toArray();
+  
+  if (expired.length === 0) {
+    return 0;
+  }
+  
+  const purged = await purgeRecords(expired.map(record => record._id), null, { auto: true });
+  console.log(`🗑️ [回收站] 自动清理 ${purged.length} 条超过 ${days} 天的记录`);
+  return purged.length;
+}
+
+// 按间隔触发自动清理，不阻塞当前请求
+export function schedulePurge() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) {
+    return;
+  }
+  lastPurgeAt = Date.now();
+  purgeExpiredRecords().catch(error => {
+    console.warn('⚠️ [回收站] 自动清理失败:', error.message);
+  });
+}
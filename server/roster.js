@@ -0,0 +1,137 @@
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { isValidDateString } from './validation.js';
+import { loadParticipantIndex, participantForRecord } from './participants.js';
+
+// ================== 应提交名单与未提交统计 ==================
+// 参与者的 expected 为 true 时列入应提交名单，按日期找出名单中没有提交记录的人
+
+// 单次查询的最大天数
+export const MISSING_MAX_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayNumber(dateString) {
+  return Math.floor(Date.parse(`${dateString}T00:00:00Z`) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 校验未提交查询参数：date 查询单日，或 startDate + endDate 查询范围，默认为今天
+ * @returns {{ value: { startDate: string, endDate: string }, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateMissingQuery(query = {}, today) {
+  const errors = [];
+  const value = {};
+  
+  if (query.date !== undefined) {
+    if (!isValidDateString(query.date)) {
+      errors.push({ field: 'date', error: '日期格式应为 YYYY-MM-DD' });
+    } else {
+      value.startDate = value.endDate = query.date;
+    }
+    return { value, errors };
+  }
+  
+  ['startDate', 'endDate'].forEach(field => {
+    if (query[field] !== undefined && !isValidDateString(query[field])) {
+      errors.push({ field, error: '日期格式应为 YYYY-MM-DD' });
+    }
+  });
+  if (errors.length > 0) {
+    return { value, errors };
+  }
+  
+  value.endDate = query.endDate || query.startDate || today;
+  value.startDate = query.startDate || value.endDate;
+  
+  if (value.startDate > value.endDate) {
+    errors.push({ field: 'endDate', error: '结束日期不能早于开始日期' });
+  } else if (toDayNumber(value.endDate) - toDayNumber(value.startDate) + 1 > MISSING_MAX_DAYS) {
+    errors.push({ field: 'startDate', error: `最多查询 ${MISSING_MAX_DAYS} 天` });
+  }
+  
+  return { value, errors };
+}
+
+/**
+ * 生成未提交名单
+ * consecutiveMissingDays 为截至 endDate 连续未提交的天数（从最后一次提交的次日算起），从未提交时为 null
+ * @param {{ startDate: string, endDate: string, group: object|null }} options 查询日期范围，指定 group 时只统计该小组成员
+ */
+export async function buildMissingReport({ startDate, endDate, group = null }) {
+  const [index, nameGroups] = await Promise.all([
+    loadParticipantIndex(),
+    database.homeworkRecords().aggregate([
+      { $match: { ...ACTIVE_RECORD_FILTER, date: { $lte: endDate } } },
+      { $group: {
+        _id: { participantId: '$participantId', name: '$name' },
+        lastDate: { $max: '$date' },
+        dates: { $addToSet: { $cond: [{ $gte: ['$date', startDate] }, '$date', null] } }
+      }}
+    ]).toArray()
+  ]);
+  
+  const roster = index.participants
+    .filter(participant => participant.expected)
+    .filter(participant => !group || (participant.groupId && participant.groupId.equals(group._id)))
+    .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+  
+  const rosterIds = new Set(roster.map(participant => participant._id.toString()));
+  
+  // 按参与者合并提交日期（同一人可能有多个姓名写法）
+  const submitted = new Map();
+  nameGroups.forEach(nameGroup => {
+    const participant = participantForRecord(nameGroup._id, index);
+    if (!participant || !rosterIds.has(participant._id.toString())) {
+      return;
+    }
+    const key = participant._id.toString();
+    const current = submitted.get(key) || { lastDate: null, dates: new Set() };
+    if (nameGroup.lastDate && (!current.lastDate || nameGroup.lastDate > current.lastDate)) {
+      current.lastDate = nameGroup.lastDate;
+    }
+    nameGroup.dates.filter(Boolean).forEach(date => current.dates.add(date));
+    submitted.set(key, current);
+  });
+  
+  const rangeDates = [];
+  for (let day = toDayNumber(startDate); day <= toDayNumber(endDate); day++) {
+    rangeDates.push(fromDayNumber(day));
+  }
+  
+  const missing = [];
+  roster.forEach(participant => {
+    const record = submitted.get(participant._id.toString()) || { lastDate: null, dates: new Set() };
+    const missingDates = rangeDates.filter(date => !record.dates.has(date));
+    if (missingDates.length === 0) {
+      return;
+    }
+    missing.push({
+      participantId: participant._id.toString(),
+      name: participant.name,
+      missingDates,
+      missingDays: missingDates.length,
+      lastSubmitDate: record.lastDate,
+      consecutiveMissingDays: record.lastDate ? toDayNumber(endDate) - toDayNumber(record.lastDate) : null
+    });
+  });
+  
+  // 连续未提交天数多的排在前面，从未提交的排在最前
+  const neverSubmitted = Number.MAX_SAFE_INTEGER;
+  missing.sort((a, b) => (b.consecutiveMissingDays ?? neverSubmitted) - (a.consecutiveMissingDays ?? neverSubmitted)
+    || a.name.localeCompare(b.name, 'zh-CN'));
+  
+  return {
+    startDate,
+    endDate,
+    days: rangeDates.length,
+    group: group ? { _id: group._id.toString(), name: group.name } : null,
+    expectedCount: roster.length,
+    missingCount: missing.length,
+    missing
+  };
+}
@@ -1,9 +1,104 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import database from './database.js';
+import config from './config.js';
+import { authConfigError, checkAdminPassword, createSession, revokeSession, requireAdmin, requireCronSecret } from './auth.js';
+import { buildRecordFilter, buildRecordSort, ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { validateHomeworkRecord, isValidDateString, RECORD_LIMITS } from './validation.js';
+import { buildAuditEntry, writeAuditLog, writeAuditLogs, buildLogFilter, formatAuditLog } from './auditLog.js';
+import { retentionDays, purgeAtFor, purgeRecords, purgeExpiredRecords, schedulePurge } from './recycleBin.js';
+import {
+  resolveParticipant,
+  resolveParticipants,
+  applyParticipant,
+  loadParticipantIndex,
+  participantForRecord,
+  mergeNameStats,
+  mergeParticipants,
+  updateParticipantNames,
+  syncParticipants,
+  setParticipantExpected,
+  setParticipantGroup,
+  formatParticipant,
+  cleanName
+} from './participants.js';
+import { buildPersonSummary } from './personSummary.js';
+import { validateTimeseriesQuery, buildTimeseries } from './timeseries.js';
+import { validateMissingQuery, buildMissingReport } from './roster.js';
+import {
+  validateGroupInput,
+  formatGroup,
+  findGroupById,
+  resolveGroupFilter,
+  applyGroupFilter,
+  deleteGroup,
+  buildGroupRanking,
+  GROUP_RANKING_BASE_METRICS
+} from './groups.js';
+import { writeRecordsWorkbook } from './xlsxExport.js';
+import { validateCsvExportQuery, writeRecordsCsv } from './csvExport.js';
+import { validateReportMonth, buildMonthlyReport, saveMonthlyReport, listMonthlyReports, loadMonthlyReport } from './monthlyReport.js';
+import { resolveReportFont, reportFontError, renderMonthlyReportPdf } from './monthlyReportPdf.js';
+import { initialSyncFields, pendingSyncFields, scheduleNotionSync, drainNotionSync, notionSyncStatus, queueRecordsForSync, isNotionSyncEnabled } from './notionSync.js';
+import {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  validateWebhookInput,
+  formatWebhook,
+  formatDelivery,
+  findWebhookById,
+  deleteWebhook,
+  enqueueRecordEvents,
+  scheduleWebhookDeliveries,
+  drainWebhookDeliveries,
+  sendTestDelivery,
+  retryDelivery
+} from './webhooks.js';
+import { IMPORT_FORMATS, IMPORT_MAX_ROWS, parseImportContent, analyzeImportRows } from './importer.js';
+import { INTEGRITY_ISSUE_TYPES, verifyDataIntegrity, repairDataIntegrity } from './dataIntegrity.js';
+import { applyTimeZone, todayInTimeZone, dateInTimeZone, formatDateTimeInTimeZone } from './timezone.js';
+import { GOAL_SCOPES, GOAL_STATUSES, GOAL_PERIODS, periodRange, validateGoal, createGoal, computeGoalProgress, formatGoal, goalsFilterForName } from './goals.js';
+import {
+  getPracticeItems,
+  loadAllPracticeItems,
+  invalidatePracticeItemsCache,
+  validatePracticeItem,
+  classicsTotal,
+  classicsTotalExpression,
+  totalFieldName
+} from './practiceItems.js';
 import { ObjectId } from 'mongodb';
 
 const router = express.Router();
 
+// 解析请求时区（tz 查询参数或机构时区）
+router.use(applyTimeZone);
+
+// 写入记录的请求返回响应前最多等待 Notion 同步和 Webhook 投递的时间
+const SYNC_BEFORE_RESPONSE_MS = 3 * 1000;
+
+// 从收到请求起算的总时间上限（Vercel 函数最长运行 10 秒），批量提交、导入等耗时较长的请求相应缩短等待
+const RESPONSE_BUDGET_MS = 8 * 1000;
+
+// 写入记录（标记待同步或加入 Webhook 投递队列）的路由使用：请求成功后先推送 Notion、发出 Webhook，再返回响应
+// Vercel 在响应返回后可能冻结函数实例，不能依赖响应结束后才开始的后台任务；超时未完成的由 /api/cron/drain 补发
+function drainAfterWrite(req, res, next) {
+  const startedAt = Date.now();
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    const timeoutMs = Math.min(SYNC_BEFORE_RESPONSE_MS, RESPONSE_BUDGET_MS - (Date.now() - startedAt));
+    if (res.statusCode >= 400 || timeoutMs <= 0) {
+      return sendJson(body);
+    }
+    Promise.allSettled([
+      drainNotionSync(timeoutMs),
+      drainWebhookDeliveries(timeoutMs)
+    ]).finally(() => sendJson(body));
+    return res;
+  };
+  next();
+}
+
 // ================== 基础健康检查路由 ==================
 
 // 健康检查端点
@@ -50,11 +145,40 @@ router.get('/test', (req, res) => {
         '/api/health',
         '/api/test',
         '/api/submit',
+        '/api/submit/batch',
         '/api/records',
         '/api/update',
         '/api/delete',
         '/api/stats',
-        '/api/export/csv'
+        '/api/export/csv',
+        '/api/export/xlsx',
+        '/api/import',
+        '/api/verify-data',
+        '/api/verify-data/report',
+        '/api/verify-data/repair',
+        '/api/reports/monthly',
+        '/api/reports/monthly/archive',
+        '/api/reports/monthly/archive/:month',
+        '/api/notion/status',
+        '/api/notion/retry',
+        '/api/cron/drain',
+        '/api/webhooks',
+        '/api/webhooks/:id/test',
+        '/api/webhooks/:id/deliveries',
+        '/api/webhooks/deliveries/:id/retry',
+        '/api/auth/login',
+        '/api/auth/logout',
+        '/api/practice-items',
+        '/api/logs',
+        '/api/recycle-bin',
+        '/api/records/bulk',
+        '/api/participants',
+        '/api/people/:name/summary',
+        '/api/goals',
+        '/api/stats/timeseries',
+        '/api/stats/missing',
+        '/api/stats/groups',
+        '/api/groups'
       ]
     }
   });
@@ -64,6 +188,9 @@ router.get('/test', (req, res) => {
 async function ensureDatabase(req, res, next) {
   try {
     await database.connect();
+    schedulePurge();
+    scheduleNotionSync();
+    scheduleWebhookDeliveries();
     next();
   } catch (error) {
     console.error('功课数据库连接错误:', error);
@@ -75,10 +202,178 @@ async function ensureDatabase(req, res, next) {
   }
 }
 
+// ================== 管理员认证路由 ==================
+
+// 登录接口限流，防止暴力破解密码
+const loginLimiter = rateLimit({
+  windowMs: config.security.loginRateLimit.windowMs,
+  max: config.security.loginRateLimit.max,
+  message: { success: false, error: '登录尝试过于频繁，请稍后再试' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false },
+  keyGenerator: (req, res) => {
+    const forwarded = req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.ip;
+  }
+});
+
+// 管理员登录
+router.post('/auth/login', loginLimiter, ensureDatabase, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    
+    const configError = authConfigError();
+    if (configError) {
+      console.error(`❌ [认证] ${configError}`);
+      return res.status(503).json({
+        success: false,
+        error: '管理员登录未配置，请联系部署人员设置 JWT_SECRET 和 ADMIN_PASSWORD',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!checkAdminPassword(password)) {
+      console.log('❌ [认证] 管理员密码错误:', req.ip);
+      return res.status(401).json({
+        success: false,
+        error: '密码错误',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const session = await createSession(req);
+    console.log('✅ [认证] 管理员登录成功:', req.ip);
+    
+    res.json({
+      success: true,
+      message: '登录成功',
+      token: session.token,
+      expiresAt: session.expiresAt.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('❌ [认证] 登录失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 管理员登出
+router.post('/auth/logout', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    await revokeSession(req.admin);
+    
+    res.json({
+      success: true,
+      message: '已退出登录',
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('❌ [认证] 登出失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查询当前登录状态
+router.get('/auth/me', ensureDatabase, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    admin: {
+      subject: req.admin.sub,
+      expiresAt: new Date(req.admin.exp * 1000).toISOString()
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ================== 功课相关路由 ==================
 
+// 客户端生成的记录ID（localId 或 Idempotency-Key 请求头），用于重试时去重
+function getIdempotencyKey(req) {
+  const key = (req.body && req.body.localId) || req.headers['idempotency-key'];
+  if (typeof key !== 'string') {
+    return null;
+  }
+  const trimmed = key.trim();
+  return trimmed && trimmed.length <= 100 ? trimmed : null;
+}
+
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000;
+}
+
+// 由校验后的数据构建待插入的功课记录，功课字段由目录决定
+function buildHomeworkRecord(record, now, localId, items) {
+  const homeworkRecord = {
+    date: record.date,
+    name: record.name
+  };
+  
+  items.forEach(item => {
+    homeworkRecord[item.key] = record[item.key] || 0;
+  });
+  
+  Object.assign(homeworkRecord, {
+    remark: record.remark || '',
+    deviceId: record.deviceId || 'web',
+    participantId: record.participantId,
+    submitTime: now,
+    submittedAt: now,
+    createdAt: now,
+    updatedAt: now,
+    ...initialSyncFields(now)
+  });
+  
+  if (localId) {
+    homeworkRecord.localId = localId;
+  }
+  
+  if (record.rawName) {
+    homeworkRecord.rawName = record.rawName;
+  }
+  
+  return homeworkRecord;
+}
+
+// 格式化返回给前端的功课记录，缺少日期的旧记录按提交时间在指定时区的日期补全
+function formatHomeworkRecord(item, items, timeZone) {
+  const formatted = {
+    _id: item._id.toString(),
+    date: item.date || dateInTimeZone(item.submittedAt, timeZone),
+    name: item.name || '',
+    participantId: item.participantId ? item.participantId.toString() : null
+  };
+  
+  items.forEach(practiceItem => {
+    formatted[practiceItem.key] = item[practiceItem.key] || 0;
+  });
+  
+  Object.assign(formatted, {
+    totalClassics: classicsTotal(item, items),
+    remark: item.remark || '',
+    submitTime: item.submittedAt || item.createdAt || new Date(),
+    createdAt: item.createdAt || new Date(),
+    deviceId: item.deviceId || 'web'
+  });
+  
+  return formatted;
+}
+
+// 批量提交单次最多条数
+const BATCH_SUBMIT_LIMIT = 500;
+
 // 提交功课记录
-router.post('/submit', ensureDatabase, async (req, res) => {
+router.post('/submit', ensureDatabase, drainAfterWrite, async (req, res) => {
   console.log('📥 [提交] 收到提交请求');
   console.log('📥 [提交] 请求体:', JSON.stringify(req.body, null, 2));
   
@@ -90,49 +385,68 @@ router.post('/submit', ensureDatabase, async (req, res) => {
     }
     
     const homeworkCollection = db.collection('homework_records');
-    const record = req.body;
     
-    // 验证必要字段
-    if (!record.date || !record.name) {
-      console.log('❌ [提交] 缺少必要字段:', { date: record.date, name: record.name });
+    // 校验字段
+    const allPracticeItems = await loadAllPracticeItems();
+    const { value: record, errors } = validateHomeworkRecord(req.body, allPracticeItems);
+    if (errors.length > 0) {
+      console.log('❌ [提交] 数据校验失败:', errors);
       return res.status(400).json({
         success: false,
-        error: '日期和姓名是必填项',
+        error: '数据校验失败',
+        details: errors,
         timestamp: new Date().toISOString()
       });
     }
     
+    // 幂等检查：相同的 localId 已提交过则直接返回原记录
+    const localId = getIdempotencyKey(req);
+    if (localId) {
+      const existing = await homeworkCollection.findOne({ localId });
+      if (existing) {
+        console.log('♻️ [提交] 重复提交，返回原记录:', { localId, recordId: existing._id.toString() });
+        return res.json({
+          success: true,
+          duplicate: true,
+          message: '该记录已提交过，未重复保存',
+          recordId: existing._id,
+          record: existing,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
     const now = new Date();
     console.log('📝 [提交] 正在准备数据...');
     
-    // 准备数据 - 添加药师经字段
-    const homeworkRecord = {
-      date: record.date,
-      name: record.name,
-      nineWord: parseInt(record.nineWord) || 0,
-      buddhaWorship: parseInt(record.buddhaWorship) || 0,
-      quietZen: parseInt(record.quietZen) || 0,
-      activeZen: parseInt(record.activeZen) || 0,
-      diamond: parseInt(record.diamond) || 0,
-      amitabha: parseInt(record.amitabha) || 0,
-      guanyin: parseInt(record.guanyin) || 0,
-      puxian: parseInt(record.puxian) || 0,
-      dizang: parseInt(record.dizang) || 0,
-      yaoshi: parseInt(record.yaoshi) || 0, // 添加药师经字段
-      remark: record.remark || '',
-      deviceId: record.deviceId || 'web',
-      submitTime: now,
-      submittedAt: now,
-      createdAt: now,
-      updatedAt: now,
-      syncStatus: 'synced'
-    };
+    // 准备数据，姓名统一为参与者的标准姓名
+    applyParticipant(record, await resolveParticipant(record.name));
+    const practiceItems = allPracticeItems.filter(item => item.enabled);
+    const homeworkRecord = buildHomeworkRecord(record, now, localId, practiceItems);
     
     console.log('📝 [提交] 准备插入的数据:', JSON.stringify(homeworkRecord, null, 2));
     
     // 尝试插入
     console.log('💾 [提交] 正在插入数据...');
-    const result = await homeworkCollection.insertOne(homeworkRecord);
+    let result;
+    try {
+      result = await homeworkCollection.insertOne(homeworkRecord);
+    } catch (insertError) {
+      // 并发重试时唯一索引冲突，返回先到达的那条记录
+      if (localId && isDuplicateKeyError(insertError)) {
+        const existing = await homeworkCollection.findOne({ localId });
+        console.log('♻️ [提交] 并发重复提交，返回原记录:', { localId });
+        return res.json({
+          success: true,
+          duplicate: true,
+          message: '该记录已提交过，未重复保存',
+          recordId: existing ? existing._id : null,
+          record: existing,
+          timestamp: new Date().toISOString()
+        });
+      }
+      throw insertError;
+    }
     
     console.log('✅ [提交] 插入成功:', {
       insertedId: result.insertedId,
@@ -157,36 +471,29 @@ router.post('/submit', ensureDatabase, async (req, res) => {
     }
     
     // 方法2：统计总数
-    const totalCount = await homeworkCollection.countDocuments({});
+    const totalCount = await homeworkCollection.countDocuments(ACTIVE_RECORD_FILTER);
     console.log(`📊 [提交] 当前总记录数: ${totalCount}`);
     
     // 方法3：查找最近5条记录
     const recentRecords = await homeworkCollection
-      .find({})
+      .find(ACTIVE_RECORD_FILTER)
       .sort({ submittedAt: -1 })
       .limit(5)
       .toArray();
     
     console.log('📋 [提交] 最近5条记录ID:', recentRecords.map(r => r._id.toString()));
     
-    // 记录日志
-    try {
-      await db.collection('homework_logs').insertOne({
-        type: 'homework_submit',
-        recordId: result.insertedId,
-        name: record.name,
-        date: record.date,
-        timestamp: now,
-        ip: req.ip,
-        clientInfo: req.headers['user-agent']
-      });
-      console.log('📊 [提交] 日志记录成功');
-    } catch (logError) {
-      console.warn('⚠️ [提交] 日志记录失败（不影响主流程）:', logError.message);
-    }
+    // 记录审计日志
+    await writeAuditLog(req, {
+      action: 'create',
+      recordId: result.insertedId,
+      after: homeworkRecord
+    });
+    await enqueueRecordEvents(req, 'record.submitted', [{ record: homeworkRecord }]);
     
     res.json({
       success: true,
+      duplicate: false,
       message: '功课记录提交成功',
       recordId: result.insertedId,
       timestamp: now.toISOString(),
@@ -213,46 +520,246 @@ router.post('/submit', ensureDatabase, async (req, res) => {
   }
 });
 
+// 批量提交功课记录（本地数据批量上传）
+router.post('/submit/batch', ensureDatabase, drainAfterWrite, async (req, res) => {
+  try {
+    const homeworkCollection = database.homeworkRecords();
+    const items = req.body && req.body.records;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'records 必须是非空数组',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (items.length > BATCH_SUBMIT_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `单次最多提交 ${BATCH_SUBMIT_LIMIT} 条记录`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    console.log(`📥 [批量提交] 收到 ${items.length} 条记录`);
+    
+    const now = new Date();
+    const results = items.map((item, index) => ({
+      index,
+      localId: item && typeof item.localId === 'string' ? item.localId.trim() || null : null,
+      success: false
+    }));
+    
+    // 逐条验证，并找出批次内重复的 localId
+    const allPracticeItems = await loadAllPracticeItems();
+    const validRecords = [];
+    const seenLocalIds = new Map();
+    const candidates = [];
+    items.forEach((item, index) => {
+      const result = results[index];
+      
+      const { value, errors } = validateHomeworkRecord(item, allPracticeItems);
+      if (errors.length > 0) {
+        result.error = '数据校验失败';
+        result.details = errors;
+        return;
+      }
+      validRecords[index] = value;
+      
+      if (result.localId && result.localId.length > 100) {
+        result.error = 'localId 过长';
+        return;
+      }
+      
+      if (result.localId && seenLocalIds.has(result.localId)) {
+        result.duplicateOf = seenLocalIds.get(result.localId);
+        return;
+      }
+      
+      if (result.localId) {
+        seenLocalIds.set(result.localId, index);
+      }
+      candidates.push(index);
+    });
+    
+    // 已在云端的 localId 直接返回原记录ID
+    const existingByLocalId = new Map();
+    if (seenLocalIds.size > 0) {
+      const existing = await homeworkCollection
+        .find({ localId: { $in: [...seenLocalIds.keys()] } }, { projection: { _id: 1, localId: 1 } })
+        .toArray();
+      existing.forEach(doc => existingByLocalId.set(doc.localId, doc._id));
+    }
+    
+    // 姓名统一为参与者的标准姓名
+    const participantsByName = await resolveParticipants(candidates.map(index => validRecords[index].name));
+    candidates.forEach(index => applyParticipant(validRecords[index], participantsByName.get(validRecords[index].name)));
+    
+    const practiceItems = allPracticeItems.filter(item => item.enabled);
+    const toInsert = [];
+    candidates.forEach(index => {
+      const result = results[index];
+      if (result.localId && existingByLocalId.has(result.localId)) {
+        result.success = true;
+        result.duplicate = true;
+        result.recordId = existingByLocalId.get(result.localId);
+        return;
+      }
+      toInsert.push({ index, doc: buildHomeworkRecord(validRecords[index], now, result.localId, practiceItems) });
+    });
+    
+    // 单次批量写入，无序执行使单条失败不影响其他记录
+    if (toInsert.length > 0) {
+      let writeErrors = [];
+      let insertedIds = {};
+      
+      try {
+        const bulkResult = await homeworkCollection.bulkWrite(
+          toInsert.map(({ doc }) => ({ insertOne: { document: doc } })),
+          { ordered: false }
+        );
+        insertedIds = bulkResult.insertedIds;
+      } catch (bulkError) {
+        if (!bulkError.writeErrors && !bulkError.result) {
+          throw bulkError;
+        }
+        writeErrors = [].concat(bulkError.writeErrors || []);
+        insertedIds = (bulkError.result && bulkError.result.insertedIds) || {};
+      }
+      
+      const failedOps = new Map(writeErrors.map(err => [err.index, err]));
+      const racedLocalIds = [];
+      
+      toInsert.forEach(({ index, doc }, opIndex) => {
+        const result = results[index];
+        const writeError = failedOps.get(opIndex);
+        
+        if (!writeError) {
+          result.success = true;
+          result.duplicate = false;
+          result.recordId = insertedIds[opIndex] || doc._id;
+        } else if (result.localId && writeError.code === 11000) {
+          racedLocalIds.push(result.localId);
+        } else {
+          result.error = writeError.errmsg || '写入失败';
+        }
+      });
+      
+      // 并发上传导致的唯一索引冲突，视为重复提交
+      if (racedLocalIds.length > 0) {
+        const raced = await homeworkCollection
+          .find({ localId: { $in: racedLocalIds } }, { projection: { _id: 1, localId: 1 } })
+          .toArray();
+        raced.forEach(doc => existingByLocalId.set(doc.localId, doc._id));
+        results.forEach(result => {
+          if (!result.success && !result.error && racedLocalIds.includes(result.localId)) {
+            result.success = true;
+            result.duplicate = true;
+            result.recordId = existingByLocalId.get(result.localId) || null;
+          }
+        });
+      }
+    }
+    
+    // 批次内重复项跟随首次出现的结果
+    results.forEach(result => {
+      if (result.duplicateOf !== undefined) {
+        const first = results[result.duplicateOf];
+        result.success = first.success;
+        result.duplicate = true;
+        result.recordId = first.recordId;
+        result.error = first.error;
+        result.details = first.details;
+        delete result.duplicateOf;
+      }
+    });
+    
+    const inserted = results.filter(r => r.success && !r.duplicate);
+    const duplicates = results.filter(r => r.success && r.duplicate);
+    const failed = results.filter(r => !r.success);
+    
+    console.log(`✅ [批量提交] 新增 ${inserted.length} 条，重复 ${duplicates.length} 条，失败 ${failed.length} 条`);
+    
+    // 记录审计日志
+    const insertedDocs = new Map(toInsert.map(({ index, doc }) => [index, doc]));
+    await writeAuditLogs(inserted.map(result => buildAuditEntry(req, {
+      action: 'create',
+      recordId: result.recordId,
+      after: insertedDocs.get(result.index),
+      batch: true
+    })));
+    await enqueueRecordEvents(req, 'record.submitted', inserted.map(result => ({ record: insertedDocs.get(result.index) })));
+    
+    res.json({
+      success: true,
+      message: `批量提交完成：新增 ${inserted.length} 条，重复 ${duplicates.length} 条，失败 ${failed.length} 条`,
+      summary: {
+        total: items.length,
+        inserted: inserted.length,
+        duplicates: duplicates.length,
+        failed: failed.length
+      },
+      results,
+      timestamp: now.toISOString()
+    });
+  
+  } catch (error) {
+    console.error('❌ [批量提交] 提交失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 单页最多返回条数
+const RECORDS_MAX_LIMIT = 1000;
+
 // 获取功课记录
-router.get('/records', ensureDatabase, async (req, res) => {
+// 支持参数: page, limit, name, startDate, endDate, deviceId, filter(如 diamond>0), remark, sort, order
+router.get('/records', ensureDatabase, requireAdmin, async (req, res) => {
   try {
     const homeworkCollection = database.homeworkRecords();
     
-    const limit = parseInt(req.query.limit) || 100;
-    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), RECORDS_MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const skip = (page - 1) * limit;
     
+    // 解析筛选与排序参数
+    const practiceItems = await loadAllPracticeItems();
+    const practiceKeys = practiceItems.map(item => item.key);
+    const { filter: recordFilter, errors: filterErrors } = buildRecordFilter(req.query, practiceKeys);
+    const { sort, field: sortField, order, errors: sortErrors } = buildRecordSort(req.query, practiceKeys);
+    const { filter: groupFilter, errors: groupErrors } = await resolveGroupFilter(req.query.group);
+    const errors = [...filterErrors, ...sortErrors, ...groupErrors];
+    const filter = applyGroupFilter(recordFilter, groupFilter);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 按经典总数排序时需先计算该字段
+    const pipeline = [{ $match: filter }];
+    if (sortField === 'totalClassics') {
+      pipeline.push({ $addFields: { totalClassics: classicsTotalExpression(practiceItems) } });
+    }
+    pipeline.push({ $sort: sort }, { $skip: skip }, { $limit: limit });
+    
     // 获取数据和总数
     const [records, totalCount] = await Promise.all([
-      homeworkCollection
-        .find({})
-        .sort({ submittedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .toArray(),
-      homeworkCollection.countDocuments({})
+      homeworkCollection.aggregate(pipeline).toArray(),
+      homeworkCollection.countDocuments(filter)
     ]);
     
-    // 格式化数据 - 添加药师经字段
-    const formattedData = records.map(item => ({
-      _id: item._id.toString(),
-      date: item.date || new Date(item.submittedAt).toISOString().split('T')[0],
-      name: item.name || '',
-      nineWord: item.nineWord || 0,
-      buddhaWorship: item.buddhaWorship || 0,
-      quietZen: item.quietZen || 0,
-      activeZen: item.activeZen || 0,
-      diamond: item.diamond || 0,
-      amitabha: item.amitabha || 0,
-      guanyin: item.guanyin || 0,
-      puxian: item.puxian || 0,
-      dizang: item.dizang || 0,
-      yaoshi: item.yaoshi || 0, // 添加药师经字段
-      remark: item.remark || '',
-      submitTime: item.submittedAt || item.createdAt || new Date(),
-      createdAt: item.createdAt || new Date(),
-      deviceId: item.deviceId || 'web'
-    }));
+    // 格式化数据
+    const formattedData = records.map(item => formatHomeworkRecord(item, practiceItems, req.timeZone));
     
     res.json({
       success: true,
@@ -263,6 +770,7 @@ router.get('/records', ensureDatabase, async (req, res) => {
         totalCount,
         totalPages: Math.ceil(totalCount / limit)
       },
+      sort: { field: sortField, order },
       timestamp: new Date().toISOString()
     });
     
@@ -277,12 +785,12 @@ router.get('/records', ensureDatabase, async (req, res) => {
 });
 
 // 更新功课记录
-router.put('/update', ensureDatabase, async (req, res) => {
+router.put('/update', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
   try {
     const homeworkCollection = database.homeworkRecords();
-    const { id, ...updateData } = req.body;
+    const { id, ...input } = req.body;
     
-    if (!id) {
+    if (!id || !ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
         error: '记录ID是必需的',
@@ -290,17 +798,48 @@ router.put('/update', ensureDatabase, async (req, res) => {
       });
     }
     
-    const result = await homeworkCollection.updateOne(
-      { _id: new ObjectId(id) },
+    // 只允许修改白名单内的字段
+    const practiceItems = await loadAllPracticeItems();
+    const { value: updateData, errors } = validateHomeworkRecord(input, practiceItems, { mode: 'update' });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '数据校验失败',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 修改姓名时重新关联参与者
+    if (updateData.name) {
+      const participant = await resolveParticipant(updateData.name);
+      updateData.name = participant.name;
+      updateData.participantId = participant._id;
+    }
+    
+    const before = await homeworkCollection.findOne({ _id: new ObjectId(id), ...ACTIVE_RECORD_FILTER });
+    
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的功课记录',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const after = await homeworkCollection.findOneAndUpdate(
+      { _id: before._id, ...ACTIVE_RECORD_FILTER },
       { 
         $set: {
           ...updateData,
+          ...pendingSyncFields(),
           updatedAt: new Date()
         }
-      }
+      },
+      { returnDocument: 'after' }
     );
     
-    if (result.matchedCount === 0) {
+    if (!after) {
       return res.status(404).json({
         success: false,
         error: '找不到指定的功课记录',
@@ -308,10 +847,17 @@ router.put('/update', ensureDatabase, async (req, res) => {
       });
     }
     
+    const entry = buildAuditEntry(req, { action: 'update', recordId: before._id, before, after });
+    if (entry.changes.length > 0) {
+      await writeAuditLogs([entry]);
+      await enqueueRecordEvents(req, 'record.updated', [{ record: after, changes: entry.changes }]);
+    }
+    
     res.json({
       success: true,
       message: '功课记录更新成功',
-      modifiedCount: result.modifiedCount,
+      modifiedCount: entry.changes.length > 0 ? 1 : 0,
+      changes: entry.changes,
       timestamp: new Date().toISOString()
     });
     
@@ -325,13 +871,13 @@ router.put('/update', ensureDatabase, async (req, res) => {
   }
 });
 
-// 删除功课记录（注意：原始代码中有重复定义，这里使用ensureDatabase版本）
-router.delete('/delete', ensureDatabase, async (req, res) => {
+// 删除功课记录（移入回收站，保留期内可恢复）
+router.delete('/delete', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
   try {
     const homeworkCollection = database.homeworkRecords();
     const { id } = req.body;
     
-    if (!id) {
+    if (!id || !ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
         error: '记录ID是必需的',
@@ -339,11 +885,14 @@ router.delete('/delete', ensureDatabase, async (req, res) => {
       });
     }
     
-    const result = await homeworkCollection.deleteOne({ 
-      _id: new ObjectId(id) 
-    });
+    const now = new Date();
+    const before = await homeworkCollection.findOneAndUpdate(
+      { _id: new ObjectId(id), ...ACTIVE_RECORD_FILTER },
+      { $set: { deletedAt: now, deletedBy: req.admin.sub, updatedAt: now, ...pendingSyncFields(now) } },
+      { returnDocument: 'before' }
+    );
     
-    if (result.deletedCount === 0) {
+    if (!before) {
       return res.status(404).json({
         success: false,
         error: '找不到指定的功课记录',
@@ -351,10 +900,19 @@ router.delete('/delete', ensureDatabase, async (req, res) => {
       });
     }
     
+    await writeAuditLog(req, {
+      action: 'delete',
+      recordId: before._id,
+      before,
+      after: { ...before, deletedAt: now, deletedBy: req.admin.sub, updatedAt: now }
+    });
+    await enqueueRecordEvents(req, 'record.deleted', [{ record: { ...before, deletedAt: now, deletedBy: req.admin.sub } }]);
+    
     res.json({
       success: true,
-      message: '功课记录删除成功',
-      deletedCount: result.deletedCount,
+      message: '功课记录已移入回收站',
+      deletedCount: 1,
+      purgeAt: purgeAtFor(now),
       timestamp: new Date().toISOString()
     });
     
@@ -368,89 +926,52 @@ router.delete('/delete', ensureDatabase, async (req, res) => {
   }
 });
 
-// 功课统计
-router.get('/stats', ensureDatabase, async (req, res) => {
+// 单页最多返回日志条数
+const LOGS_MAX_LIMIT = 200;
+
+// 查询操作日志
+// 支持参数: page, limit, recordId, name, action, startTime, endTime
+router.get('/logs', ensureDatabase, requireAdmin, async (req, res) => {
   try {
-    const homeworkCollection = database.homeworkRecords();
-    
-    // 获取基本统计
-    const [totalCount, nameStats, classicsStats] = await Promise.all([
-      homeworkCollection.countDocuments({}),
-      
-      // 按姓名统计
-      homeworkCollection.aggregate([
-        { $group: {
-          _id: '$name',
-          count: { $sum: 1 },
-          lastSubmit: { $max: '$submittedAt' }
-        }},
-        { $sort: { count: -1 } }
-      ]).toArray(),
-      
-      // 经典统计 - 添加药师经统计
-      homeworkCollection.aggregate([
-        { $group: {
-          _id: null,
-          totalNineWord: { $sum: '$nineWord' },
-          totalBuddhaWorship: { $sum: '$buddhaWorship' },
-          totalQuietZen: { $sum: '$quietZen' },
-          totalActiveZen: { $sum: '$activeZen' },
-          totalDiamond: { $sum: '$diamond' },
-          totalAmitabha: { $sum: '$amitabha' },
-          totalGuanyin: { $sum: '$guanyin' },
-          totalPuxian: { $sum: '$puxian' },
-          totalDizang: { $sum: '$dizang' },
-          totalYaoshi: { $sum: '$yaoshi' } // 添加药师经统计
-        }}
-      ]).toArray()
-    ]);
-    
-    // 今日记录
-    const today = new Date().toISOString().split('T')[0];
-    const todayCount = await homeworkCollection.countDocuments({
-      date: today
-    });
+    const { filter, errors } = buildLogFilter(req.query, req.timeZone);
     
-    // 经典总数
-    const classicsTotal = classicsStats[0] || {
-      totalDiamond: 0,
-      totalAmitabha: 0,
-      totalGuanyin: 0,
-      totalPuxian: 0,
-      totalDizang: 0,
-      totalYaoshi: 0 // 添加药师经
-    };
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    const totalClassics = classicsTotal.totalDiamond + 
-                         classicsTotal.totalAmitabha + 
-                         classicsTotal.totalGuanyin + 
-                         classicsTotal.totalPuxian + 
-                         classicsTotal.totalDizang +
-                         classicsTotal.totalYaoshi; // 添加药师经
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), LOGS_MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const logsCollection = database.homeworkLogs();
     
-    const stats = {
-      totalRecords: totalCount,
-      todayRecords: todayCount,
-      nameStats: nameStats,
-      classicsStats: classicsTotal,
-      totalClassics: totalClassics,
-      // 禅修统计
-      meditationStats: {
-        totalNineWord: classicsTotal.totalNineWord || 0,
-        totalBuddhaWorship: classicsTotal.totalBuddhaWorship || 0,
-        totalQuietZen: classicsTotal.totalQuietZen || 0,
-        totalActiveZen: classicsTotal.totalActiveZen || 0
-      }
-    };
+    const [logs, totalCount] = await Promise.all([
+      logsCollection
+        .find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      logsCollection.countDocuments(filter)
+    ]);
     
     res.json({
       success: true,
-      stats: stats,
+      data: logs.map(formatAuditLog),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      },
       timestamp: new Date().toISOString()
     });
-    
+  
   } catch (error) {
-    console.error('获取功课统计错误:', error);
+    console.error('获取操作日志错误:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -459,81 +980,2372 @@ router.get('/stats', ensureDatabase, async (req, res) => {
   }
 });
 
-// 导出功课数据
-router.get('/export/csv', ensureDatabase, async (req, res) => {
-  try {
-    const homeworkCollection = database.homeworkRecords();
-    
-    // 获取所有数据
-    const records = await homeworkCollection
-      .find({})
-      .sort({ submittedAt: -1 })
+// ================== 回收站路由 ==================
+
+// 解析请求中的记录ID（id 或 ids 数组），返回 { ids, invalid }
+function parseRecordIds(body = {}) {
+  const raw = [].concat(body.ids || [], body.id || []);
+  const ids = [];
+  const invalid = [];
+  raw.forEach(id => {
+    if (typeof id === 'string' && ObjectId.isValid(id)) {
+      ids.push(new ObjectId(id));
+    } else {
+      invalid.push(id);
+    }
+  });
+  return { ids, invalid };
+}
+
+// 回收站记录列表，支持与 /api/records 相同的筛选参数
+router.get('/recycle-bin', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    await purgeExpiredRecords();
+    
+    const homeworkCollection = database.homeworkRecords();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), RECORDS_MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    
+    const practiceItems = await loadAllPracticeItems();
+    const { filter, errors } = buildRecordFilter(req.query, practiceItems.map(item => item.key), { deleted: true });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const [records, totalCount] = await Promise.all([
+      homeworkCollection
+        .find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      homeworkCollection.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: records.map(item => ({
+        ...formatHomeworkRecord(item, practiceItems, req.timeZone),
+        deletedAt: item.deletedAt,
+        deletedBy: item.deletedBy || null,
+        purgeAt: purgeAtFor(item.deletedAt)
+      })),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      },
+      retentionDays: retentionDays(),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取回收站记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 从回收站恢复记录
+router.post('/recycle-bin/restore', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const { ids, invalid } = parseRecordIds(req.body);
+    
+    if (ids.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '请提供有效的记录ID',
+        details: invalid.map(id => ({ field: 'ids', error: `无效的记录ID: ${id}` })),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const homeworkCollection = database.homeworkRecords();
+    const deletedFilter = { _id: { $in: ids }, deletedAt: { $ne: null } };
+    const records = await homeworkCollection.find(deletedFilter).toArray();
+    
+    const now = new Date();
+    if (records.length > 0) {
+      await homeworkCollection.updateMany(
+        { _id: { $in: records.map(record => record._id) }, deletedAt: { $ne: null } },
+        { $unset: { deletedAt: '', deletedBy: '' }, $set: { updatedAt: now, ...pendingSyncFields(now) } }
+      );
+      
+      await writeAuditLogs(records.map(record => {
+        const { deletedAt, deletedBy, ...restored } = record;
+        return buildAuditEntry(req, {
+          action: 'restore',
+          recordId: record._id,
+          before: record,
+          after: { ...restored, updatedAt: now }
+        });
+      }));
+    }
+    
+    const restoredIds = new Set(records.map(record => record._id.toString()));
+    console.log(`♻️ [回收站] 恢复 ${records.length} 条记录`);
+    
+    res.json({
+      success: true,
+      message: `已恢复 ${records.length} 条记录`,
+      restoredCount: records.length,
+      results: ids.map(id => ({
+        id: id.toString(),
+        success: restoredIds.has(id.toString()),
+        error: restoredIds.has(id.toString()) ? undefined : '回收站中找不到该记录'
+      })),
+      timestamp: now.toISOString()
+    });
+  
+  } catch (error) {
+    console.error('恢复记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 彻底删除回收站中的记录（不可恢复）
+router.delete('/recycle-bin/purge', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const { ids, invalid } = parseRecordIds(req.body);
+    
+    if (ids.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '请提供有效的记录ID',
+        details: invalid.map(id => ({ field: 'ids', error: `无效的记录ID: ${id}` })),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const purged = await purgeRecords(ids, req);
+    const purgedIds = new Set(purged.map(record => record._id.toString()));
+    console.log(`🗑️ [回收站] 彻底删除 ${purged.length} 条记录`);
+    
+    res.json({
+      success: true,
+      message: `已彻底删除 ${purged.length} 条记录`,
+      purgedCount: purged.length,
+      results: ids.map(id => ({
+        id: id.toString(),
+        success: purgedIds.has(id.toString()),
+        error: purgedIds.has(id.toString()) ? undefined : '回收站中找不到该记录'
+      })),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('彻底删除记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 批量操作路由 ==================
+
+// 单次批量操作最多影响的记录数
+const BULK_RECORDS_LIMIT = 1000;
+
+// 解析批量操作的目标记录：ids（记录ID列表）或 filter（与 /api/records 相同的筛选参数）
+// 返回 { records, results, error, details }，results 预先包含无效或找不到的ID
+async function resolveBulkTargets(body, practiceKeys) {
+  const homeworkCollection = database.homeworkRecords();
+  const hasIds = body.ids !== undefined || body.id !== undefined;
+  const hasFilter = body.filter !== undefined;
+  
+  if (hasIds === hasFilter) {
+    return { error: '请提供 ids 或 filter 其中之一' };
+  }
+  
+  if (hasIds) {
+    const { ids, invalid } = parseRecordIds(body);
+    if (ids.length === 0 && invalid.length === 0) {
+      return { error: 'ids 不能为空' };
+    }
+    if (ids.length + invalid.length > BULK_RECORDS_LIMIT) {
+      return { error: `单次最多操作 ${BULK_RECORDS_LIMIT} 条记录` };
+    }
+    
+    const records = await homeworkCollection.find({ _id: { $in: ids }, ...ACTIVE_RECORD_FILTER }).toArray();
+    const found = new Set(records.map(record => record._id.toString()));
+    const results = [
+      ...invalid.map(id => ({ id: String(id), success: false, error: '无效的记录ID' })),
+      ...ids
+        .filter(id => !found.has(id.toString()))
+        .map(id => ({ id: id.toString(), success: false, error: '找不到指定的功课记录' }))
+    ];
+    return { records, results };
+  }
+  
+  if (!body.filter || typeof body.filter !== 'object' || Array.isArray(body.filter)) {
+    return { error: 'filter 必须是对象' };
+  }
+  
+  const { filter, errors } = buildRecordFilter(body.filter, practiceKeys);
+  if (errors.length > 0) {
+    return { error: '筛选条件无效', details: errors };
+  }
+  // 防止误操作全部记录
+  if (Object.keys(filter).length <= 1) {
+    return { error: '筛选条件不能为空' };
+  }
+  
+  const matched = await homeworkCollection.countDocuments(filter);
+  if (matched > BULK_RECORDS_LIMIT) {
+    return { error: `筛选结果共 ${matched} 条，超过单次上限 ${BULK_RECORDS_LIMIT} 条，请缩小筛选范围` };
+  }
+  
+  const records = await homeworkCollection.find(filter).toArray();
+  return { records, results: [] };
+}
+
+function bulkSummary(results) {
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded
+  };
+}
+
+// 批量修改功课记录，body: { ids | filter, set: { name, date, remark, 功课字段... } }
+router.put('/records/bulk', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const homeworkCollection = database.homeworkRecords();
+    const practiceItems = await loadAllPracticeItems();
+    
+    const { value: updateData, errors } = validateHomeworkRecord(req.body.set, practiceItems, { mode: 'update' });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '数据校验失败',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 修改姓名时重新关联参与者
+    if (updateData.name) {
+      const participant = await resolveParticipant(updateData.name);
+      updateData.name = participant.name;
+      updateData.participantId = participant._id;
+    }
+    
+    const targets = await resolveBulkTargets(req.body, practiceItems.map(item => item.key));
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        error: targets.error,
+        details: targets.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { records, results } = targets;
+    const now = new Date();
+    
+    // 一次写入所有目标记录
+    if (records.length > 0) {
+      await homeworkCollection.updateMany(
+        { _id: { $in: records.map(record => record._id) }, ...ACTIVE_RECORD_FILTER },
+        { $set: { ...updateData, updatedAt: now, ...pendingSyncFields(now) } }
+      );
+    }
+    
+    const updated = await homeworkCollection
+      .find({ _id: { $in: records.map(record => record._id) } })
+      .toArray();
+    const updatedById = new Map(updated.map(record => [record._id.toString(), record]));
+    
+    const auditEntries = [];
+    const events = [];
+    records.forEach(before => {
+      const after = updatedById.get(before._id.toString());
+      if (!after || after.deletedAt) {
+        results.push({ id: before._id.toString(), success: false, error: '记录已被删除' });
+        return;
+      }
+      const entry = buildAuditEntry(req, { action: 'update', recordId: before._id, before, after, bulk: true });
+      if (entry.changes.length > 0) {
+        auditEntries.push(entry);
+        events.push({ record: after, changes: entry.changes });
+      }
+      results.push({ id: before._id.toString(), success: true, changes: entry.changes });
+    });
+    
+    await writeAuditLogs(auditEntries);
+    await enqueueRecordEvents(req, 'record.updated', events);
+    
+    const summary = bulkSummary(results);
+    console.log(`✅ [批量修改] 成功 ${summary.succeeded} 条，失败 ${summary.failed} 条`);
+    
+    res.json({
+      success: true,
+      message: `批量修改完成：成功 ${summary.succeeded} 条，失败 ${summary.failed} 条`,
+      summary,
+      results,
+      timestamp: now.toISOString()
+    });
+  
+  } catch (error) {
+    console.error('批量修改功课记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 批量删除功课记录（移入回收站），body: { ids | filter }
+router.delete('/records/bulk', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const homeworkCollection = database.homeworkRecords();
+    const practiceItems = await loadAllPracticeItems();
+    
+    const targets = await resolveBulkTargets(req.body || {}, practiceItems.map(item => item.key));
+    if (targets.error) {
+      return res.status(400).json({
+        success: false,
+        error: targets.error,
+        details: targets.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { records, results } = targets;
+    const now = new Date();
+    const deletedBy = req.admin.sub;
+    
+    // 一次写入所有目标记录
+    if (records.length > 0) {
+      await homeworkCollection.updateMany(
+        { _id: { $in: records.map(record => record._id) }, ...ACTIVE_RECORD_FILTER },
+        { $set: { deletedAt: now, deletedBy, updatedAt: now, ...pendingSyncFields(now) } }
+      );
+    }
+    
+    // 以实际写入的删除时间确认结果，避免与并发删除混淆
+    const deleted = await homeworkCollection
+      .find({ _id: { $in: records.map(record => record._id) }, deletedAt: now }, { projection: { _id: 1 } })
       .toArray();
+    const deletedIds = new Set(deleted.map(record => record._id.toString()));
+    
+    const auditEntries = [];
+    const events = [];
+    records.forEach(before => {
+      const id = before._id.toString();
+      if (!deletedIds.has(id)) {
+        results.push({ id, success: false, error: '记录已被删除' });
+        return;
+      }
+      auditEntries.push(buildAuditEntry(req, {
+        action: 'delete',
+        recordId: before._id,
+        before,
+        after: { ...before, deletedAt: now, deletedBy, updatedAt: now },
+        bulk: true
+      }));
+      events.push({ record: { ...before, deletedAt: now, deletedBy } });
+      results.push({ id, success: true });
+    });
+    
+    await writeAuditLogs(auditEntries);
+    await enqueueRecordEvents(req, 'record.deleted', events);
+    
+    const summary = bulkSummary(results);
+    console.log(`🗑️ [批量删除] 移入回收站 ${summary.succeeded} 条，失败 ${summary.failed} 条`);
+    
+    res.json({
+      success: true,
+      message: `已将 ${summary.succeeded} 条记录移入回收站${summary.failed > 0 ? `，失败 ${summary.failed} 条` : ''}`,
+      summary,
+      results,
+      purgeAt: purgeAtFor(now),
+      timestamp: now.toISOString()
+    });
+  
+  } catch (error) {
+    console.error('批量删除功课记录错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 参与者路由 ==================
+
+// 校验参与者姓名和别名，返回错误列表
+function validateParticipantInput(body, { partial = false } = {}) {
+  const errors = [];
+  
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? cleanName(body.name) : '';
+    if (!name || name.length > RECORD_LIMITS.nameMaxLength) {
+      errors.push({ field: 'name', error: `姓名为必填项，且不超过${RECORD_LIMITS.nameMaxLength}个字符` });
+    }
+  }
+  
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || body.aliases.some(alias => typeof alias !== 'string' || alias.length > RECORD_LIMITS.nameMaxLength)) {
+      errors.push({ field: 'aliases', error: `别名必须是不超过${RECORD_LIMITS.nameMaxLength}个字符的文本数组` });
+    }
+  }
+  
+  if (body.expected !== undefined && typeof body.expected !== 'boolean') {
+    errors.push({ field: 'expected', error: 'expected 必须是布尔值' });
+  }
+  
+  if (body.groupId !== undefined && body.groupId !== null && typeof body.groupId !== 'string') {
+    errors.push({ field: 'groupId', error: 'groupId 必须是小组ID或 null' });
+  }
+  
+  return errors;
+}
+
+// 解析参与者要加入的小组，groupId 为 null 或空字符串时表示移出小组
+async function resolveParticipantGroupId(groupId) {
+  if (groupId === null || groupId === '') {
+    return { groupId: null };
+  }
+  const group = await findGroupById(groupId);
+  return group ? { groupId: group._id } : { error: '找不到指定的小组' };
+}
+
+async function findParticipantById(id) {
+  if (typeof id !== 'string' || !ObjectId.isValid(id)) {
+    return null;
+  }
+  return database.participants().findOne({ _id: new ObjectId(id) });
+}
+
+// 参与者列表（含记录数）
+router.get('/participants', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const [participants, counts] = await Promise.all([
+      database.participants().find({}).sort({ name: 1 }).toArray(),
+      database.homeworkRecords().aggregate([
+        { $match: { ...ACTIVE_RECORD_FILTER, participantId: { $exists: true } } },
+        { $group: { _id: '$participantId', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    const countById = new Map(counts.map(item => [item._id.toString(), item.count]));
+    const unlinkedCount = await database.homeworkRecords().countDocuments({
+      ...ACTIVE_RECORD_FILTER,
+      participantId: { $exists: false }
+    });
+    
+    res.json({
+      success: true,
+      data: participants.map(participant => formatParticipant(participant, countById.get(participant._id.toString()) || 0)),
+      // 尚未关联参与者的旧记录数，可调用 /api/participants/sync 关联
+      unlinkedRecords: unlinkedCount,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取参与者错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 新增参与者
+router.post('/participants', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const errors = validateParticipantInput(req.body || {});
+    const group = errors.length === 0 && req.body.groupId !== undefined
+      ? await resolveParticipantGroupId(req.body.groupId)
+      : null;
+    if (group && group.error) {
+      errors.push({ field: 'groupId', error: group.error });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '参与者数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const participant = await resolveParticipant(req.body.name);
+    let { participant: updated, error } = await updateParticipantNames(participant, {
+      aliases: [...(participant.aliases || []), ...(req.body.aliases || [])]
+    }, req);
+    
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (req.body.expected !== undefined) {
+      updated = await setParticipantExpected(updated, req.body.expected);
+    }
+    if (group) {
+      updated = await setParticipantGroup(updated, group.groupId);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: '参与者保存成功',
+      data: formatParticipant(updated),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('新增参与者错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 修改参与者的标准姓名、别名、所属小组或是否列入应提交名单，相关记录的姓名同步更新
+router.put('/participants/:id', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const participant = await findParticipantById(req.params.id);
+    if (!participant) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的参与者',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const errors = validateParticipantInput(req.body || {}, { partial: true });
+    const group = errors.length === 0 && req.body.groupId !== undefined
+      ? await resolveParticipantGroupId(req.body.groupId)
+      : null;
+    if (group && group.error) {
+      errors.push({ field: 'groupId', error: group.error });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '参与者数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    let updated = participant;
+    if (req.body.name !== undefined || req.body.aliases !== undefined) {
+      const result = await updateParticipantNames(participant, {
+        name: req.body.name,
+        aliases: req.body.aliases
+      }, req);
+    
+      if (result.error) {
+        return res.status(409).json({
+          success: false,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+      updated = result.participant;
+    }
+    
+    if (req.body.expected !== undefined) {
+      updated = await setParticipantExpected(updated, req.body.expected);
+    }
+    if (group) {
+      updated = await setParticipantGroup(updated, group.groupId);
+    }
+    
+    res.json({
+      success: true,
+      message: '参与者更新成功',
+      data: formatParticipant(updated),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('更新参与者错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 合并参与者：sourceId 的记录和别名并入 targetId
+router.post('/participants/merge', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const { sourceId, targetId } = req.body || {};
+    
+    if (!sourceId || !targetId || sourceId === targetId) {
+      return res.status(400).json({
+        success: false,
+        error: '请提供两个不同的参与者ID（sourceId 与 targetId）',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const [source, target] = await Promise.all([findParticipantById(sourceId), findParticipantById(targetId)]);
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的参与者',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { movedRecords, participant } = await mergeParticipants(source, target, req);
+    
+    try {
+      await database.homeworkLogs().insertOne({
+        type: 'participant_merge',
+        sourceId: source._id,
+        sourceName: source.name,
+        targetId: target._id,
+        name: target.name,
+        movedRecords,
+        actor: { type: 'admin', id: req.admin.sub },
+        timestamp: new Date(),
+        ip: req.ip,
+        clientInfo: req.headers['user-agent']
+      });
+    } catch (logError) {
+      console.warn('⚠️ [参与者] 日志记录失败（不影响主流程）:', logError.message);
+    }
+    
+    res.json({
+      success: true,
+      message: `已将「${source.name}」合并到「${target.name}」，更新 ${movedRecords} 条记录`,
+      movedRecords,
+      data: formatParticipant(participant),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('合并参与者错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 为旧记录关联参与者
+router.post('/participants/sync', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const result = await syncParticipants(req);
+    
+    res.json({
+      success: true,
+      message: `已关联 ${result.records} 条记录`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('同步参与者错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 小组路由 ==================
+
+// 小组列表（含成员数），提交页面和管理页面的小组选择器使用
+router.get('/groups', ensureDatabase, async (req, res) => {
+  try {
+    const [groups, counts] = await Promise.all([
+      database.groups().find({}).sort({ name: 1 }).toArray(),
+      database.participants().aggregate([
+        { $match: { groupId: { $exists: true } } },
+        { $group: { _id: '$groupId', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    const countById = new Map(counts.map(item => [item._id.toString(), item.count]));
+    
+    res.json({
+      success: true,
+      data: groups.map(group => formatGroup(group, countById.get(group._id.toString()) || 0)),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取小组错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 新增小组
+router.post('/groups', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = validateGroupInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '小组数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const now = new Date();
+    const group = { description: '', ...value, createdAt: now, updatedAt: now };
+    await database.groups().insertOne(group);
+    console.log('👥 [小组] 新增:', group.name);
+    
+    res.status(201).json({
+      success: true,
+      message: '小组创建成功',
+      data: formatGroup(group, 0),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: '小组名称已存在',
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('新增小组错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 修改小组名称或说明
+router.put('/groups/:id', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const group = await findGroupById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的小组',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { value, errors } = validateGroupInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '小组数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const updated = await database.groups().findOneAndUpdate(
+      { _id: group._id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    res.json({
+      success: true,
+      message: '小组更新成功',
+      data: formatGroup(updated),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: '小组名称已存在',
+        timestamp: new Date().toISOString()
+      });
+    }
+    console.error('更新小组错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 删除小组，成员改为未分组，功课记录不受影响
+router.delete('/groups/:id', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const group = await findGroupById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的小组',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const removedMembers = await deleteGroup(group);
+    
+    res.json({
+      success: true,
+      message: `已删除小组「${group.name}」，${removedMembers} 位成员改为未分组`,
+      removedMembers,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('删除小组错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 小组排行：各小组在指定周期内的功课合计与成员排行
+// 参数: period(week/month/year，默认本月) 或 startDate + endDate；sortBy(totalClassics/records/activeDays/功课项目键名)
+router.get('/stats/groups', ensureDatabase, async (req, res) => {
+  try {
+    const today = todayInTimeZone(req.timeZone);
+    const practiceItems = await loadAllPracticeItems();
+    const errors = [];
+    
+    let range;
+    if (req.query.startDate || req.query.endDate) {
+      const { startDate, endDate } = req.query;
+      if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+        errors.push({ field: 'startDate', error: '请同时提供开始和结束日期（YYYY-MM-DD）' });
+      } else if (startDate > endDate) {
+        errors.push({ field: 'endDate', error: '结束日期不能早于开始日期' });
+      } else {
+        range = { startDate, endDate };
+      }
+    } else {
+      const period = req.query.period || 'month';
+      if (!GOAL_PERIODS.includes(period) || period === 'custom') {
+        errors.push({ field: 'period', error: '周期只能是 week/month/year' });
+      } else {
+        range = periodRange(period, today);
+      }
+    }
+    
+    const sortBy = req.query.sortBy || 'totalClassics';
+    if (!GROUP_RANKING_BASE_METRICS.includes(sortBy) && !practiceItems.some(item => item.key === sortBy)) {
+      errors.push({ field: 'sortBy', error: `不支持的排名指标: ${sortBy}` });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const ranking = await buildGroupRanking({ ...range, sortBy }, practiceItems);
+    
+    res.json({
+      success: true,
+      data: ranking,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取小组排行错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 个人功课汇总 ==================
+
+// 个人累计、连续打卡、本月缺勤与平均值
+router.get('/people/:name/summary', ensureDatabase, async (req, res) => {
+  try {
+    const name = cleanName(req.params.name);
+    
+    if (!name || name.length > RECORD_LIMITS.nameMaxLength) {
+      return res.status(400).json({
+        success: false,
+        error: '姓名无效',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const today = todayInTimeZone(req.timeZone);
+    const summary = await buildPersonSummary(name, today);
+    
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: `没有找到「${name}」的功课记录`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: summary,
+      today,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取个人功课汇总错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 发愿目标路由 ==================
+
+// 单次返回的最大目标数
+const GOALS_MAX_LIMIT = 100;
+
+// 目标列表及进度，支持参数: status(active/closed/all，默认 active), name(本人目标与全体目标), scope
+router.get('/goals', ensureDatabase, async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    if (status !== 'all' && !GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `状态只能是 ${GOAL_STATUSES.join('/')}/all`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const scope = req.query.scope === undefined ? null : String(req.query.scope);
+    if (scope !== null && !GOAL_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `目标范围只能是 ${GOAL_SCOPES.join('/')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const filter = status === 'all' ? {} : { status };
+    if (scope) {
+      filter.scope = scope;
+    }
+    if (typeof req.query.name === 'string' && req.query.name.trim()) {
+      Object.assign(filter, await goalsFilterForName(req.query.name));
+    }
+    
+    const today = todayInTimeZone(req.timeZone);
+    const [goals, practiceItems] = await Promise.all([
+      database.goals().find(filter).sort({ status: 1, endDate: 1, _id: -1 }).limit(GOALS_MAX_LIMIT).toArray(),
+      loadAllPracticeItems()
+    ]);
+    
+    const data = await Promise.all(goals.map(async goal => {
+      const progress = goal.status === 'closed' && goal.finalProgress
+        ? goal.finalProgress
+        : await computeGoalProgress(goal, today);
+      return formatGoal(goal, progress, practiceItems);
+    }));
+    
+    res.json({
+      success: true,
+      data,
+      today,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取目标错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 新增目标
+router.post('/goals', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const today = todayInTimeZone(req.timeZone);
+    const practiceItems = await loadAllPracticeItems();
+    const { value, errors } = validateGoal(req.body, practiceItems.filter(item => item.enabled), today);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '目标数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const goal = await createGoal(value, { type: 'admin', id: req.admin.sub });
+    const progress = await computeGoalProgress(goal, today);
+    console.log('🎯 [目标] 新增:', goal.title);
+    
+    res.status(201).json({
+      success: true,
+      message: '目标创建成功',
+      data: formatGoal(goal, progress, practiceItems),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('新增目标错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 结束目标，保存结束时的进度
+router.post('/goals/:id/close', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: '目标ID格式无效',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const goals = database.goals();
+    const goal = await goals.findOne({ _id: new ObjectId(req.params.id) });
+    
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的目标',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (goal.status === 'closed') {
+      return res.status(409).json({
+        success: false,
+        error: '该目标已结束',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const today = todayInTimeZone(req.timeZone);
+    const finalProgress = await computeGoalProgress(goal, today);
+    const now = new Date();
+    const closed = await goals.findOneAndUpdate(
+      { _id: goal._id, status: 'active' },
+      { $set: { status: 'closed', closedAt: now, closedBy: { type: 'admin', id: req.admin.sub }, finalProgress, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    
+    const practiceItems = await loadAllPracticeItems();
+    console.log('🎯 [目标] 结束:', goal.title);
+    
+    res.json({
+      success: true,
+      message: finalProgress.completed ? '目标已圆满完成' : '目标已结束',
+      data: formatGoal(closed || goal, finalProgress, practiceItems),
+      timestamp: now.toISOString()
+    });
+  
+  } catch (error) {
+    console.error('结束目标错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 趋势统计路由 ==================
+
+// 按日/周/月统计各功课项目、经典总数和参与人数
+// 参数: granularity(day/week/month), startDate, endDate, name, group
+router.get('/stats/timeseries', ensureDatabase, async (req, res) => {
+  try {
+    const today = todayInTimeZone(req.timeZone);
+    const { value, errors: queryErrors } = validateTimeseriesQuery(req.query, today);
+    const { group, filter: groupFilter, errors: groupErrors } = await resolveGroupFilter(req.query.group);
+    const errors = [...queryErrors, ...groupErrors];
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const timeseries = await buildTimeseries({ ...value, groupFilter });
+    
+    res.json({
+      success: true,
+      data: { ...timeseries, group: group ? formatGroup(group) : null, timeZone: req.timeZone },
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取趋势统计错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 未提交统计路由 ==================
+
+// 应提交名单中指定日期（或日期范围）没有提交记录的人
+// 参数: date，或 startDate + endDate，默认为今天；group 只统计该小组的成员
+router.get('/stats/missing', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const today = todayInTimeZone(req.timeZone);
+    const { value, errors } = validateMissingQuery(req.query, today);
+    const group = req.query.group ? await findGroupById(req.query.group) : null;
+    if (req.query.group && !group) {
+      errors.push({ field: 'group', error: '找不到指定的小组' });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const report = await buildMissingReport({ ...value, group });
+    
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取未提交统计错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 功课统计
+router.get('/stats', ensureDatabase, async (req, res) => {
+  try {
+    const homeworkCollection = database.homeworkRecords();
+    
+    // 可按小组统计
+    const { group, filter: groupFilter, errors: groupErrors } = await resolveGroupFilter(req.query.group);
+    if (groupErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: groupErrors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    const baseFilter = applyGroupFilter({ ...ACTIVE_RECORD_FILTER }, groupFilter);
+    
+    // 获取基本统计
+    const practiceItems = await loadAllPracticeItems();
+    const practiceTotalsGroup = { _id: null };
+    practiceItems.forEach(item => {
+      practiceTotalsGroup[totalFieldName(item.key)] = { $sum: `$${item.key}` };
+    });
+    
+    const [totalCount, nameGroups, totalsStats, participantIndex] = await Promise.all([
+      homeworkCollection.countDocuments(baseFilter),
+      
+      // 按参与者统计（旧记录没有 participantId 时按姓名匹配）
+      homeworkCollection.aggregate([
+        { $match: baseFilter },
+        { $group: {
+          _id: { participantId: '$participantId', name: '$name' },
+          count: { $sum: 1 },
+          lastSubmit: { $max: '$submittedAt' }
+        }}
+      ]).toArray(),
+      
+      // 各功课项目合计
+      homeworkCollection.aggregate([
+        { $match: baseFilter },
+        { $group: practiceTotalsGroup }
+      ]).toArray(),
+      
+      loadParticipantIndex()
+    ]);
+    
+    const nameStats = mergeNameStats(nameGroups, participantIndex);
+    
+    // 今日记录
+    const today = todayInTimeZone(req.timeZone);
+    const todayCount = await homeworkCollection.countDocuments({
+      ...baseFilter,
+      date: today
+    });
+    
+    // 经典总数
+    const totals = totalsStats[0] || {};
+    const classicsStats = {};
+    const meditationStats = {};
+    const practiceTotals = practiceItems.map(item => {
+      const field = totalFieldName(item.key);
+      const total = totals[field] || 0;
+      if (item.countsTowardClassics) {
+        classicsStats[field] = total;
+      } else {
+        meditationStats[field] = total;
+      }
+      return { key: item.key, name: item.name, unit: item.unit, countsTowardClassics: item.countsTowardClassics, total };
+    });
+    
+    const totalClassics = Object.values(classicsStats).reduce((sum, value) => sum + value, 0);
+    
+    const stats = {
+      totalRecords: totalCount,
+      todayRecords: todayCount,
+      // "今天"所用的日期和时区
+      today: today,
+      timeZone: req.timeZone,
+      group: group ? formatGroup(group) : null,
+      nameStats: nameStats,
+      classicsStats: classicsStats,
+      totalClassics: totalClassics,
+      // 禅修统计（不计入经典总数的项目）
+      meditationStats: meditationStats,
+      practiceTotals: practiceTotals
+    };
+    
+    res.json({
+      success: true,
+      stats: stats,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('获取功课统计错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 功课项目目录路由 ==================
+
+// 获取功课项目目录（提交页面使用启用中的项目，管理页面可传 all=1 获取全部）
+router.get('/practice-items', ensureDatabase, async (req, res) => {
+  try {
+    const includeDisabled = req.query.all === '1' || req.query.all === 'true';
+    const items = includeDisabled ? await loadAllPracticeItems() : await getPracticeItems();
+    
+    res.json({
+      success: true,
+      data: items,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取功课项目错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 新增功课项目
+router.post('/practice-items', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = validatePracticeItem(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '功课项目数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const collection = database.practiceItems();
+    
+    // 未指定排序值时排在最后
+    if (value.order === undefined) {
+      const items = await loadAllPracticeItems();
+      value.order = items.reduce((max, item) => Math.max(max, item.order), 0) + 10;
+    }
+    
+    const now = new Date();
+    try {
+      await collection.insertOne({ ...value, createdAt: now, updatedAt: now });
+    } catch (insertError) {
+      if (isDuplicateKeyError(insertError)) {
+        return res.status(409).json({
+          success: false,
+          error: `功课项目 ${value.key} 已存在`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      throw insertError;
+    }
+    
+    invalidatePracticeItemsCache();
+    const allItems = await loadAllPracticeItems();
+    await database.applyRecordsValidator(allItems.map(item => item.key));
+    console.log('✅ [功课项目] 新增:', value.key);
+    
+    res.status(201).json({
+      success: true,
+      message: '功课项目创建成功',
+      data: value,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('新增功课项目错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 更新功课项目（键名不可修改）
+router.put('/practice-items/:key', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const collection = database.practiceItems();
+    const existing = await collection.findOne({ key: req.params.key });
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的功课项目',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { value, errors } = validatePracticeItem(req.body, { partial: true });
+    const merged = { ...existing, ...value };
+    
+    if (merged.inputType === 'radio' && !merged.maxValue) {
+      errors.push({ field: 'maxValue', error: '单选输入方式必须设置最大值' });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '功课项目数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    await collection.updateOne(
+      { key: req.params.key },
+      { $set: { ...value, updatedAt: new Date() } }
+    );
+    
+    invalidatePracticeItemsCache();
+    console.log('✅ [功课项目] 更新:', req.params.key);
+    
+    res.json({
+      success: true,
+      message: '功课项目更新成功',
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('更新功课项目错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 删除功课项目
+// 已有记录使用的项目只停用（保留历史数据），传 force=1 且无记录使用时才真正删除
+router.delete('/practice-items/:key', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const collection = database.practiceItems();
+    const key = req.params.key;
+    const existing = await collection.findOne({ key });
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的功课项目',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const usedCount = await database.homeworkRecords().countDocuments({ [key]: { $gt: 0 } });
+    const force = req.query.force === '1' || req.query.force === 'true';
+    
+    if (force && usedCount === 0) {
+      await collection.deleteOne({ key });
+    } else {
+      await collection.updateOne({ key }, { $set: { enabled: false, updatedAt: new Date() } });
+    }
+    
+    invalidatePracticeItemsCache();
+    const removed = force && usedCount === 0;
+    console.log(`✅ [功课项目] ${removed ? '删除' : '停用'}:`, key);
+    
+    res.json({
+      success: true,
+      message: removed ? '功课项目已删除' : `功课项目已停用（${usedCount} 条记录使用了该项目）`,
+      removed,
+      usedCount,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('删除功课项目错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 导出功课数据为 CSV
+// 支持与 /api/records 相同的筛选和排序参数，以及 group、columns（逗号分隔的列键名）
+// mode=aggregate 时每人每周期输出一行合计，周期由 period 指定（day、week、month、year、all）
+router.get('/export/csv', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const practiceItems = await loadAllPracticeItems();
+    const practiceKeys = practiceItems.map(item => item.key);
+    const { filter: recordFilter, errors: filterErrors } = buildRecordFilter(req.query, practiceKeys);
+    const { sort, field: sortField, errors: sortErrors } = buildRecordSort({ sort: 'date', order: 'desc', ...req.query }, practiceKeys);
+    const { errors: optionErrors, ...options } = validateCsvExportQuery(req.query, practiceItems);
+    // 可只导出某个小组的记录
+    const { group, filter: groupFilter, errors: groupErrors } = await resolveGroupFilter(req.query.group);
+    const errors = [...filterErrors, ...sortErrors, ...optionErrors, ...groupErrors];
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const pipeline = [{ $match: applyGroupFilter(recordFilter, groupFilter) }];
+    if (sortField === 'totalClassics') {
+      pipeline.push({ $addFields: { totalClassics: classicsTotalExpression(practiceItems) } });
+    }
+    pipeline.push({ $sort: sort });
+    
+    const [participantIndex, groups] = await Promise.all([
+      loadParticipantIndex(),
+      database.groups().find({}).toArray()
+    ]);
+    
+    const timestamp = todayInTimeZone(req.timeZone).replace(/-/g, '');
+    const fileName = `功课${options.mode === 'aggregate' ? '汇总' : '记录'}_${group ? group.name + '_' : ''}${timestamp}.csv`;
+    // res.attachment 按 RFC 5987 编码中文文件名
+    res.attachment(fileName);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    
+    // 游标逐条读取，不把全部记录载入内存
+    const count = await writeRecordsCsv({
+      stream: res,
+      records: database.homeworkRecords().aggregate(pipeline, { allowDiskUse: true }),
+      options,
+      practiceItems,
+      participantIndex,
+      groupsById: new Map(groups.map(item => [item._id.toString(), item])),
+      timeZone: req.timeZone
+    });
+    res.end();
+    console.log(`📤 [导出] CSV 导出 ${count} 行（${options.mode === 'aggregate' ? `按${options.period}汇总` : '逐条记录'}）`);
+    
+  } catch (error) {
+    console.error('导出CSV错误:', error);
+    // 已开始输出文件时无法再返回 JSON，只能中断连接
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 导出 Excel 工作簿：功课记录、个人汇总、功课项目合计三个工作表
+// 支持与 /api/records 相同的筛选和排序参数，以及 group
+router.get('/export/xlsx', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const practiceItems = await loadAllPracticeItems();
+    const practiceKeys = practiceItems.map(item => item.key);
+    const { filter: recordFilter, errors: filterErrors } = buildRecordFilter(req.query, practiceKeys);
+    const { sort, field: sortField, errors: sortErrors } = buildRecordSort({ sort: 'date', order: 'desc', ...req.query }, practiceKeys);
+    const { group, filter: groupFilter, errors: groupErrors } = await resolveGroupFilter(req.query.group);
+    const errors = [...filterErrors, ...sortErrors, ...groupErrors];
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const pipeline = [{ $match: applyGroupFilter(recordFilter, groupFilter) }];
+    if (sortField === 'totalClassics') {
+      pipeline.push({ $addFields: { totalClassics: classicsTotalExpression(practiceItems) } });
+    }
+    pipeline.push({ $sort: sort });
+    
+    const [participantIndex, groups] = await Promise.all([
+      loadParticipantIndex(),
+      database.groups().find({}).toArray()
+    ]);
+    
+    const fileName = `功课记录_${group ? group.name + '_' : ''}${todayInTimeZone(req.timeZone).replace(/-/g, '')}.xlsx`;
+    res.attachment(fileName);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    
+    const count = await writeRecordsWorkbook({
+      stream: res,
+      records: database.homeworkRecords().aggregate(pipeline, { allowDiskUse: true }),
+      practiceItems,
+      participantIndex,
+      groupsById: new Map(groups.map(item => [item._id.toString(), item])),
+      timeZone: req.timeZone
+    });
+    console.log(`📤 [导出] Excel 导出 ${count} 条记录`);
+  
+  } catch (error) {
+    console.error('导出Excel错误:', error);
+    // 已开始输出文件时无法再返回 JSON，只能中断连接
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 月度报表 ==================
+
+// 月报：month 为 YYYY-MM（默认本月），format=json 时返回报表数据，否则生成 PDF 并保存到 monthly_reports 后返回
+router.get('/reports/monthly', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    const { value: range, errors } = validateReportMonth(req.query.month, todayInTimeZone(req.timeZone));
+    if (format !== 'pdf' && format !== 'json') {
+      errors.push({ field: 'format', error: '格式只能是 pdf 或 json' });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 字体属于部署配置，缺少时返回 503 并说明如何配置
+    const fontError = format === 'pdf' ? reportFontError() : null;
+    if (fontError) {
+      return res.status(503).json({
+        success: false,
+        error: fontError,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const practiceItems = await loadAllPracticeItems();
+    const report = await buildMonthlyReport(range, practiceItems);
+    
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const pdf = await renderMonthlyReportPdf({ report, font: resolveReportFont(), timeZone: req.timeZone });
+    await saveMonthlyReport({ report, pdf, generatedBy: req.admin.sub });
+    console.log(`📄 [月报] 生成并保存 ${range.month} 月报，${report.people.length} 人`);
+    
+    res.attachment(`功课月报_${range.month}.pdf`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+  
+  } catch (error) {
+    console.error('生成月报错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 已保存的月报列表
+router.get('/reports/monthly/archive', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listMonthlyReports(),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取月报列表错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 下载已保存的月报，format=json 时返回生成时的报表数据
+router.get('/reports/monthly/archive/:month', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (format !== 'pdf' && format !== 'json') {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: [{ field: 'format', error: '格式只能是 pdf 或 json' }],
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const saved = await loadMonthlyReport(req.params.month);
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: `${req.params.month} 的月报尚未生成`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: saved.report,
+        generatedAt: saved.generatedAt,
+        generatedBy: saved.generatedBy,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.attachment(`功课月报_${saved.month}.pdf`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(saved.pdf);
+  
+  } catch (error) {
+    console.error('下载月报错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== Notion 同步 ==================
+
+// 同步状态：各状态的记录数、未建立页面的记录数和最近的失败记录
+router.get('/notion/status', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await notionSyncStatus(),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取Notion同步状态错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 重试同步失败的记录，body: { ids } 可只重试指定记录
+router.post('/notion/retry', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    if (!isNotionSyncEnabled()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notion 同步未启用，请设置 NOTION_TOKEN 和 NOTION_DATABASE_ID',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const filter = { syncStatus: 'failed' };
+    if (req.body && req.body.ids !== undefined) {
+      const { ids, invalid } = parseRecordIds(req.body);
+      if (ids.length === 0 || invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: '请提供有效的记录ID',
+          details: invalid.map(id => ({ field: 'ids', error: `无效的记录ID: ${id}` })),
+          timestamp: new Date().toISOString()
+        });
+      }
+      filter._id = { $in: ids };
+    }
+    
+    const queued = await queueRecordsForSync(filter);
+    console.log(`🔗 [Notion] 重新排队 ${queued} 条同步失败的记录`);
+    
+    res.json({
+      success: true,
+      message: `已重新排队 ${queued} 条记录`,
+      queued,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('重试Notion同步错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 定时任务 ==================
+
+// 定时任务一次最多运行的时间（Vercel 函数最长运行 10 秒）
+const CRON_DRAIN_MS = 8 * 1000;
+
+// 推送到期的待同步记录和待投递的 Webhook（包括失败后等待重试的），由 Vercel Cron 或外部定时任务调用
+router.get('/cron/drain', requireCronSecret, ensureDatabase, async (req, res) => {
+  try {
+    const [notion, webhooks] = await Promise.all([
+      drainNotionSync(CRON_DRAIN_MS),
+      drainWebhookDeliveries(CRON_DRAIN_MS)
+    ]);
+    
+    res.json({
+      success: true,
+      notion,
+      webhooks,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('定时任务错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== Webhook 路由 ==================
+
+// 订阅列表，附带各订阅的投递统计
+router.get('/webhooks', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const [webhooks, counts] = await Promise.all([
+      database.webhooks().find({}).sort({ createdAt: 1 }).toArray(),
+      database.webhookDeliveries().aggregate([
+        { $group: { _id: { webhookId: '$webhookId', status: '$status' }, count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    const countsById = new Map();
+    counts.forEach(item => {
+      const key = item._id.webhookId.toString();
+      const byStatus = countsById.get(key) || Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+      byStatus[item._id.status] = item.count;
+      countsById.set(key, byStatus);
+    });
+    
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      data: webhooks.map(webhook => ({
+        ...formatWebhook(webhook),
+        deliveries: countsById.get(webhook._id.toString()) || Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]))
+      })),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取Webhook错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 新增订阅，body: { url, events, secret?, description?, enabled? }；响应中返回完整的签名密钥，之后只显示末尾几位
+router.post('/webhooks', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const { value, errors } = await validateWebhookInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook 数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const now = new Date();
+    const webhook = { description: '', ...value, createdAt: now, updatedAt: now, createdBy: req.admin.sub };
+    await database.webhooks().insertOne(webhook);
+    console.log('📮 [Webhook] 新增订阅:', webhook.url, webhook.events.join(','));
+    
+    res.status(201).json({
+      success: true,
+      message: 'Webhook 创建成功，请妥善保存签名密钥',
+      data: formatWebhook(webhook, { revealSecret: true }),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('新增Webhook错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 修改订阅，body 中提供的字段才更新；rotateSecret: true 时重新生成签名密钥
+router.put('/webhooks/:id', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的Webhook',
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    // 构建CSV内容 - 添加药师经列
-    const headers = [
-      '日期',
-      '姓名',
-      '九字禅(声)',
-      '礼佛拜忏文(遍)',
-      '静禅(分钟)',
-      '动禅(分钟)',
-      '金刚经(遍)',
-      '阿弥陀经(遍)',
-      '普门品(遍)',
-      '普贤品(遍)',
-      '地藏经(遍)',
-      '药师经(遍)', // 添加药师经
-      '经典总数',
-      '备注',
-      '提交时间',
-      '设备ID'
-    ];
+    const { value, errors } = await validateWebhookInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook 数据无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const updated = await database.webhooks().findOneAndUpdate(
+      { _id: webhook._id },
+      { $set: { ...value, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    
+    res.json({
+      success: true,
+      message: value.secret ? 'Webhook 更新成功，签名密钥已更换' : 'Webhook 更新成功',
+      data: formatWebhook(updated, { revealSecret: !!value.secret }),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('更新Webhook错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 删除订阅及其投递日志，未发送的事件不再投递
+router.delete('/webhooks/:id', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的Webhook',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const removedDeliveries = await deleteWebhook(webhook);
+    console.log('📮 [Webhook] 删除订阅:', webhook.url);
+    
+    res.json({
+      success: true,
+      message: `已删除 Webhook ${webhook.url}`,
+      removedDeliveries,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('删除Webhook错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 立即发送一次测试事件（webhook.test），返回投递结果；失败不自动重试
+router.post('/webhooks/:id/test', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的Webhook',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const delivery = await sendTestDelivery(webhook, { type: 'admin', id: req.admin.sub });
+    const delivered = delivery.status === 'delivered';
+    
+    res.json({
+      success: true,
+      delivered,
+      message: delivered
+        ? `测试投递成功（HTTP ${delivery.lastStatusCode}）`
+        : `测试投递失败：${delivery.lastError}`,
+      data: formatDelivery(delivery),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('测试Webhook错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 投递日志，参数: status(pending/delivered/failed)、limit(默认50)、page
+router.get('/webhooks/:id/deliveries', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的Webhook',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: '查询参数无效',
+        details: [{ field: 'status', error: `状态只能是 ${DELIVERY_STATUSES.join('/')}` }],
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const filter = { webhookId: webhook._id, ...(status ? { status } : {}) };
+    
+    const [deliveries, totalCount] = await Promise.all([
+      database.webhookDeliveries()
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      database.webhookDeliveries().countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      data: deliveries.map(formatDelivery),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      },
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('获取Webhook投递日志错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 重新投递失败的任务，重新计算尝试次数
+router.post('/webhooks/deliveries/:id/retry', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delivery = ObjectId.isValid(id)
+      ? await database.webhookDeliveries().findOne({ _id: new ObjectId(id) })
+      : null;
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: '找不到指定的投递记录',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (delivery.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: delivery.status === 'pending' ? '该投递正在等待发送' : '该投递已成功，无需重试',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const queued = await retryDelivery(delivery);
+    console.log(`📮 [Webhook] 重新排队投递 ${delivery._id}`);
+    
+    res.json({
+      success: true,
+      message: '已重新排队，稍后自动投递',
+      data: formatDelivery(queued || delivery),
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('重试Webhook投递错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 数据完整性检查 ==================
+
+// 数据完整性检查结果的提示信息
+function verificationMessage(verification) {
+  return verification.issueCount === 0
+    ? '数据验证完成，未发现问题'
+    : `数据验证完成，发现 ${verification.issueCount} 个问题（可自动修复 ${verification.fixableCount} 个）`;
+}
+
+// 检查重复记录、日期和数量格式、提交时间以及孤立的操作日志（监控页面定时调用），只返回各类问题的数量
+router.get('/verify-data', ensureDatabase, async (req, res) => {
+  try {
+    const practiceItems = await loadAllPracticeItems();
+    const verification = await verifyDataIntegrity(practiceItems, req.timeZone);
+    
+    res.json({
+      success: true,
+      message: verificationMessage(verification),
+      verification,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('数据验证错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 问题明细（包含记录ID和姓名），每类最多列出 100 条
+router.get('/verify-data/report', ensureDatabase, requireAdmin, async (req, res) => {
+  try {
+    const practiceItems = await loadAllPracticeItems();
+    const verification = await verifyDataIntegrity(practiceItems, req.timeZone, { includeIssues: true });
+    
+    res.json({
+      success: true,
+      message: verificationMessage(verification),
+      verification,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('数据验证报告错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 自动修复，body: { types?: ['duplicate', 'invalidDate', ...] }，不传时修复全部可修复的问题
+router.post('/verify-data/repair', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const issueTypes = Object.keys(INTEGRITY_ISSUE_TYPES);
+    const { types = issueTypes } = req.body || {};
+    const invalid = Array.isArray(types) ? types.filter(type => !issueTypes.includes(type)) : [];
+    
+    if (!Array.isArray(types) || types.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '请求参数无效',
+        details: [{
+          field: 'types',
+          error: invalid.length > 0
+            ? `未知的问题类型: ${invalid.join(', ')}，可选 ${issueTypes.join(', ')}`
+            : 'types 必须是非空数组'
+        }],
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const practiceItems = await loadAllPracticeItems();
+    const result = await repairDataIntegrity(req, practiceItems, [...new Set(types)]);
+    const fixedCount = Object.values(result.fixed).reduce((sum, count) => sum + count, 0);
     
-    let csvContent = '\uFEFF'; // UTF-8 BOM
-    csvContent += headers.join(',') + '\n';
-    
-    records.forEach((item) => {
-      // 计算经典总数 - 包含药师经
-      const totalClassics = (item.diamond || 0) + 
-                           (item.amitabha || 0) + 
-                           (item.guanyin || 0) + 
-                           (item.puxian || 0) + 
-                           (item.dizang || 0) +
-                           (item.yaoshi || 0); // 添加药师经
+    res.json({
+      success: true,
+      message: `已修复 ${fixedCount} 个问题${result.skipped > 0 ? `，${result.skipped} 个问题需要人工处理` : ''}`,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  
+  } catch (error) {
+    console.error('数据修复错误:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// ================== 数据导入 ==================
+
+// 导入 CSV 或 JSON 备份：dryRun 为 true 时只返回解析结果、校验错误和重复记录，不写入数据库
+// 请求体：{ format: 'csv' | 'json', content: 文件内容, dryRun: boolean }
+router.post('/import', ensureDatabase, requireAdmin, drainAfterWrite, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+    const errors = [];
+    
+    if (!IMPORT_FORMATS.includes(body.format)) {
+      errors.push({ field: 'format', error: `格式必须是 ${IMPORT_FORMATS.join('、')} 之一` });
+    }
+    if (body.content === undefined || body.content === null || body.content === '') {
+      errors.push({ field: 'content', error: '导入内容不能为空' });
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: '请求参数无效',
+        details: errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const practiceItems = await loadAllPracticeItems();
+    const parsed = parseImportContent(body.format, body.content, practiceItems);
+    
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error,
+        warnings: parsed.warnings,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '文件中没有可导入的记录',
+        warnings: parsed.warnings,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (parsed.rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `单次最多导入 ${IMPORT_MAX_ROWS} 条记录，请拆分文件`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    console.log(`📥 [导入] 收到 ${parsed.rows.length} 条${body.format.toUpperCase()}记录${dryRun ? '（预览）' : ''}`);
+    
+    const rows = await analyzeImportRows(parsed.rows, practiceItems, req.timeZone);
+    const newRows = rows.filter(row => row.status === 'new');
+    let imported = 0;
+    
+    if (!dryRun && newRows.length > 0) {
+      // 姓名统一为参与者的标准姓名
+      const participantsByName = await resolveParticipants(newRows.map(row => row.data.name));
+      const now = new Date();
+      const toInsert = newRows.map(row => {
+        applyParticipant(row.data, participantsByName.get(row.data.name));
+        const doc = buildHomeworkRecord(row.data, now, row.localId, practiceItems);
+        // 保留原提交时间，便于按提交时间排序和核对
+        if (row.submittedAt) {
+          doc.submitTime = row.submittedAt;
+          doc.submittedAt = row.submittedAt;
+        }
+        doc.importedAt = now;
+        return { row, doc };
+      });
+      
+      let writeErrors = [];
+      let insertedIds = {};
+      try {
+        const bulkResult = await database.homeworkRecords().bulkWrite(
+          toInsert.map(({ doc }) => ({ insertOne: { document: doc } })),
+          { ordered: false }
+        );
+        insertedIds = bulkResult.insertedIds;
+      } catch (bulkError) {
+        if (!bulkError.writeErrors && !bulkError.result) {
+          throw bulkError;
+        }
+        writeErrors = [].concat(bulkError.writeErrors || []);
+        insertedIds = (bulkError.result && bulkError.result.insertedIds) || {};
+      }
       
-      const row = [
-        `"${item.date || ''}"`,
-        `"${item.name || ''}"`,
-        item.nineWord || 0,
-        item.buddhaWorship || 0,
-        item.quietZen || 0,
-        item.activeZen || 0,
-        item.diamond || 0,
-        item.amitabha || 0,
-        item.guanyin || 0,
-        item.puxian || 0,
-        item.dizang || 0,
-        item.yaoshi || 0, // 添加药师经
-        totalClassics,
-        `"${item.remark || ''}"`,
-        item.submittedAt ? new Date(item.submittedAt).toISOString() : '',
-        `"${item.deviceId || ''}"`
-      ];
-      csvContent += row.join(',') + '\n';
-    });
-    
-    // 设置响应头
-    const timestamp = new Date().toISOString().slice(0,10).replace(/-/g, '');
-    const fileName = `功课记录_${timestamp}_${records.length}条.csv`;
+      const failedOps = new Map(writeErrors.map(err => [err.index, err]));
+      const auditEntries = [];
+      toInsert.forEach(({ row, doc }, opIndex) => {
+        const writeError = failedOps.get(opIndex);
+        if (writeError) {
+          // 并发导入或提交导致 localId 冲突时视为重复
+          row.status = writeError.code === 11000 ? 'duplicate' : 'invalid';
+          if (writeError.code === 11000) {
+            row.duplicateOf = { recordId: null, reason: '客户端记录ID已存在' };
+          } else {
+            row.errors.push({ field: 'record', error: writeError.errmsg || '写入失败' });
+          }
+          return;
+        }
+        row.status = 'imported';
+        row.recordId = insertedIds[opIndex] || doc._id;
+        auditEntries.push(buildAuditEntry(req, {
+          action: 'create',
+          recordId: row.recordId,
+          after: doc,
+          imported: true
+        }));
+      });
+      imported = auditEntries.length;
+      
+      await writeAuditLogs(auditEntries);
+    }
     
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    const summary = {
+      total: rows.length,
+      valid: newRows.length,
+      invalid: rows.filter(row => row.status === 'invalid').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      imported
+    };
     
-    res.send(csvContent);
+    console.log(`✅ [导入] 共 ${summary.total} 条：可导入 ${summary.valid}，重复 ${summary.duplicates}，无效 ${summary.invalid}${dryRun ? '' : `，已导入 ${imported}`}`);
     
+    res.json({
+      success: true,
+      dryRun,
+      message: dryRun
+        ? `预览完成：可导入 ${summary.valid} 条，重复 ${summary.duplicates} 条，无效 ${summary.invalid} 条`
+        : `导入完成：新增 ${imported} 条，重复 ${summary.duplicates} 条，无效 ${summary.invalid} 条`,
+      summary,
+      rows: rows.map(row => ({
+        row: row.row,
+        status: row.status,
+        data: row.data || null,
+        submittedAt: row.submittedAt ? formatDateTimeInTimeZone(row.submittedAt, req.timeZone) : null,
+        recordId: row.recordId || null,
+        duplicateOf: row.duplicateOf || null,
+        errors: row.errors,
+        warnings: row.warnings
+      })),
+      warnings: parsed.warnings,
+      timestamp: new Date().toISOString()
+    });
+  
   } catch (error) {
-    console.error('导出CSV错误:', error);
+    console.error('❌ [导入] 导入失败:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -543,7 +3355,7 @@ router.get('/export/csv', ensureDatabase, async (req, res) => {
 });
 
 // 直接查询数据库状态
-router.get('/debug/db-status', ensureDatabase, async (req, res) => {
+router.get('/debug/db-status', ensureDatabase, requireAdmin, async (req, res) => {
   try {
     const db = database.db;
     
@@ -593,7 +3405,7 @@ router.get('/debug/db-status', ensureDatabase, async (req, res) => {
 });
 
 // 直接运行 MongoDB 查询
-router.get('/debug/query', ensureDatabase, async (req, res) => {
+router.get('/debug/query', ensureDatabase, requireAdmin, async (req, res) => {
   try {
     const db = database.db;
     const collection = db.collection('homework_records');
@@ -602,7 +3414,7 @@ router.get('/debug/query', ensureDatabase, async (req, res) => {
     const queries = {
       totalCount: await collection.countDocuments({}),
       todayCount: await collection.countDocuments({ 
-        date: new Date().toISOString().split('T')[0] 
+        date: todayInTimeZone(req.timeZone) 
       }),
       allRecords: await collection.find({}).sort({ submittedAt: -1 }).limit(10).toArray(),
       rawQuery: await collection.find({}).toArray()
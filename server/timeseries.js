@@ -0,0 +1,215 @@
+import database from './database.js';
+import { ACTIVE_RECORD_FILTER } from './recordQuery.js';
+import { isValidDateString, RECORD_LIMITS } from './validation.js';
+import { loadAllPracticeItems } from './practiceItems.js';
+import { findParticipantByName, cleanName } from './participants.js';
+import { personFilter } from './personSummary.js';
+import { applyGroupFilter } from './groups.js';
+
+// ================== 趋势统计 ==================
+// 按日、周（周一开始）或月汇总功课记录，周期键分别为 YYYY-MM-DD、该周周一的日期、YYYY-MM
+
+export const TIMESERIES_GRANULARITIES = ['day', 'week', 'month'];
+
+// 单次查询的最大周期数
+export const TIMESERIES_MAX_PERIODS = 400;
+
+// 未指定开始日期时默认展示的周期数
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayNumber(dateString) {
+  return Math.floor(Date.parse(`${dateString}T00:00:00Z`) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+// 日期所在周期的键
+export function periodKey(dateString, granularity) {
+  if (granularity === 'month') {
+    return dateString.slice(0, 7);
+  }
+  if (granularity === 'week') {
+    const day = toDayNumber(dateString);
+    // 1970-01-01 是周四，(day + 3) % 7 为距周一的天数
+    return fromDayNumber(day - ((day % 7) + 3) % 7);
+  }
+  return dateString;
+}
+
+// 列出起止日期之间的全部周期键，没有记录的周期也要出现在结果中
+export function listPeriods(startDate, endDate, granularity) {
+  const periods = [];
+  
+  if (granularity === 'month') {
+    let [year, month] = startDate.split('-').map(Number);
+    const last = periodKey(endDate, 'month');
+    let key = `${year}-${String(month).padStart(2, '0')}`;
+    while (key <= last) {
+      periods.push(key);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+      key = `${year}-${String(month).padStart(2, '0')}`;
+    }
+    return periods;
+  }
+  
+  const step = granularity === 'week' ? 7 : 1;
+  const end = toDayNumber(endDate);
+  for (let day = toDayNumber(periodKey(startDate, granularity)); day <= end; day += step) {
+    periods.push(fromDayNumber(day));
+  }
+  return periods;
+}
+
+// 默认开始日期：往前推 DEFAULT_PERIODS 个周期
+function defaultStartDate(granularity, endDate) {
+  const count = DEFAULT_PERIODS[granularity];
+  if (granularity === 'month') {
+    const [year, month] = endDate.split('-').map(Number);
+    const start = new Date(Date.UTC(year, month - count, 1));
+    return start.toISOString().slice(0, 10);
+  }
+  const step = granularity === 'week' ? 7 : 1;
+  return fromDayNumber(toDayNumber(periodKey(endDate, granularity)) - (count - 1) * step);
+}
+
+/**
+ * 校验趋势统计查询参数
+ * @param {object} query granularity, startDate, endDate, name
+ * @param {string} today 今天的日期，作为默认结束日期
+ * @returns {{ value: object, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateTimeseriesQuery(query = {}, today) {
+  const errors = [];
+  const value = {};
+  
+  value.granularity = query.granularity || 'day';
+  if (!TIMESERIES_GRANULARITIES.includes(value.granularity)) {
+    errors.push({ field: 'granularity', error: `统计粒度只能是 ${TIMESERIES_GRANULARITIES.join('/')}` });
+    return { value, errors };
+  }
+  
+  ['startDate', 'endDate'].forEach(field => {
+    if (query[field] && !isValidDateString(query[field])) {
+      errors.push({ field, error: '日期格式应为 YYYY-MM-DD' });
+    }
+  });
+  if (errors.length > 0) {
+    return { value, errors };
+  }
+  
+  value.endDate = query.endDate || today;
+  value.startDate = query.startDate || defaultStartDate(value.granularity, value.endDate);
+  
+  if (value.startDate > value.endDate) {
+    errors.push({ field: 'endDate', error: '结束日期不能早于开始日期' });
+  } else if (listPeriods(value.startDate, value.endDate, value.granularity).length > TIMESERIES_MAX_PERIODS) {
+    errors.push({ field: 'startDate', error: `时间范围过大，最多 ${TIMESERIES_MAX_PERIODS} 个周期，请缩小范围或改用更大的统计粒度` });
+  }
+  
+  if (typeof query.name === 'string' && query.name.trim()) {
+    const name = cleanName(query.name);
+    if (name.length > RECORD_LIMITS.nameMaxLength) {
+      errors.push({ field: 'name', error: `姓名不能超过${RECORD_LIMITS.nameMaxLength}个字符` });
+    } else {
+      value.name = name;
+    }
+  }
+  
+  return { value, errors };
+}
+
+// 周期键的聚合表达式，date 字段为 YYYY-MM-DD 字符串
+function periodExpression(granularity) {
+  if (granularity === 'month') {
+    return { $substrCP: ['$date', 0, 7] };
+  }
+  if (granularity === 'week') {
+    // 历史记录的日期可能格式错误，解析失败时得到 null，不让整个聚合报错
+    const day = { $dateFromString: { dateString: '$date', format: '%Y-%m-%d', onError: null, onNull: null } };
+    return {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $subtract: [day, { $multiply: [{ $subtract: [{ $isoDayOfWeek: day }, 1] }, DAY_MS] }] }
+      }
+    };
+  }
+  return '$date';
+}
+
+/**
+ * 生成趋势统计
+ * @param {object} options validateTimeseriesQuery() 返回的 value，groupFilter 为小组的记录查询条件
+ * @returns {Promise<{ granularity: string, startDate: string, endDate: string, name: string|null, periods: string[], series: Array }>}
+ */
+export async function buildTimeseries({ granularity, startDate, endDate, name, groupFilter }) {
+  const practiceItems = await loadAllPracticeItems();
+  
+  let filter = { ...ACTIVE_RECORD_FILTER };
+  let displayName = null;
+  if (name) {
+    const participant = await findParticipantByName(name);
+    filter = personFilter(name, participant);
+    displayName = participant ? participant.name : name;
+  }
+  filter.date = { $gte: startDate, $lte: endDate };
+  filter = applyGroupFilter(filter, groupFilter);
+  
+  const group = {
+    _id: periodExpression(granularity),
+    records: { $sum: 1 },
+    // 旧记录没有 participantId 时按姓名区分参与者
+    participants: { $addToSet: { $ifNull: ['$participantId', '$name'] } }
+  };
+  practiceItems.forEach(item => {
+    group[item.key] = { $sum: { $ifNull: [`$${item.key}`, 0] } };
+  });
+  
+  const groups = await database.homeworkRecords().aggregate([
+    { $match: filter },
+    { $group: group },
+    // 丢弃日期无法解析的记录所在的空周期
+    { $match: { _id: { $ne: null } } },
+    { $addFields: { participants: { $size: '$participants' } } },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+  
+  const byPeriod = new Map(groups.map(item => [item._id, item]));
+  const periods = listPeriods(startDate, endDate, granularity);
+  const valuesOf = field => periods.map(period => {
+    const item = byPeriod.get(period);
+    return item ? item[field] || 0 : 0;
+  });
+  
+  const classicsItems = practiceItems.filter(item => item.countsTowardClassics);
+  const practiceSeries = practiceItems
+    .filter(item => item.enabled || groups.some(entry => entry[item.key] > 0))
+    .map(item => ({ key: item.key, name: item.name, unit: item.unit, values: valuesOf(item.key) }));
+  
+  return {
+    granularity,
+    startDate,
+    endDate,
+    name: displayName,
+    periods,
+    series: [
+      ...practiceSeries,
+      {
+        key: 'totalClassics',
+        name: '经典总数',
+        unit: '遍',
+        values: periods.map(period => classicsItems
+          .reduce((sum, item) => sum + ((byPeriod.get(period) || {})[item.key] || 0), 0))
+      },
+      { key: 'activeParticipants', name: '参与人数', unit: '人', values: valuesOf('participants') },
+      { key: 'records', name: '记录数', unit: '条', values: valuesOf('records') }
+    ]
+  };
+}
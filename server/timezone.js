@@ -0,0 +1,132 @@
+import config from './config.js';
+
+// ================== 时区 ==================
+// 功课日期是机构所在时区的日历日期，"今天"、日期边界和导出时间都按同一时区计算；
+// 客户端可用 tz 查询参数（IANA 时区名，如 America/New_York）覆盖
+
+// 格式化器缓存，避免每次都重新创建
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function defaultTimeZone() {
+  return config.timezone;
+}
+
+// 时间点在指定时区的各个日历字段
+function zonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = part.value;
+    }
+  });
+  return parts;
+}
+
+// 指定时区相对 UTC 的偏移（分钟）
+function offsetMinutes(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// 时间点在指定时区的日期 YYYY-MM-DD
+export function dateInTimeZone(date, timeZone = defaultTimeZone()) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// 指定时区的今天
+export function todayInTimeZone(timeZone = defaultTimeZone()) {
+  return dateInTimeZone(new Date(), timeZone);
+}
+
+// 带时区偏移的 ISO 8601 时间，如 2024-01-01T08:30:00+08:00
+export function formatDateTimeInTimeZone(date, timeZone = defaultTimeZone()) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${formatOffset(offsetMinutes(date, timeZone))}`;
+}
+
+// 以 UTC 字段表示指定时区墙上时间的 Date，供不带时区的格式（如 Excel 日期单元格）使用
+export function wallClockDate(date, timeZone = defaultTimeZone()) {
+  const parts = zonedParts(date, timeZone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+// 指定时区的墙上时间对应的时间点
+export function zonedTimeToDate(year, month, day, hour = 0, minute = 0, second = 0, timeZone = defaultTimeZone()) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // 先按 UTC 同一时刻的偏移估算，再按估算结果的偏移修正（处理夏令时切换）
+  let time = asUtc - offsetMinutes(asUtc, timeZone) * 60000;
+  time = asUtc - offsetMinutes(time, timeZone) * 60000;
+  return new Date(time);
+}
+
+// 指定时区某天 0 点对应的时间点；endOfDay 为 true 时返回当天最后一毫秒
+export function dayBoundary(dateString, timeZone = defaultTimeZone(), endOfDay = false) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const start = zonedTimeToDate(year, month, endOfDay ? day + 1 : day, 0, 0, 0, timeZone);
+  return endOfDay ? new Date(start.getTime() - 1) : start;
+}
+
+// 解析时间文本：带时区（Z 或 +08:00）的按原样解析，不带时区的（如 2024-01-01 08:30、2024/1/1 8:30:00）按指定时区解析
+export function parseDateTimeInTimeZone(text, timeZone = defaultTimeZone()) {
+  const value = String(text || '').trim();
+  const match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part === undefined ? undefined : Number(part));
+    return zonedTimeToDate(year, month, day, hour, minute, second, timeZone);
+  }
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+}
+
+// 请求使用的时区：tz 查询参数优先，否则为机构时区；无效时返回 400
+export function applyTimeZone(req, res, next) {
+  const tz = req.query.tz;
+  
+  if (tz !== undefined && !isValidTimeZone(tz)) {
+    return res.status(400).json({
+      success: false,
+      error: '时区无效',
+      details: [{ field: 'tz', error: '请使用 IANA 时区名，如 Asia/Shanghai' }],
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  req.timeZone = tz || defaultTimeZone();
+  next();
+}
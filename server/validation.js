@@ -0,0 +1,197 @@
+// ================== 功课记录校验 ==================
+// /api/submit、/api/submit/batch 与 /api/update 共用同一套规则
+
+export const RECORD_LIMITS = {
+  nameMaxLength: 50,
+  remarkMaxLength: 500,
+  deviceIdMaxLength: 100,
+  // 各单位的单条记录上限
+  unitMax: {
+    '声': 1000000,
+    '遍': 1000,
+    '分钟': 1440
+  },
+  defaultMax: 1000000
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Notion 同步状态字段，由同步任务维护
+export const SYNC_FIELDS = ['syncStatus', 'syncRequestedAt', 'nextSyncAt', 'syncAttempts', 'syncError', 'syncedAt', 'notionPageId', 'syncLockedUntil'];
+
+// 提交时由前端附带、服务器忽略的字段
+const IGNORED_SUBMIT_FIELDS = ['localId', 'submitTime', 'submitTimestamp', 'storageMode'];
+
+// 编辑时不允许修改的系统字段
+const PROTECTED_FIELDS = [
+  '_id', 'deviceId', 'localId', 'submitTime', 'submittedAt', 'createdAt', 'updatedAt',
+  'deletedAt', 'deletedBy', 'participantId', 'rawName', ...SYNC_FIELDS
+];
+
+// 校验 YYYY-MM-DD 格式且为真实存在的日期
+export function isValidDateString(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// 功课数值上限：优先使用项目设置的最大值，否则按单位取上限
+export function practiceMaxValue(item) {
+  if (item.maxValue) {
+    return item.maxValue;
+  }
+  return RECORD_LIMITS.unitMax[item.unit] || RECORD_LIMITS.defaultMax;
+}
+
+// 将输入转换为非负整数：接受整数或纯数字字符串，空值视为0，无法转换时返回 null
+function toCount(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return 0;
+  }
+  if (typeof raw === 'number') {
+    return Number.isInteger(raw) ? raw : null;
+  }
+  if (typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw)) {
+    return parseInt(raw, 10);
+  }
+  return null;
+}
+
+/**
+ * 校验功课记录
+ * @param {object} input 请求数据
+ * @param {Array} practiceItems 功课项目目录（全部项目，包括已停用的）
+ * @param {object} options mode 为 'create'（新提交）或 'update'（编辑，只校验提供的字段）
+ * @returns {{ value: object, errors: Array<{ field: string, error: string }> }}
+ */
+export function validateHomeworkRecord(input, practiceItems, { mode = 'create' } = {}) {
+  const errors = [];
+  const value = {};
+  
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: 'body', error: '记录数据必须是对象' }] };
+  }
+  
+  const isCreate = mode === 'create';
+  const practiceByKey = new Map(practiceItems.map(item => [item.key, item]));
+  const has = field => Object.prototype.hasOwnProperty.call(input, field);
+  
+  // 字段白名单
+  Object.keys(input).forEach(field => {
+    if (field === 'date' || field === 'name' || field === 'remark' || practiceByKey.has(field)) {
+      return;
+    }
+    if (isCreate && (field === 'deviceId' || IGNORED_SUBMIT_FIELDS.includes(field))) {
+      return;
+    }
+    if (!isCreate && PROTECTED_FIELDS.includes(field)) {
+      errors.push({ field, error: '该字段不允许修改' });
+      return;
+    }
+    errors.push({ field, error: '不支持的字段' });
+  });
+  
+  // 日期
+  if (isCreate || has('date')) {
+    if (!input.date) {
+      errors.push({ field: 'date', error: '日期是必填项' });
+    } else if (!isValidDateString(input.date)) {
+      errors.push({ field: 'date', error: '日期无效，格式应为 YYYY-MM-DD' });
+    } else {
+      value.date = input.date;
+    }
+  }
+  
+  // 姓名
+  if (isCreate || has('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      errors.push({ field: 'name', error: '姓名是必填项' });
+    } else if (name.length > RECORD_LIMITS.nameMaxLength) {
+      errors.push({ field: 'name', error: `姓名不能超过${RECORD_LIMITS.nameMaxLength}个字符` });
+    } else {
+      value.name = name;
+    }
+  }
+  
+  // 备注
+  if (isCreate || has('remark')) {
+    const remark = input.remark === undefined || input.remark === null ? '' : input.remark;
+    if (typeof remark !== 'string') {
+      errors.push({ field: 'remark', error: '备注必须是文本' });
+    } else if (remark.length > RECORD_LIMITS.remarkMaxLength) {
+      errors.push({ field: 'remark', error: `备注不能超过${RECORD_LIMITS.remarkMaxLength}个字符` });
+    } else {
+      value.remark = remark.trim();
+    }
+  }
+  
+  // 设备ID（仅提交时）
+  if (isCreate) {
+    const deviceId = input.deviceId === undefined || input.deviceId === null || input.deviceId === '' ? 'web' : input.deviceId;
+    if (typeof deviceId !== 'string' || deviceId.length > RECORD_LIMITS.deviceIdMaxLength) {
+      errors.push({ field: 'deviceId', error: `设备ID必须是不超过${RECORD_LIMITS.deviceIdMaxLength}个字符的文本` });
+    } else {
+      value.deviceId = deviceId;
+    }
+  }
+  
+  // 功课数值：新提交时启用中的项目缺省为0
+  practiceItems.forEach(item => {
+    if (!has(item.key)) {
+      if (isCreate && item.enabled) {
+        value[item.key] = 0;
+      }
+      return;
+    }
+    
+    const count = toCount(input[item.key]);
+    const max = practiceMaxValue(item);
+    if (count === null) {
+      errors.push({ field: item.key, error: `${item.name}必须是整数` });
+    } else if (count < 0 || count > max) {
+      errors.push({ field: item.key, error: `${item.name}必须在 0-${max}${item.unit} 之间` });
+    } else if (isCreate && !item.enabled) {
+      // 已停用的项目不再接收新数据
+      return;
+    } else {
+      value[item.key] = count;
+    }
+  });
+  
+  if (!isCreate && Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push({ field: 'body', error: '没有需要更新的字段' });
+  }
+  
+  return { value, errors };
+}
+
+// homework_records 集合的 MongoDB $jsonSchema 校验规则
+export function buildRecordJsonSchema(practiceKeys = []) {
+  const properties = {
+    date: { bsonType: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: '日期，格式 YYYY-MM-DD' },
+    name: { bsonType: 'string', minLength: 1, maxLength: RECORD_LIMITS.nameMaxLength, description: '姓名' },
+    remark: { bsonType: 'string', maxLength: RECORD_LIMITS.remarkMaxLength, description: '备注' },
+    deviceId: { bsonType: 'string', maxLength: RECORD_LIMITS.deviceIdMaxLength, description: '设备ID' },
+    submittedAt: { bsonType: 'date', description: '提交时间' },
+    createdAt: { bsonType: 'date', description: '创建时间' },
+    updatedAt: { bsonType: 'date', description: '更新时间' },
+    deletedAt: { bsonType: ['date', 'null'], description: '移入回收站的时间' },
+    participantId: { bsonType: 'objectId', description: '参与者ID' },
+    rawName: { bsonType: 'string', description: '提交时的原始姓名' }
+  };
+  
+  practiceKeys.forEach(key => {
+    properties[key] = { bsonType: ['int', 'long', 'double'], minimum: 0, description: '功课数值' };
+  });
+  
+  return {
+    $jsonSchema: {
+      bsonType: 'object',
+      required: ['date', 'name'],
+      properties
+    }
+  };
+}
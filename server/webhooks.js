@@ -0,0 +1,577 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { ObjectId } from 'mongodb';
+import config from './config.js';
+import database from './database.js';
+import { SYNC_FIELDS } from './validation.js';
+import { getActor } from './auditLog.js';
+
+// ================== Webhook 推送 ==================
+// 管理员订阅功课记录事件，提交、修改、删除时向订阅地址 POST 签名的 JSON
+// 事件先写入 webhook_deliveries 投递日志，由 deliverPendingWebhooks 逐条发送；失败后按指数退避重试，超过次数标记为 failed
+// 写入记录的请求在返回响应前调用 drainWebhookDeliveries 投递；到期的重试由定时任务 /api/cron/drain 处理
+// 订阅地址不能指向本机或内网：保存订阅时解析域名检查一次，投递时连接前再检查实际连接的地址
+
+export const WEBHOOK_EVENTS = ['record.submitted', 'record.updated', 'record.deleted'];
+
+// 测试投递使用的事件，不能订阅
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+export const WEBHOOK_URL_MAX_LENGTH = 500;
+export const WEBHOOK_DESCRIPTION_MAX_LENGTH = 200;
+
+const EVENT_TEXT = {
+  'record.submitted': '提交了',
+  'record.updated': '修改了',
+  'record.deleted': '删除了'
+};
+
+// 每次投递处理的最大条数
+const DELIVERY_BATCH_SIZE = 10;
+
+// 同一实例两次自动投递的最小间隔
+const DELIVERY_INTERVAL_MS = 30 * 1000;
+
+// 取出投递任务后先推迟下次投递时间，避免多个实例重复发送
+const DELIVERY_LOCK_MS = 60 * 1000;
+
+// 第 n 次失败后等待 2^(n-1) 分钟再重试，最长 6 小时
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// 投递日志中保存的响应内容长度和尝试次数
+const RESPONSE_BODY_MAX_LENGTH = 500;
+const ATTEMPT_HISTORY_LENGTH = 10;
+
+let running = null;
+let rerun = false;
+let lastDeliveryAt = 0;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * 校验 Webhook 订阅数据，partial 为 true 时只校验提供的字段（用于更新）
+ * 新建时未提供 secret 会自动生成；更新时传 rotateSecret: true 重新生成
+ * 地址的域名解析到本机或内网地址时拒绝
+ * @returns {Promise<{ value: object, errors: Array<{ field: string, error: string }> }>}
+ */
+export async function validateWebhookInput(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  
+  if (!body || typeof body !== 'object') {
+    return { value, errors: [{ field: 'body', error: '请求体必须是对象' }] };
+  }
+  
+  if (!partial || body.url !== undefined) {
+    let url = null;
+    try {
+      url = typeof body.url === 'string' ? new URL(body.url.trim()) : null;
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || body.url.trim().length > WEBHOOK_URL_MAX_LENGTH) {
+      errors.push({ field: 'url', error: `请填写有效的 http(s) 地址，且不超过${WEBHOOK_URL_MAX_LENGTH}个字符` });
+    } else {
+      const hostError = await checkWebhookHost(url.hostname);
+      if (hostError) {
+        errors.push({ field: 'url', error: hostError });
+      } else {
+        value.url = url.toString();
+      }
+    }
+  }
+  
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    const invalid = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (events.length === 0 || invalid.length > 0) {
+      errors.push({ field: 'events', error: `请至少选择一个事件，可选 ${WEBHOOK_EVENTS.join('/')}` });
+    } else {
+      value.events = events;
+    }
+  }
+  
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 200) {
+      errors.push({ field: 'secret', error: '签名密钥长度应为16-200个字符' });
+    } else {
+      value.secret = body.secret;
+    }
+  } else if (!partial || body.rotateSecret === true) {
+    value.secret = generateSecret();
+  }
+  
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.trim().length > WEBHOOK_DESCRIPTION_MAX_LENGTH) {
+      errors.push({ field: 'description', error: `说明不超过${WEBHOOK_DESCRIPTION_MAX_LENGTH}个字符` });
+    } else {
+      value.description = body.description.trim();
+    }
+  }
+  
+  if (body.enabled !== undefined) {
+    value.enabled = body.enabled !== false;
+  } else if (!partial) {
+    value.enabled = true;
+  }
+  
+  return { value, errors };
+}
+
+// 返回给前端的订阅数据，密钥只显示末尾几位；新建或更换密钥时传 revealSecret 返回完整密钥
+export function formatWebhook(doc, { revealSecret = false } = {}) {
+  const formatted = {
+    _id: doc._id.toString(),
+    url: doc.url,
+    events: doc.events,
+    description: doc.description || '',
+    enabled: doc.enabled !== false,
+    secretHint: `…${doc.secret.slice(-4)}`,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+  if (revealSecret) {
+    formatted.secret = doc.secret;
+  }
+  return formatted;
+}
+
+export function formatDelivery(doc) {
+  return {
+    _id: doc._id.toString(),
+    webhookId: doc.webhookId.toString(),
+    event: doc.event,
+    status: doc.status,
+    attemptCount: doc.attemptCount || 0,
+    nextAttemptAt: doc.status === 'pending' ? doc.nextAttemptAt : null,
+    lastStatusCode: doc.lastStatusCode ?? null,
+    lastError: doc.lastError || '',
+    attempts: doc.attempts || [],
+    test: !!doc.test,
+    payload: JSON.parse(doc.body),
+    createdAt: doc.createdAt,
+    deliveredAt: doc.deliveredAt || null
+  };
+}
+
+export async function findWebhookById(id) {
+  if (typeof id !== 'string' || !ObjectId.isValid(id)) {
+    return null;
+  }
+  return database.webhooks().findOne({ _id: new ObjectId(id) });
+}
+
+// 删除订阅及其投递日志
+export async function deleteWebhook(webhook) {
+  await database.webhooks().deleteOne({ _id: webhook._id });
+  const result = await database.webhookDeliveries().deleteMany({ webhookId: webhook._id });
+  return result.deletedCount;
+}
+
+// ================== 签名 ==================
+
+/**
+ * 计算请求签名：HMAC-SHA256(secret, `${timestamp}.${body}`)，十六进制
+ * 接收方用同样的方法计算并比较 X-Homework-Signature 头（sha256=...），并检查时间戳防止重放
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function buildDeliveryHeaders(webhook, delivery, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'Content-Type': 'application/json; charset=utf-8',
+    'User-Agent': 'homework-webhooks/1.0',
+    'X-Homework-Event': delivery.event,
+    'X-Homework-Delivery': delivery._id.toString(),
+    'X-Homework-Timestamp': String(timestamp),
+    'X-Homework-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.body)}`
+  };
+}
+
+// ================== 事件 ==================
+
+// 推送给订阅方的记录内容，不含同步字段
+function publicRecord(record) {
+  const data = { ...record };
+  SYNC_FIELDS.forEach(field => {
+    delete data[field];
+  });
+  return data;
+}
+
+function eventText(event, record) {
+  return `${record.name || '未知'} ${EVENT_TEXT[event]} ${record.date || ''} 的功课`.replace(/\s+/g, ' ').trim();
+}
+
+function buildDelivery(webhook, event, data, now) {
+  const _id = new ObjectId();
+  const payload = {
+    id: _id.toString(),
+    event,
+    createdAt: now.toISOString(),
+    text: data.text,
+    data: data.data
+  };
+  return {
+    _id,
+    webhookId: webhook._id,
+    event,
+    // 保存序列化后的请求体，重试时签名的内容保持不变
+    body: JSON.stringify(payload),
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now
+  };
+}
+
+/**
+ * 为订阅了该事件的启用中 Webhook 生成投递任务
+ * 投递失败不能影响记录的写入，因此出错时只记录警告
+ * @param {object|null} req 请求对象，用于记录操作人
+ * @param {string} event WEBHOOK_EVENTS 之一
+ * @param {Array<{ record: object, changes?: Array }>} items 发生变化的记录及字段变更
+ * @returns {Promise<number>} 生成的投递任务数
+ */
+export async function enqueueRecordEvents(req, event, items) {
+  if (items.length === 0) {
+    return 0;
+  }
+  try {
+    const webhooks = await database.webhooks().find({ enabled: true, events: event }).toArray();
+    if (webhooks.length === 0) {
+      return 0;
+    }
+    
+    const now = new Date();
+    const deliveries = webhooks.flatMap(webhook => items.map(({ record, changes = [] }) => buildDelivery(webhook, event, {
+      text: eventText(event, record),
+      data: { record: publicRecord(record), changes, actor: getActor(req, record) }
+    }, now)));
+    await database.webhookDeliveries().insertMany(deliveries);
+    console.log(`📮 [Webhook] ${event} 生成 ${deliveries.length} 个投递任务`);
+    return deliveries.length;
+  } catch (error) {
+    console.warn('⚠️ [Webhook] 生成投递任务失败（不影响主流程）:', error.message);
+    return 0;
+  }
+}
+
+// ================== 地址检查 ==================
+
+// 不允许投递的地址：本机、内网、链路本地（包括云服务器元数据地址 169.254.169.254）、运营商级 NAT、组播和保留地址
+// BlockList 检查 IPv4 映射的 IPv6 地址（如 ::ffff:127.0.0.1）时按对应的 IPv4 地址匹配
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export function isBlockedAddress(address) {
+  const ip = address.replace(/^\[|\]$/g, '').split('%')[0];
+  const family = net.isIP(ip);
+  return family !== 0 && BLOCKED_ADDRESSES.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 解析主机名，返回全部地址；任一地址是本机或内网地址时抛出异常
+ * 设置 WEBHOOK_ALLOW_PRIVATE_HOSTS=true 时不检查
+ * @returns {Promise<Array<{ address: string, family: number }>>}
+ */
+async function resolvePublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (!config.webhooks.allowPrivateHosts) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      throw new Error(blocked.address === host
+        ? `不允许投递到本机或内网地址 ${host}`
+        : `不允许投递到本机或内网地址（${host} 解析为 ${blocked.address}）`);
+    }
+  }
+  return addresses;
+}
+
+// 保存订阅时检查主机，返回错误信息
+async function checkWebhookHost(hostname) {
+  try {
+    await resolvePublicHost(hostname);
+    return null;
+  } catch (error) {
+    return ['ENOTFOUND', 'EAI_AGAIN'].includes(error.code) ? `无法解析域名 ${hostname}` : error.message;
+  }
+}
+
+// 投递请求连接时使用的地址解析：检查通过的地址直接用于连接，避免检查后域名被解析到其他地址（DNS rebinding）
+function publicLookup(hostname, options, callback) {
+  resolvePublicHost(hostname).then(addresses => {
+    const candidates = options.family ? addresses.filter(({ family }) => family === options.family) : addresses;
+    if (candidates.length === 0) {
+      return callback(Object.assign(new Error(`无法解析域名 ${hostname}`), { code: 'ENOTFOUND' }));
+    }
+    if (options.all) {
+      return callback(null, candidates);
+    }
+    callback(null, candidates[0].address, candidates[0].family);
+  }, callback);
+}
+
+// ================== 投递 ==================
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * POST 请求体到订阅地址，不跟随重定向
+ * 地址是 IP 时连接前直接检查，是域名时通过 publicLookup 检查解析结果
+ * @returns {Promise<{ statusCode: number, text: string }>} 响应内容只保留前 RESPONSE_BODY_MAX_LENGTH 个字符
+ */
+async function postDelivery(url, headers, body, signal) {
+  const target = new URL(url);
+  if (net.isIP(target.hostname.replace(/^\[|\]$/g, ''))) {
+    await resolvePublicHost(target.hostname);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < RESPONSE_BODY_MAX_LENGTH) {
+          text += chunk;
+        }
+      });
+      response.on('end', () => resolve({ statusCode: response.statusCode, text: text.slice(0, RESPONSE_BODY_MAX_LENGTH) }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// 发送一次请求，2xx 视为成功；不抛出异常
+async function sendDelivery(webhook, delivery) {
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt), statusCode: null, error: null, durationMs: 0 };
+  const signal = AbortSignal.timeout(config.webhooks.timeoutMs);
+  try {
+    const response = await postDelivery(webhook.url, buildDeliveryHeaders(webhook, delivery), delivery.body, signal);
+    attempt.statusCode = response.statusCode;
+    attempt.responseBody = response.text;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      attempt.error = `HTTP ${response.statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = signal.aborted ? `请求超时（${config.webhooks.timeoutMs}ms）` : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+/**
+ * 发送投递任务并记录结果
+ * 测试投递和订阅已停用时失败不再重试
+ * @returns {Promise<object>} 更新后的投递日志
+ */
+export async function attemptDelivery(webhook, delivery) {
+  const collection = database.webhookDeliveries();
+  const attemptCount = (delivery.attemptCount || 0) + 1;
+  
+  const attempt = webhook && webhook.enabled !== false
+    ? await sendDelivery(webhook, delivery)
+    : { at: new Date(), statusCode: null, error: webhook ? '订阅已停用' : '订阅已删除', durationMs: 0 };
+  
+  const update = {
+    attemptCount,
+    lastStatusCode: attempt.statusCode,
+    lastError: attempt.error
+  };
+  if (!attempt.error) {
+    Object.assign(update, { status: 'delivered', deliveredAt: attempt.at });
+  } else {
+    const giveUp = delivery.test || !webhook || webhook.enabled === false || attemptCount >= config.webhooks.maxAttempts;
+    Object.assign(update, {
+      status: giveUp ? 'failed' : 'pending',
+      nextAttemptAt: new Date(Date.now() + retryDelay(attemptCount))
+    });
+    console.warn(`⚠️ [Webhook] 投递 ${delivery._id} 到 ${webhook ? webhook.url : '已删除的订阅'} 失败（第 ${attemptCount} 次${giveUp ? '，不再重试' : ''}）:`, attempt.error);
+  }
+  
+  return collection.findOneAndUpdate(
+    { _id: delivery._id },
+    {
+      $set: update,
+      $push: { attempts: { $each: [attempt], $slice: -ATTEMPT_HISTORY_LENGTH } }
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+// 到期的待投递任务；已被领取的任务 nextAttemptAt 推迟到锁定到期，不会匹配
+function dueDeliveryFilter(now = new Date()) {
+  return { status: 'pending', nextAttemptAt: { $lte: now } };
+}
+
+/**
+ * 发送到期的待投递任务
+ * @param {{ limit?: number }} options 本次最多处理的任务数
+ * @returns {Promise<{ delivered: number, failed: number }>}
+ */
+export async function deliverPendingWebhooks({ limit = DELIVERY_BATCH_SIZE } = {}) {
+  const collection = database.webhookDeliveries();
+  const webhooksById = new Map();
+  let delivered = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const delivery = await collection.findOneAndUpdate(
+      dueDeliveryFilter(now),
+      { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_LOCK_MS) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'before' }
+    );
+    if (!delivery) {
+      break;
+    }
+    
+    const key = delivery.webhookId.toString();
+    if (!webhooksById.has(key)) {
+      webhooksById.set(key, await database.webhooks().findOne({ _id: delivery.webhookId }));
+    }
+    const updated = await attemptDelivery(webhooksById.get(key), delivery);
+    if (updated && updated.status === 'delivered') {
+      delivered++;
+    } else {
+      failed++;
+    }
+  }
+  
+  if (delivered + failed > 0) {
+    console.log(`📮 [Webhook] 投递成功 ${delivered} 个，失败 ${failed} 个`);
+  }
+  return { delivered, failed };
+}
+
+/**
+ * 触发后台投递，不阻塞当前请求
+ * 默认按间隔节流；记录刚被修改时传 force 立即投递，正在投递时在本轮结束后再执行一轮
+ */
+export function scheduleWebhookDeliveries({ force = false } = {}) {
+  if (running) {
+    rerun = rerun || force;
+    return;
+  }
+  if (!force && Date.now() - lastDeliveryAt < DELIVERY_INTERVAL_MS) {
+    return;
+  }
+  lastDeliveryAt = Date.now();
+  running = deliverPendingWebhooks()
+    .catch(error => {
+      console.warn('⚠️ [Webhook] 自动投递失败:', error.message);
+    })
+    .finally(() => {
+      running = null;
+      if (rerun) {
+        rerun = false;
+        scheduleWebhookDeliveries({ force: true });
+      }
+    });
+}
+
+// 等待 promise 完成，超过 deadline 时返回 null
+function waitUntil(promise, deadline) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0), null);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 立即投递，直到没有到期的待投递任务或超过 timeoutMs
+ * Vercel 在响应返回后可能冻结函数实例，写入记录的请求在返回响应前调用；与自动投递共用同一轮，不会重复发送同一个任务
+ * 等待的一轮可能在本次任务加入队列前就已开始，每轮结束后检查是否还有到期任务，有则再执行一轮
+ * 超时时正在进行的一轮继续在后台执行，剩余的任务保持 pending
+ * @returns {Promise<{ delivered: number, failed: number }>} 等待期间完成的数量
+ */
+export async function drainWebhookDeliveries(timeoutMs) {
+  const total = { delivered: 0, failed: 0 };
+  const deadline = Date.now() + timeoutMs;
+  
+  while (Date.now() < deadline) {
+    if (!running) {
+      scheduleWebhookDeliveries({ force: true });
+    }
+    const result = await waitUntil(running, deadline);
+    // 超时或本轮出错
+    if (!result) {
+      break;
+    }
+    total.delivered += result.delivered;
+    total.failed += result.failed;
+    // 本轮结束后立即开始的下一轮可能已领取本次加入的任务，继续等待
+    if (!running && !(await database.webhookDeliveries().findOne(dueDeliveryFilter(), { projection: { _id: 1 } }))) {
+      break;
+    }
+  }
+  return total;
+}
+
+/**
+ * 立即向订阅地址发送一次测试事件，结果写入投递日志
+ * @returns {Promise<object>} 投递日志
+ */
+export async function sendTestDelivery(webhook, actor) {
+  const now = new Date();
+  const delivery = buildDelivery(webhook, WEBHOOK_TEST_EVENT, {
+    text: '这是一条测试消息，收到说明 Webhook 配置正确',
+    data: { webhookId: webhook._id.toString(), actor }
+  }, now);
+  delivery.test = true;
+  delivery.nextAttemptAt = new Date(now.getTime() + DELIVERY_LOCK_MS);
+  await database.webhookDeliveries().insertOne(delivery);
+  return attemptDelivery(webhook, delivery);
+}
+
+// 重新投递失败的任务
+export async function retryDelivery(delivery) {
+  return database.webhookDeliveries().findOneAndUpdate(
+    { _id: delivery._id, status: 'failed' },
+    { $set: { status: 'pending', attemptCount: 0, nextAttemptAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
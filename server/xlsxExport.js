@@ -0,0 +1,172 @@
+import ExcelJS from 'exceljs';
+import { participantForRecord } from './participants.js';
+import { classicsTotal, columnHeader } from './practiceItems.js';
+import { wallClockDate } from './timezone.js';
+
+// ================== Excel 导出 ==================
+// 生成包含三个工作表的工作簿：功课记录、个人汇总、功课项目合计
+// 数字和日期写为对应类型的单元格，表头冻结；记录逐条写入输出流，不在内存中保留整张表
+
+const HEADER_STYLE = {
+  font: { bold: true, color: { argb: 'FFFFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2C3E50' } },
+  alignment: { vertical: 'middle', horizontal: 'center' }
+};
+
+// 日期字符串转为 Excel 日期（按 UTC 0 点，避免时区偏移导致日期变化）
+function toExcelDate(dateString) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) {
+    return dateString || null;
+  }
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addSheet(workbook, name, columns) {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = columns;
+  const header = sheet.getRow(1);
+  header.eachCell(cell => {
+    cell.style = HEADER_STYLE;
+  });
+  header.commit();
+  return sheet;
+}
+
+/**
+ * 将功课记录写为 xlsx 工作簿
+ * @param {object} options
+ * @param {import('stream').Writable} options.stream 输出流（通常为响应对象）
+ * @param {AsyncIterable<object>} options.records 按导出顺序排列的记录游标
+ * @param {Array} options.practiceItems 功课项目目录
+ * @param {object} options.participantIndex loadParticipantIndex() 的返回值，用于统一姓名和小组
+ * @param {Map<string, object>} options.groupsById 小组ID到小组的映射
+ * @param {string} options.timeZone 提交时间使用的时区
+ * @returns {Promise<number>} 导出的记录数
+ */
+export async function writeRecordsWorkbook({ stream, records, practiceItems, participantIndex, groupsById, timeZone }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  workbook.creator = '功课数据管理系统';
+  workbook.created = new Date();
+  
+  const recordsSheet = addSheet(workbook, '功课记录', [
+    { header: '日期', key: 'date', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+    { header: '姓名', key: 'name', width: 14 },
+    { header: '小组', key: 'group', width: 14 },
+    ...practiceItems.map(item => ({ header: columnHeader(item), key: item.key, width: 12 })),
+    { header: '经典总数', key: 'totalClassics', width: 10 },
+    { header: '备注', key: 'remark', width: 30 },
+    { header: '提交时间', key: 'submittedAt', width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } },
+    { header: '设备ID', key: 'deviceId', width: 20 }
+  ]);
+  
+  // 边写记录边汇总，写完记录表后再生成汇总表
+  const people = new Map();
+  const practiceTotals = new Map(practiceItems.map(item => [item.key, { total: 0, records: 0, people: new Set() }]));
+  let count = 0;
+  
+  for await (const record of records) {
+    const participant = participantForRecord(record, participantIndex);
+    const name = participant ? participant.name : record.name || '';
+    const group = participant && participant.groupId ? groupsById.get(participant.groupId.toString()) : null;
+    const personKey = participant ? participant._id.toString() : `name:${name}`;
+    const totalClassics = classicsTotal(record, practiceItems);
+    
+    const row = {
+      date: toExcelDate(record.date),
+      name,
+      group: group ? group.name : '',
+      totalClassics,
+      remark: record.remark || '',
+      submittedAt: record.submittedAt ? wallClockDate(record.submittedAt, timeZone) : null,
+      deviceId: record.deviceId || ''
+    };
+    practiceItems.forEach(item => {
+      row[item.key] = record[item.key] || 0;
+    });
+    recordsSheet.addRow(row).commit();
+    count++;
+    
+    const person = people.get(personKey) || {
+      name,
+      group: row.group,
+      records: 0,
+      dates: new Set(),
+      firstDate: null,
+      lastDate: null,
+      totalClassics: 0,
+      totals: {}
+    };
+    person.records++;
+    person.totalClassics += totalClassics;
+    if (record.date) {
+      person.dates.add(record.date);
+      if (!person.firstDate || record.date < person.firstDate) person.firstDate = record.date;
+      if (!person.lastDate || record.date > person.lastDate) person.lastDate = record.date;
+    }
+    practiceItems.forEach(item => {
+      const value = record[item.key] || 0;
+      person.totals[item.key] = (person.totals[item.key] || 0) + value;
+      if (value > 0) {
+        const practice = practiceTotals.get(item.key);
+        practice.total += value;
+        practice.records++;
+        practice.people.add(personKey);
+      }
+    });
+    people.set(personKey, person);
+  }
+  recordsSheet.commit();
+  
+  const peopleSheet = addSheet(workbook, '个人汇总', [
+    { header: '姓名', key: 'name', width: 14 },
+    { header: '小组', key: 'group', width: 14 },
+    { header: '记录数', key: 'records', width: 10 },
+    { header: '打卡天数', key: 'activeDays', width: 10 },
+    { header: '首次提交', key: 'firstDate', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+    { header: '最近提交', key: 'lastDate', width: 12, style: { numFmt: 'yyyy-mm-dd' } },
+    ...practiceItems.map(item => ({ header: columnHeader(item), key: item.key, width: 12 })),
+    { header: '经典总数', key: 'totalClassics', width: 10 }
+  ]);
+  [...people.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'))
+    .forEach(person => {
+      peopleSheet.addRow({
+        name: person.name,
+        group: person.group,
+        records: person.records,
+        activeDays: person.dates.size,
+        firstDate: toExcelDate(person.firstDate),
+        lastDate: toExcelDate(person.lastDate),
+        ...person.totals,
+        totalClassics: person.totalClassics
+      }).commit();
+    });
+  peopleSheet.commit();
+  
+  const practiceSheet = addSheet(workbook, '功课项目合计', [
+    { header: '功课项目', key: 'name', width: 16 },
+    { header: '单位', key: 'unit', width: 8 },
+    { header: '合计', key: 'total', width: 12 },
+    { header: '记录数', key: 'records', width: 10 },
+    { header: '参与人数', key: 'people', width: 10 },
+    { header: '计入经典总数', key: 'countsTowardClassics', width: 14 }
+  ]);
+  practiceItems.forEach(item => {
+    const practice = practiceTotals.get(item.key);
+    practiceSheet.addRow({
+      name: item.name,
+      unit: item.unit,
+      total: practice.total,
+      records: practice.records,
+      people: practice.people.size,
+      countsTowardClassics: item.countsTowardClassics ? '是' : '否'
+    }).commit();
+  });
+  practiceSheet.commit();
+  
+  await workbook.commit();
+  return count;
+}
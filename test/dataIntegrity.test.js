@@ -0,0 +1,71 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import database from '../server/database.js';
+import { verifyDataIntegrity, repairDataIntegrity } from '../server/dataIntegrity.js';
+
+const practiceItems = [{ key: 'nineWord', name: '九字' }];
+const submittedAt = new Date('2026-10-05T01:00:00Z');
+const req = { admin: { sub: 'admin' }, ip: '127.0.0.1', headers: {}, timeZone: 'Asia/Shanghai' };
+
+before(async () => {
+  await database.connect();
+  await database.homeworkRecords().insertMany([
+    { name: '正常', date: '2026-10-05', nineWord: 108, submittedAt, deletedAt: null },
+    { name: '斜杠日期', date: '2026/10/5', nineWord: 1, submittedAt, deletedAt: null },
+    { name: '无效日期', date: '2026-02-30', nineWord: 1, submittedAt, deletedAt: null },
+    { name: '文本数量', date: '2026-10-05', nineWord: '108', submittedAt, deletedAt: null },
+    { name: '负数', date: '2026-10-05', nineWord: -1, submittedAt, deletedAt: null },
+    { name: '小数', date: '2026-10-05', nineWord: 1.5, submittedAt, deletedAt: null },
+    { name: '无提交时间', date: '2026-10-05', nineWord: 1, deletedAt: null },
+    { name: '重复', date: '2026-10-06', nineWord: 5, submittedAt, deletedAt: null },
+    { name: ' 重复', date: '2026-10-06', nineWord: 5, submittedAt: new Date('2026-10-06T01:00:00Z'), deletedAt: null },
+    { name: '内容不同', date: '2026-10-06', nineWord: 5, submittedAt, deletedAt: null },
+    { name: '内容不同', date: '2026-10-06', nineWord: 6, submittedAt, deletedAt: null }
+  ], { bypassDocumentValidation: true });
+  await database.homeworkLogs().insertOne({ type: 'homework_submit', recordId: new ObjectId(), name: '已丢失', date: '2026-10-01' });
+});
+
+after(async () => {
+  await database.disconnect();
+});
+
+test('监控页面只返回数量，不包含记录ID和姓名', async () => {
+  const verification = await verifyDataIntegrity(practiceItems, 'Asia/Shanghai');
+  
+  assert.equal(verification.totalCount, 11);
+  assert.deepEqual(verification.dateRange, { first: '2026-02-30', last: '2026-10-06' });
+  assert.equal(verification.latestSubmittedAt, '2026-10-06T09:00:00+08:00');
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(verification.summary).map(([type, item]) => [type, [item.count, item.fixable]])),
+    { duplicate: [2, 1], invalidDate: [2, 1], invalidCount: [3, 1], missingSubmittedAt: [1, 1], orphanedLog: [1, 1] }
+  );
+  assert.equal(verification.issues, undefined);
+  assert.ok(!JSON.stringify(verification).includes('重复'));
+});
+
+test('管理员报告列出问题明细', async () => {
+  const { issues, truncated } = await verifyDataIntegrity(practiceItems, 'Asia/Shanghai', { includeIssues: true });
+  
+  assert.equal(truncated, false);
+  assert.deepEqual(issues.invalidDate.map(issue => [issue.name, issue.fixValue]), [['斜杠日期', '2026-10-05'], ['无效日期', undefined]]);
+  assert.deepEqual(issues.invalidCount.map(issue => issue.name).sort(), ['小数', '文本数量', '负数'].sort());
+  const duplicate = issues.duplicate.find(issue => issue.fixable);
+  assert.equal(duplicate.name, '重复');
+  assert.equal(duplicate.recordIds.length, 2);
+});
+
+test('自动修复可修复的问题', async () => {
+  const result = await repairDataIntegrity(req, practiceItems, ['duplicate', 'invalidDate', 'invalidCount', 'missingSubmittedAt', 'orphanedLog']);
+  
+  assert.deepEqual(result.fixed, { duplicate: 1, invalidDate: 1, invalidCount: 1, missingSubmittedAt: 1, orphanedLog: 1 });
+  assert.equal(result.skipped, 4);
+  assert.equal((await database.homeworkRecords().findOne({ name: '斜杠日期' })).date, '2026-10-05');
+  assert.equal((await database.homeworkRecords().findOne({ name: '文本数量' })).nineWord, 108);
+  assert.ok((await database.homeworkRecords().findOne({ name: ' 重复' })).deletedAt instanceof Date);
+  
+  const verification = await verifyDataIntegrity(practiceItems, 'Asia/Shanghai');
+  assert.equal(verification.issueCount, 4);
+  assert.equal(verification.fixableCount, 0);
+});
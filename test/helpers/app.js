@@ -0,0 +1,34 @@
+import database from '../../server/database.js';
+import { createApp } from '../../server/app.js';
+
+// 启动使用内存存储的服务，监听随机端口；在 helpers/env.js 之后导入
+
+export async function startApp() {
+  await database.connect();
+  const server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/api`,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await database.disconnect();
+    }
+  };
+}
+
+// 用测试管理员密码登录，返回请求头
+export async function adminHeaders(baseUrl) {
+  const response = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: 'test-password' })
+  });
+  const { token } = await response.json();
+  return { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+}
+
+export async function postJson(url, body, headers = { 'Content-Type': 'application/json' }) {
+  const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: response.status, data: await response.json() };
+}
@@ -0,0 +1,7 @@
+// 测试使用内存存储和固定的管理员配置；node --test 为每个测试文件启动独立进程，数据互不影响
+// 必须在导入 server/ 下的模块之前导入本文件，config.js 在导入时读取环境变量
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret-0123456789abcdef';
+process.env.ADMIN_PASSWORD = 'test-password';
+process.env.TIMEZONE = 'Asia/Shanghai';
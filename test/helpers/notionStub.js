@@ -0,0 +1,96 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+
+// 本地 Notion API 桩服务：实现同步用到的数据库和页面接口，页面保存在 pages 中
+// 通过 NOTION_BASE_URL 指向桩服务；failNext() 让接下来的页面请求失败，用于测试重试
+
+const DEFAULT_PROPERTIES = {
+  姓名: { type: 'title' },
+  日期: { type: 'date' },
+  备注: { type: 'rich_text' }
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      resolve(text ? JSON.parse(text) : {});
+    });
+    req.on('error', reject);
+  });
+}
+
+function schemaProperties(definitions) {
+  return Object.fromEntries(Object.entries(definitions).map(([name, definition]) => {
+    const type = definition.type || Object.keys(definition)[0];
+    return [name, { id: name, name, type, [type]: {} }];
+  }));
+}
+
+export async function startNotionStub({ properties = DEFAULT_PROPERTIES } = {}) {
+  const stub = {
+    url: null,
+    properties: schemaProperties(properties),
+    pages: new Map(),
+    failures: [],
+    
+    // 接下来 count 个页面请求返回 status 错误
+    failNext(count = 1, status = 500) {
+      for (let i = 0; i < count; i++) {
+        stub.failures.push(status);
+      }
+    },
+    
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+  
+  const server = http.createServer(async (req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const sendError = (status, code, message) => send(status, { object: 'error', status, code, message });
+    
+    const body = await readBody(req);
+    const path = new URL(req.url, 'http://localhost').pathname;
+    
+    const [, resource, id] = path.match(/^\/v1\/(databases|pages)(?:\/([^/]+))?$/) || [];
+    if (resource === 'pages' && stub.failures.length > 0) {
+      const status = stub.failures.shift();
+      return sendError(status, status === 429 ? 'rate_limited' : 'internal_server_error', '桩服务模拟的失败');
+    }
+    
+    if (resource === 'databases' && id && req.method === 'GET') {
+      return send(200, { object: 'database', id, properties: stub.properties });
+    }
+    if (resource === 'databases' && id && req.method === 'PATCH') {
+      Object.assign(stub.properties, schemaProperties(body.properties || {}));
+      return send(200, { object: 'database', id, properties: stub.properties });
+    }
+    if (resource === 'pages' && !id && req.method === 'POST') {
+      const page = { object: 'page', id: randomUUID(), parent: body.parent, archived: false, properties: body.properties };
+      stub.pages.set(page.id, page);
+      return send(200, page);
+    }
+    if (resource === 'pages' && id && req.method === 'PATCH') {
+      const page = stub.pages.get(id);
+      if (!page) {
+        return sendError(404, 'object_not_found', `页面不存在: ${id}`);
+      }
+      if (body.archived !== undefined) {
+        page.archived = body.archived;
+      }
+      Object.assign(page.properties, body.properties || {});
+      return send(200, page);
+    }
+    sendError(400, 'invalid_request_url', `桩服务不支持 ${req.method} ${path}`);
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  return stub;
+}
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { matchesFilter, applyUpdate, runPipeline, compareValues } from '../server/localQuery.js';
+
+// 本地查询引擎支持的操作符子集，结果与 MongoDB 相同
+
+const doc = {
+  _id: new ObjectId(),
+  name: '张三',
+  date: '2026-10-05',
+  nineWord: 108,
+  tags: ['早课', '晚课'],
+  submittedAt: new Date('2026-10-05T01:00:00Z'),
+  deletedAt: null,
+  detail: { group: '一组' }
+};
+
+test('比较和集合查询操作符', () => {
+  assert.ok(matchesFilter(doc, { nineWord: { $gte: 100, $lt: 200 } }));
+  assert.ok(matchesFilter(doc, { name: { $in: ['张三', '李四'] } }));
+  assert.ok(matchesFilter(doc, { name: { $nin: ['李四'] } }));
+  assert.ok(matchesFilter(doc, { 'detail.group': '一组' }));
+  assert.ok(matchesFilter(doc, { tags: '早课' }));
+  assert.ok(matchesFilter(doc, { tags: { $all: ['早课', '晚课'] }, $or: [{ nineWord: 1 }, { nineWord: 108 }] }));
+  assert.ok(!matchesFilter(doc, { $nor: [{ name: '张三' }] }));
+  assert.ok(matchesFilter(doc, { remark: { $exists: false }, deletedAt: null }));
+  assert.ok(matchesFilter(doc, { name: { $regex: '^张', $options: 'i' } }));
+  assert.ok(matchesFilter(doc, { nineWord: { $type: 'number' }, tags: { $size: 2 } }));
+});
+
+test('不同类型的值不做范围比较，按 BSON 类型排序', () => {
+  // 日期条件不匹配字符串日期
+  assert.ok(!matchesFilter(doc, { date: { $gte: new Date('2026-01-01') } }));
+  assert.ok(compareValues(null, 0) < 0);
+  assert.ok(compareValues(1, 'a') < 0);
+  assert.ok(compareValues('a', new ObjectId()) < 0);
+});
+
+test('$jsonSchema 只约束对应类型的值', () => {
+  const schema = {
+    bsonType: 'object',
+    required: ['date', 'name'],
+    properties: {
+      date: { bsonType: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      name: { bsonType: 'string', minLength: 1, maxLength: 2 },
+      nineWord: { bsonType: ['int', 'long', 'double'], minimum: 0, description: '功课数值' },
+      deletedAt: { bsonType: ['date', 'null'] }
+    }
+  };
+  
+  assert.ok(matchesFilter(doc, { $jsonSchema: schema }));
+  assert.ok(!matchesFilter({ ...doc, date: '2026/10/05' }, { $jsonSchema: schema }));
+  assert.ok(!matchesFilter({ ...doc, nineWord: -1 }, { $jsonSchema: schema }));
+  assert.ok(!matchesFilter({ ...doc, nineWord: '108' }, { $jsonSchema: schema }));
+  assert.ok(!matchesFilter({ ...doc, name: '欧阳大明' }, { $jsonSchema: schema }));
+  assert.ok(!matchesFilter({ name: '张三' }, { $jsonSchema: schema }));
+  assert.throws(() => matchesFilter(doc, { $jsonSchema: { oneOf: [] } }), /不支持/);
+});
+
+test('更新操作符', () => {
+  const updated = applyUpdate(structuredClone({ n: 1, list: [1, 2, 3], keep: true }), {
+    $inc: { n: 2 },
+    $set: { 'a.b': 'x' },
+    $unset: { keep: '' },
+    $push: { list: { $each: [4, 5], $slice: -3 } },
+    $addToSet: { set: 1 }
+  });
+  assert.deepEqual(updated, { n: 3, list: [3, 4, 5], a: { b: 'x' }, set: [1] });
+  
+  const inserted = applyUpdate({}, { $set: { a: 1 }, $setOnInsert: { created: true } }, { isInsert: true });
+  assert.deepEqual(inserted, { a: 1, created: true });
+  
+  assert.deepEqual(applyUpdate({ list: [1, 2, 1] }, { $pull: { list: 1 } }), { list: [2] });
+});
+
+test('聚合管道', () => {
+  const docs = [
+    { name: '甲', date: '2026-10-05', n: 1 },
+    { name: '甲', date: '2026-10-06', n: 2 },
+    { name: '乙', date: '2026-10-06', n: 5 }
+  ];
+  const result = runPipeline(docs, [
+    { $match: { n: { $gt: 0 } } },
+    { $group: { _id: '$name', total: { $sum: '$n' }, days: { $addToSet: '$date' }, first: { $first: '$date' } } },
+    { $addFields: { dayCount: { $size: '$days' } } },
+    { $project: { days: 0 } },
+    { $sort: { total: -1 } }
+  ]);
+  assert.deepEqual(result, [
+    { _id: '乙', total: 5, first: '2026-10-06', dayCount: 1 },
+    { _id: '甲', total: 3, first: '2026-10-05', dayCount: 2 }
+  ]);
+  
+  assert.deepEqual(runPipeline(docs, [{ $match: { name: '甲' } }, { $count: 'count' }]), [{ count: 2 }]);
+  
+  const [week] = runPipeline([{ date: '2026-10-08' }], [{
+    $project: {
+      _id: 0,
+      week: {
+        $dateToString: {
+          format: '%Y-%m-%d',
+          date: {
+            $subtract: [
+              { $dateFromString: { dateString: '$date', format: '%Y-%m-%d' } },
+              { $multiply: [{ $subtract: [{ $isoDayOfWeek: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d' } } }, 1] }, 86400000] }
+            ]
+          }
+        }
+      }
+    }
+  }]);
+  assert.deepEqual(week, { week: '2026-10-05' });
+});
+
+test('类型和数值表达式', () => {
+  const [result] = runPipeline([{ name: ' 张三 ', n: 1.5, s: '1' }], [{
+    $project: {
+      _id: 0,
+      name: { $trim: { input: '$name' } },
+      floor: { $floor: '$n' },
+      isNumber: [{ $isNumber: '$n' }, { $isNumber: '$s' }],
+      types: [{ $type: '$n' }, { $type: '$s' }, { $type: '$missing' }, { $type: null }]
+    }
+  }]);
+  assert.deepEqual(result, { name: '张三', floor: 1, isNumber: [true, false], types: ['double', 'string', 'missing', 'null'] });
+  assert.throws(() => runPipeline([{ s: '1' }], [{ $project: { f: { $floor: '$s' } } }]), error => error.name === 'MongoServerError');
+});
+
+test('不支持的操作符直接报错', () => {
+  assert.throws(() => matchesFilter(doc, { $where: 'true' }), /不支持/);
+  assert.throws(() => runPipeline([doc], [{ $lookup: {} }]), /不支持/);
+  assert.throws(() => runPipeline([doc], [{ $project: { d: { $dateToString: { date: '$submittedAt', timezone: 'Asia/Shanghai' } } } }]), /不支持/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openLocalDb } from '../server/localStore.js';
+import { buildRecordJsonSchema } from '../server/validation.js';
+
+const validRecord = { date: '2026-10-05', name: '张三', nineWord: 108 };
+
+async function recordsCollection(validation = {}) {
+  const db = await openLocalDb({ databaseName: 'test' });
+  await db.createCollection('homework_records', { validator: buildRecordJsonSchema(['nineWord']), ...validation });
+  return { db, records: db.collection('homework_records') };
+}
+
+test('插入不符合校验规则的文档时报错 121', async () => {
+  const { records } = await recordsCollection();
+  
+  await records.insertOne({ ...validRecord });
+  await assert.rejects(
+    records.insertOne({ ...validRecord, date: '2026/10/05' }),
+    error => error.name === 'MongoServerError' && error.code === 121 && error.codeName === 'DocumentValidationFailure'
+  );
+  await assert.rejects(
+    records.insertMany([{ ...validRecord }, { ...validRecord, nineWord: -1 }]),
+    error => error.name === 'MongoBulkWriteError' && error.writeErrors[0].index === 1 && error.writeErrors[0].code === 121
+  );
+  
+  // bypassDocumentValidation 跳过校验
+  await records.insertOne({ name: '旧记录' }, { bypassDocumentValidation: true });
+  assert.equal(await records.countDocuments({}), 3);
+});
+
+test('更新时按 validationLevel 校验', async () => {
+  const { db, records } = await recordsCollection();
+  const { insertedId } = await records.insertOne({ ...validRecord });
+  
+  await assert.rejects(records.updateOne({ _id: insertedId }, { $set: { nineWord: '108' } }), { code: 121 });
+  assert.equal((await records.findOne({ _id: insertedId })).nineWord, 108);
+  
+  // moderate：原本就不符合规则的文档可以修改
+  await db.command({ collMod: 'homework_records', validationLevel: 'moderate' });
+  const legacy = await records.insertOne({ name: '旧记录' }, { bypassDocumentValidation: true });
+  await records.updateOne({ _id: legacy.insertedId }, { $set: { remark: '补充' } });
+  await assert.rejects(records.updateOne({ _id: insertedId }, { $unset: { date: '' } }), { code: 121 });
+  
+  // warn：只记录警告
+  await db.command({ collMod: 'homework_records', validationAction: 'warn' });
+  await records.insertOne({ name: '' });
+  assert.equal(await records.countDocuments({ name: '' }), 1);
+});
+
+test('唯一索引冲突报错 11000', async () => {
+  const db = await openLocalDb({ databaseName: 'test' });
+  const sessions = db.collection('admin_sessions');
+  await sessions.createIndex({ jti: 1 }, { unique: true });
+  
+  await sessions.insertOne({ jti: 'a' });
+  await assert.rejects(sessions.insertOne({ jti: 'a' }), error => error.code === 11000 && error.keyValue.jti === 'a');
+  await assert.rejects(
+    sessions.updateOne({ jti: 'b' }, { $set: { jti: 'a' } }, { upsert: true }),
+    { code: 11000 }
+  );
+});
+
+test('file 模式重新打开后数据不丢失', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'homework-store-'));
+  try {
+    const db = await openLocalDb({ databaseName: 'test', dataDir });
+    const { insertedId } = await db.collection('homework_records').insertOne({ ...validRecord, submittedAt: new Date('2026-10-05T01:00:00Z') });
+    await db.close();
+    
+    const reopened = await openLocalDb({ databaseName: 'test', dataDir });
+    const record = await reopened.collection('homework_records').findOne({ _id: insertedId });
+    assert.equal(record.name, '张三');
+    assert.ok(record.submittedAt instanceof Date);
+    await reopened.close();
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
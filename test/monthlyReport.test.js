@@ -0,0 +1,44 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js 在导入时读取环境变量，设置字体路径后再导入 server/ 下的模块
+process.env.REPORT_FONT_PATH = '/nonexistent/font.ttf';
+const { default: database } = await import('../server/database.js');
+const { buildMonthlyReport, saveMonthlyReport, listMonthlyReports, loadMonthlyReport } = await import('../server/monthlyReport.js');
+const { reportFontError } = await import('../server/monthlyReportPdf.js');
+
+const practiceItems = [{ key: 'nineWord', name: '九字', unit: '遍', isClassic: true }];
+const range = { month: '2026-09', startDate: '2026-09-01', endDate: '2026-09-30' };
+
+before(async () => {
+  await database.connect();
+});
+
+after(async () => {
+  await database.disconnect();
+});
+
+test('字体文件不存在时给出配置错误', () => {
+  assert.equal(reportFontError(), 'REPORT_FONT_PATH 指向的字体文件不存在: /nonexistent/font.ttf');
+});
+
+test('月报按月份保存，重新生成时覆盖', async () => {
+  await database.homeworkRecords().insertOne({ name: '张三', date: '2026-09-05', nineWord: 108, submittedAt: new Date('2026-09-05T01:00:00Z'), deletedAt: null });
+  const report = await buildMonthlyReport(range, practiceItems);
+  
+  await saveMonthlyReport({ report, pdf: Buffer.from('%PDF-1'), generatedBy: 'admin' });
+  await saveMonthlyReport({ report, pdf: Buffer.from('%PDF-2'), generatedBy: 'admin' });
+  
+  const list = await listMonthlyReports();
+  assert.equal(list.length, 1);
+  assert.equal(list[0].month, '2026-09');
+  assert.equal(list[0].size, 6);
+  assert.equal(list[0].summary.records, 1);
+  assert.equal(list[0].pdf, undefined);
+  
+  const saved = await loadMonthlyReport('2026-09');
+  assert.equal(saved.pdf.toString(), '%PDF-2');
+  assert.equal(saved.report.month, '2026-09');
+  assert.equal(await loadMonthlyReport('2026-08'), null);
+});
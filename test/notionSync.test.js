@@ -0,0 +1,193 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startNotionStub } from './helpers/notionStub.js';
+
+// 启动服务的测试日志很多，node --test 在输出较多时偶尔无法解析子进程的结果，这里关闭日志和请求日志
+process.env.NODE_ENV = 'production';
+console.log = () => {};
+console.warn = () => {};
+
+// config.js 在导入时读取环境变量，桩服务启动后再导入 server/ 下的模块
+const stub = await startNotionStub();
+process.env.NOTION_TOKEN = 'test-token';
+process.env.NOTION_DATABASE_ID = 'test-database';
+process.env.NOTION_BASE_URL = stub.url;
+process.env.NOTION_SYNC_MAX_ATTEMPTS = '2';
+process.env.CRON_SECRET = 'test-cron-secret';
+const { default: database } = await import('../server/database.js');
+const { createApp } = await import('../server/app.js');
+const { initialSyncFields, pendingSyncFields, syncPendingRecords, backfillNotion } = await import('../server/notionSync.js');
+
+let server;
+let baseUrl;
+
+function insertRecord(fields) {
+  return database.homeworkRecords().insertOne({
+    date: '2026-10-05',
+    nineWord: 108,
+    submittedAt: new Date('2026-10-05T01:00:00Z'),
+    deletedAt: null,
+    ...fields
+  });
+}
+
+function findRecord(_id) {
+  return database.homeworkRecords().findOne({ _id });
+}
+
+before(async () => {
+  await database.connect();
+  server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.disconnect();
+  await stub.close();
+});
+
+test('回填补充数据库属性并为没有页面的记录建页', async () => {
+  await insertRecord({ name: '回填甲' });
+  await insertRecord({ name: '回填乙', deletedAt: new Date() });
+  
+  const result = await backfillNotion();
+  
+  assert.deepEqual(result, { queued: 1, synced: 1, failed: 0 });
+  assert.equal(stub.properties['经典总数'].type, 'number');
+  assert.equal(stub.properties['记录ID'].type, 'rich_text');
+  const [page] = stub.pages.values();
+  assert.equal(page.properties['姓名'].title[0].text.content, '回填甲');
+  assert.equal(page.properties['日期'].date.start, '2026-10-05');
+});
+
+test('新建、修改和删除记录分别创建、更新和归档页面', async () => {
+  const { insertedId } = await insertRecord({ name: '张三', ...initialSyncFields() });
+  await syncPendingRecords();
+  
+  const created = await findRecord(insertedId);
+  assert.equal(created.syncStatus, 'synced');
+  const page = stub.pages.get(created.notionPageId);
+  assert.equal(page.properties['姓名'].title[0].text.content, '张三');
+  
+  await database.homeworkRecords().updateOne({ _id: insertedId }, { $set: { remark: '补充', ...pendingSyncFields() } });
+  await syncPendingRecords();
+  assert.equal(page.properties['备注'].rich_text[0].text.content, '补充');
+  assert.equal(page.archived, false);
+  
+  await database.homeworkRecords().updateOne({ _id: insertedId }, { $set: { deletedAt: new Date(), ...pendingSyncFields() } });
+  await syncPendingRecords();
+  assert.equal(page.archived, true);
+  assert.equal((await findRecord(insertedId)).syncStatus, 'synced');
+});
+
+test('同步失败后按退避时间重试，超过次数标记为 failed', async () => {
+  const { insertedId } = await insertRecord({ name: '重试', ...initialSyncFields() });
+  stub.failNext(1, 500);
+  
+  assert.deepEqual(await syncPendingRecords(), { synced: 0, failed: 1 });
+  const pending = await findRecord(insertedId);
+  assert.equal(pending.syncStatus, 'pending');
+  assert.equal(pending.syncAttempts, 1);
+  assert.ok(pending.syncError);
+  assert.ok(pending.nextSyncAt > new Date());
+  
+  // 未到重试时间时不会再次推送
+  assert.deepEqual(await syncPendingRecords(), { synced: 0, failed: 0 });
+  
+  await database.homeworkRecords().updateOne({ _id: insertedId }, { $set: { nextSyncAt: new Date() } });
+  stub.failNext(1, 429);
+  await syncPendingRecords();
+  const failed = await findRecord(insertedId);
+  assert.equal(failed.syncStatus, 'failed');
+  assert.equal(failed.syncAttempts, 2);
+  assert.equal(failed.notionPageId, undefined);
+});
+
+test('并发同步时每条记录只被领取一次，不重复建页', async () => {
+  const { insertedId } = await insertRecord({ name: '并发', ...initialSyncFields() });
+  const pageCount = stub.pages.size;
+  
+  // 模拟两个实例同时处理同一批待同步记录
+  const results = await Promise.all([syncPendingRecords(), syncPendingRecords()]);
+  
+  assert.equal(results[0].synced + results[1].synced, 1);
+  assert.equal(stub.pages.size, pageCount + 1);
+  const record = await findRecord(insertedId);
+  assert.equal(record.syncStatus, 'synced');
+  assert.equal(record.syncLockedUntil, undefined);
+});
+
+test('同步期间记录被修改时，锁定到本轮保存页面ID后再重新推送', async () => {
+  const { insertedId } = await insertRecord({ name: '修改中', ...initialSyncFields(new Date(Date.now() - 1000)) });
+  const collection = database.homeworkRecords();
+  
+  // 页面已建好、还未保存结果时记录被修改，另一个实例此时开始同步
+  let concurrent;
+  const updateOne = collection.updateOne;
+  collection.updateOne = async function (filter, ...args) {
+    if (!concurrent && filter.syncRequestedAt) {
+      await updateOne.call(this, { _id: insertedId }, { $set: { remark: '修改', ...pendingSyncFields() } });
+      concurrent = await syncPendingRecords();
+    }
+    return updateOne.call(this, filter, ...args);
+  };
+  try {
+    await syncPendingRecords();
+  } finally {
+    collection.updateOne = updateOne;
+  }
+  
+  // 另一个实例在锁定期间取不到记录；本轮保存页面ID后解锁，再次领取时推送修改后的内容
+  assert.deepEqual(concurrent, { synced: 0, failed: 0 });
+  const record = await findRecord(insertedId);
+  assert.equal(record.syncStatus, 'synced');
+  const pages = [...stub.pages.values()].filter(page => page.properties['姓名'].title[0].text.content === '修改中');
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].id, record.notionPageId);
+  assert.equal(pages[0].properties['备注'].rich_text[0].text.content, '修改');
+});
+
+test('领取后中途退出的记录在锁定到期后重新同步', async () => {
+  const { insertedId } = await insertRecord({
+    name: '锁定',
+    ...initialSyncFields(),
+    syncStatus: 'syncing',
+    syncLockedUntil: new Date(Date.now() + 60 * 1000)
+  });
+  assert.deepEqual(await syncPendingRecords(), { synced: 0, failed: 0 });
+  
+  await database.homeworkRecords().updateOne({ _id: insertedId }, { $set: { syncLockedUntil: new Date() } });
+  assert.deepEqual(await syncPendingRecords(), { synced: 1, failed: 0 });
+  assert.equal((await findRecord(insertedId)).syncStatus, 'synced');
+});
+
+test('提交记录在返回响应前完成同步', async () => {
+  const response = await fetch(`${baseUrl}/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ date: '2026-10-06', name: '李四', nineWord: 9 })
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  
+  const { ObjectId } = await import('mongodb');
+  const record = await findRecord(new ObjectId(data.recordId));
+  assert.equal(record.syncStatus, 'synced');
+  assert.ok(stub.pages.has(record.notionPageId));
+});
+
+test('定时任务推送到期的待同步记录', async () => {
+  const { insertedId } = await insertRecord({ name: '定时', ...initialSyncFields() });
+  
+  const unauthorized = await fetch(`${baseUrl}/cron/drain`, { headers: { Authorization: 'Bearer wrong' } });
+  assert.equal(unauthorized.status, 401);
+  
+  const response = await fetch(`${baseUrl}/cron/drain`, { headers: { Authorization: 'Bearer test-cron-secret' } });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(data.notion.synced, 1);
+  assert.equal((await findRecord(insertedId)).syncStatus, 'synced');
+});
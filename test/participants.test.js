@@ -0,0 +1,141 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// 启动服务的测试日志很多，node --test 在输出较多时偶尔无法解析子进程的结果，这里关闭日志和请求日志
+process.env.NODE_ENV = 'production';
+console.log = () => {};
+console.warn = () => {};
+
+// 订阅地址在本机，config.js 在导入时读取环境变量
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+const { startApp, adminHeaders, postJson } = await import('./helpers/app.js');
+const { default: database } = await import('../server/database.js');
+
+let app;
+let headers;
+let receiver;
+const received = [];
+
+async function submit(name) {
+  const { data } = await postJson(`${app.baseUrl}/submit`, { date: '2026-10-05', name, nineWord: 1 });
+  return data.recordId;
+}
+
+function findParticipant(name) {
+  return database.participants().findOne({ name });
+}
+
+function participantLogs(participantChange) {
+  return database.homeworkLogs().find({ participantChange }).toArray();
+}
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push(JSON.parse(Buffer.concat(chunks).toString()));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  
+  app = await startApp();
+  headers = await adminHeaders(app.baseUrl);
+  await postJson(`${app.baseUrl}/webhooks`, {
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    events: ['record.updated']
+  }, headers);
+});
+
+after(async () => {
+  await app.close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+test('合并参与者逐条记录修改日志并推送 record.updated', async () => {
+  await submit('张三');
+  const recordIds = [await submit('三哥'), await submit('三哥')];
+  const source = await findParticipant('三哥');
+  const target = await findParticipant('张三');
+  
+  const { status, data } = await postJson(`${app.baseUrl}/participants/merge`, {
+    sourceId: source._id.toString(),
+    targetId: target._id.toString()
+  }, headers);
+  assert.equal(status, 200);
+  assert.equal(data.movedRecords, 2);
+  assert.deepEqual(data.data.aliases, ['三哥']);
+  assert.equal(await findParticipant('三哥'), null);
+  
+  const logs = await participantLogs('merge');
+  assert.deepEqual(logs.map(log => log.recordId.toString()).sort(), recordIds.map(String).sort());
+  logs.forEach(log => {
+    assert.equal(log.action, 'update');
+    assert.deepEqual(log.actor, { type: 'admin', id: 'admin' });
+    assert.deepEqual(log.changes.find(change => change.field === 'name'), { field: 'name', before: '三哥', after: '张三' });
+    assert.ok(log.changes.some(change => change.field === 'participantId'));
+  });
+  
+  const events = received.filter(event => event.event === 'record.updated');
+  assert.equal(events.length, 2);
+  assert.ok(events.every(event => event.data.record.name === '张三'));
+});
+
+test('合并中途失败时保留源参与者，可以重新合并', async () => {
+  const recordId = await submit('李四');
+  await submit('四哥');
+  const source = await findParticipant('李四');
+  const target = await findParticipant('四哥');
+  const body = { sourceId: source._id.toString(), targetId: target._id.toString() };
+  
+  const participants = database.participants();
+  const updateOne = participants.updateOne;
+  participants.updateOne = function (filter, ...args) {
+    if (filter._id && filter._id.toString() === body.targetId) {
+      return Promise.reject(new Error('模拟写入失败'));
+    }
+    return updateOne.call(this, filter, ...args);
+  };
+  let failed;
+  try {
+    failed = await postJson(`${app.baseUrl}/participants/merge`, body, headers);
+  } finally {
+    participants.updateOne = updateOne;
+  }
+  
+  assert.equal(failed.status, 500);
+  const kept = await findParticipant('李四');
+  assert.ok(kept);
+  const record = await database.homeworkRecords().findOne({ name: '李四' });
+  assert.equal(record._id.toString(), String(recordId));
+  assert.equal(record.participantId.toString(), body.sourceId);
+  
+  const retried = await postJson(`${app.baseUrl}/participants/merge`, body, headers);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.data.movedRecords, 1);
+  assert.deepEqual(retried.data.data.aliases, ['李四']);
+  assert.equal(await findParticipant('李四'), null);
+  
+  // 合并后原姓名匹配到目标参与者
+  await submit('李四');
+  assert.equal(await database.homeworkRecords().countDocuments({ name: '四哥' }), 3);
+});
+
+test('修改参与者姓名时记录修改日志', async () => {
+  await submit('王五');
+  const participant = await findParticipant('王五');
+  
+  const response = await fetch(`${app.baseUrl}/participants/${participant._id}`, {
+    method: 'PUT',
+    headers,
+    body: JSON.stringify({ name: '王老五' })
+  });
+  assert.equal(response.status, 200);
+  
+  const [log] = await participantLogs('rename');
+  assert.deepEqual(log.changes, [{ field: 'name', before: '王五', after: '王老五' }]);
+  assert.equal((await database.homeworkRecords().findOne({ _id: log.recordId })).name, '王老五');
+});
@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, adminHeaders, postJson } from './helpers/app.js';
+
+// 启动服务的测试日志很多，node --test 在输出较多时偶尔无法解析子进程的结果，这里关闭日志和请求日志
+process.env.NODE_ENV = 'production';
+console.log = () => {};
+console.warn = () => {};
+
+let app;
+let headers;
+
+before(async () => {
+  app = await startApp();
+  headers = await adminHeaders(app.baseUrl);
+  await postJson(`${app.baseUrl}/submit`, { date: '2026-10-05', name: '张三', nineWord: 108, remark: '早课' });
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('记录列表需要管理员登录', async () => {
+  const unauthorized = await fetch(`${app.baseUrl}/records`);
+  assert.equal(unauthorized.status, 401);
+  
+  const response = await fetch(`${app.baseUrl}/records`, { headers });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(data.data.length, 1);
+  assert.equal(data.data[0].name, '张三');
+});
+
+test('排序和日期参数必须是单个有效值', async () => {
+  const invalid = [
+    'order=a&order=b',
+    'order=up',
+    'sort=date&sort=name',
+    'sort=password',
+    'startDate=2026-10-01&startDate=2026-10-02'
+  ];
+  for (const query of invalid) {
+    const response = await fetch(`${app.baseUrl}/records?${query}`, { headers });
+    const data = await response.json();
+    assert.equal(response.status, 400, query);
+    assert.equal(data.error, '查询参数无效');
+  }
+  
+  const response = await fetch(`${app.baseUrl}/records?sort=date&order=ASC`, { headers });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(data.sort, { field: 'date', order: 'asc' });
+  
+  const exported = await fetch(`${app.baseUrl}/export/csv?order=a&order=b`, { headers });
+  assert.equal(exported.status, 400);
+});
@@ -0,0 +1,167 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, postJson } from './helpers/app.js';
+import database from '../server/database.js';
+
+// 启动服务的测试日志很多，node --test 在输出较多时偶尔无法解析子进程的结果，这里关闭日志和请求日志
+process.env.NODE_ENV = 'production';
+console.log = () => {};
+console.warn = () => {};
+
+let app;
+
+function countRecords(filter = {}) {
+  return database.homeworkRecords().countDocuments(filter);
+}
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+test('相同 localId 再次提交返回原记录，不重复保存', async () => {
+  const body = { date: '2026-10-05', name: '张三', nineWord: 108, localId: 'local-1' };
+  
+  const first = await postJson(`${app.baseUrl}/submit`, body);
+  assert.equal(first.status, 200);
+  assert.equal(first.data.duplicate, false);
+  
+  const second = await postJson(`${app.baseUrl}/submit`, { ...body, nineWord: 9 });
+  assert.equal(second.status, 200);
+  assert.equal(second.data.duplicate, true);
+  assert.equal(second.data.recordId, first.data.recordId);
+  assert.equal(second.data.record.nineWord, 108);
+  assert.equal(await countRecords({ localId: 'local-1' }), 1);
+});
+
+test('Idempotency-Key 请求头与 localId 等效', async () => {
+  const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': 'header-key-1' };
+  const body = { date: '2026-10-05', name: '李四', nineWord: 1 };
+  
+  const first = await postJson(`${app.baseUrl}/submit`, body, headers);
+  const second = await postJson(`${app.baseUrl}/submit`, body, headers);
+  
+  assert.equal(first.data.duplicate, false);
+  assert.equal(second.data.duplicate, true);
+  assert.equal(second.data.recordId, first.data.recordId);
+  assert.equal(await countRecords({ localId: 'header-key-1' }), 1);
+});
+
+test('没有 localId 的提交不去重', async () => {
+  const body = { date: '2026-10-05', name: '王五', nineWord: 1 };
+  await postJson(`${app.baseUrl}/submit`, body);
+  await postJson(`${app.baseUrl}/submit`, body);
+  assert.equal(await countRecords({ name: '王五' }), 2);
+});
+
+test('并发重复提交只保存一条，其余返回原记录', async () => {
+  const body = { date: '2026-10-06', name: '赵六', nineWord: 3, localId: 'local-concurrent' };
+  
+  // 两个请求都完成幂等检查后才继续，第二条写入时触发唯一索引冲突（模拟多个实例同时处理重试）
+  const collection = database.homeworkRecords();
+  const findOne = collection.findOne;
+  const waiting = [];
+  collection.findOne = function (filter, ...args) {
+    const lookup = findOne.call(this, filter, ...args);
+    if (!filter || filter.localId !== body.localId || waiting.length >= 2) {
+      return lookup;
+    }
+    return new Promise(resolve => {
+      waiting.push(() => resolve(lookup));
+      if (waiting.length === 2) {
+        waiting.forEach(release => release());
+      }
+    });
+  };
+  
+  let responses;
+  try {
+    responses = await Promise.all([1, 2].map(() => postJson(`${app.baseUrl}/submit`, body)));
+  } finally {
+    collection.findOne = findOne;
+  }
+  
+  responses.forEach(({ status, data }) => {
+    assert.equal(status, 200);
+    assert.equal(data.success, true);
+  });
+  const [created, duplicate] = [...responses].sort((a, b) => a.data.duplicate - b.data.duplicate);
+  assert.equal(created.data.duplicate, false);
+  assert.equal(duplicate.data.duplicate, true);
+  assert.equal(String(duplicate.data.recordId), String(created.data.recordId));
+  assert.equal(await countRecords({ localId: body.localId }), 1);
+});
+
+test('localId 部分唯一索引拒绝重复值，不限制没有 localId 的记录', async () => {
+  const collection = database.homeworkRecords();
+  const record = { date: '2026-10-07', name: '孙七', nineWord: 1, deletedAt: null };
+  
+  await collection.insertOne({ ...record, localId: 'local-index' });
+  await assert.rejects(collection.insertOne({ ...record, localId: 'local-index' }), error => error.code === 11000);
+  
+  await collection.insertOne({ ...record });
+  await collection.insertOne({ ...record });
+  assert.equal(await countRecords({ name: '孙七' }), 3);
+});
+
+test('批量提交逐条校验，部分失败不影响其他记录', async () => {
+  const { status, data } = await postJson(`${app.baseUrl}/submit/batch`, {
+    records: [
+      { date: '2026-10-08', name: '批量甲', nineWord: 1, localId: 'batch-1' },
+      { date: '2026-02-30', name: '批量乙', nineWord: 1, localId: 'batch-2' },
+      null,
+      { date: '2026-10-08', name: '批量丙', nineWord: 2 }
+    ]
+  });
+  
+  assert.equal(status, 200);
+  assert.deepEqual(data.summary, { total: 4, inserted: 2, duplicates: 0, failed: 2 });
+  const [first, invalidDate, empty, last] = data.results;
+  assert.equal(first.success, true);
+  assert.equal(first.duplicate, false);
+  assert.equal(invalidDate.success, false);
+  assert.equal(invalidDate.error, '数据校验失败');
+  assert.ok(invalidDate.details.some(detail => detail.field === 'date'));
+  assert.equal(empty.success, false);
+  assert.equal(last.success, true);
+  assert.equal(await countRecords({ name: { $in: ['批量甲', '批量乙', '批量丙'] } }), 2);
+});
+
+test('批量提交中重复的 localId 只保存一次', async () => {
+  const { data } = await postJson(`${app.baseUrl}/submit/batch`, {
+    records: [
+      { date: '2026-10-09', name: '批量丁', nineWord: 1, localId: 'batch-dup' },
+      { date: '2026-10-09', name: '批量丁', nineWord: 1, localId: 'batch-dup' },
+      { date: '2026-10-08', name: '批量甲', nineWord: 1, localId: 'batch-1' }
+    ]
+  });
+  
+  assert.deepEqual(data.summary, { total: 3, inserted: 1, duplicates: 2, failed: 0 });
+  const [first, repeated, existing] = data.results;
+  assert.equal(first.duplicate, false);
+  assert.equal(repeated.duplicate, true);
+  assert.equal(repeated.recordId, first.recordId);
+  // 之前批次已保存的 localId 返回原记录
+  assert.equal(existing.duplicate, true);
+  assert.equal(await countRecords({ localId: 'batch-dup' }), 1);
+  assert.equal(await countRecords({ localId: 'batch-1' }), 1);
+});
+
+test('批量提交限制条数', async () => {
+  const empty = await postJson(`${app.baseUrl}/submit/batch`, { records: [] });
+  assert.equal(empty.status, 400);
+  
+  const records = Array.from({ length: 501 }, (_, index) => ({ date: '2026-10-10', name: '超量', nineWord: 1, localId: `limit-${index}` }));
+  const tooMany = await postJson(`${app.baseUrl}/submit/batch`, { records });
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.data.error, /500/);
+  assert.equal(await countRecords({ name: '超量' }), 0);
+  
+  const atLimit = await postJson(`${app.baseUrl}/submit/batch`, { records: records.slice(0, 500) });
+  assert.equal(atLimit.status, 200);
+  assert.equal(atLimit.data.summary.inserted, 500);
+});
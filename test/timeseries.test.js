@@ -0,0 +1,47 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import database from '../server/database.js';
+import { buildTimeseries } from '../server/timeseries.js';
+
+before(async () => {
+  await database.connect();
+});
+
+after(async () => {
+  await database.disconnect();
+});
+
+test('$dateFromString 无法解析时与 MongoDB 一样报错', async () => {
+  await database.homeworkRecords().insertOne({ name: '旧记录', date: '2026-10-1x', deletedAt: null }, { bypassDocumentValidation: true });
+  
+  await assert.rejects(
+    database.homeworkRecords().aggregate([
+      { $match: { name: '旧记录' } },
+      { $project: { day: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d' } } } }
+    ]).toArray(),
+    error => error.name === 'MongoServerError' && error.code === 241
+  );
+  
+  const [result] = await database.homeworkRecords().aggregate([
+    { $match: { name: '旧记录' } },
+    { $project: { day: { $dateFromString: { dateString: '$date', format: '%Y-%m-%d', onError: null } } } }
+  ]).toArray();
+  assert.equal(result.day, null);
+});
+
+test('按周统计时跳过日期格式错误的记录', async () => {
+  await database.homeworkRecords().insertMany([
+    { name: '甲', date: '2026-10-05', nineWord: 10, deletedAt: null },
+    { name: '乙', date: '2026-10-07', nineWord: 5, deletedAt: null },
+    { name: '丙', date: '2026-10-0x', nineWord: 100, deletedAt: null }
+  ], { bypassDocumentValidation: true });
+  
+  const result = await buildTimeseries({ granularity: 'week', startDate: '2026-10-05', endDate: '2026-10-18' });
+  
+  assert.deepEqual(result.periods, ['2026-10-05', '2026-10-12']);
+  const nineWord = result.series.find(series => series.key === 'nineWord');
+  assert.deepEqual(nineWord.values, [15, 0]);
+  const records = result.series.find(series => series.key === 'records');
+  assert.deepEqual(records.values, [2, 0]);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateHomeworkRecord, isValidDateString, practiceMaxValue } from '../server/validation.js';
+
+// 提交、批量提交和编辑共用的功课记录校验
+
+const practiceItems = [
+  { key: 'nineWord', name: '九字', unit: '遍', enabled: true },
+  { key: 'chant', name: '念诵', unit: '声', enabled: true },
+  { key: 'sitting', name: '静坐', unit: '分钟', enabled: true },
+  { key: 'limited', name: '限定', unit: '遍', maxValue: 10, enabled: true },
+  { key: 'retired', name: '旧项目', unit: '遍', enabled: false }
+];
+
+const record = { date: '2026-10-05', name: '张三' };
+
+function fieldsOf(errors) {
+  return errors.map(error => error.field).sort();
+}
+
+test('新提交只接受白名单字段，忽略前端附带的字段', () => {
+  const { value, errors } = validateHomeworkRecord({
+    ...record,
+    nineWord: 1,
+    remark: ' 早课 ',
+    deviceId: 'phone-1',
+    localId: 'local-1',
+    submitTime: '2026-10-05T01:00:00Z',
+    storageMode: 'local'
+  }, practiceItems);
+  
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, {
+    date: '2026-10-05',
+    name: '张三',
+    remark: '早课',
+    deviceId: 'phone-1',
+    nineWord: 1,
+    chant: 0,
+    sitting: 0,
+    limited: 0
+  });
+  
+  const rejected = validateHomeworkRecord({ ...record, isAdmin: true, _id: 'x', syncStatus: 'synced' }, practiceItems);
+  assert.deepEqual(fieldsOf(rejected.errors), ['_id', 'isAdmin', 'syncStatus']);
+  assert.ok(rejected.errors.every(error => error.error === '不支持的字段'));
+});
+
+test('编辑时系统字段不允许修改，只校验提供的字段', () => {
+  const { errors } = validateHomeworkRecord({
+    name: '李四',
+    deviceId: 'phone-2',
+    participantId: 'x',
+    submittedAt: '2026-10-05',
+    notionPageId: 'page',
+    unknown: 1
+  }, practiceItems, { mode: 'update' });
+  assert.deepEqual(fieldsOf(errors), ['deviceId', 'notionPageId', 'participantId', 'submittedAt', 'unknown']);
+  assert.equal(errors.find(error => error.field === 'deviceId').error, '该字段不允许修改');
+  assert.equal(errors.find(error => error.field === 'unknown').error, '不支持的字段');
+  
+  const partial = validateHomeworkRecord({ nineWord: '5' }, practiceItems, { mode: 'update' });
+  assert.deepEqual(partial, { value: { nineWord: 5 }, errors: [] });
+  
+  const empty = validateHomeworkRecord({}, practiceItems, { mode: 'update' });
+  assert.deepEqual(fieldsOf(empty.errors), ['body']);
+});
+
+test('日期必须是真实存在的 YYYY-MM-DD', () => {
+  assert.ok(isValidDateString('2024-02-29'));
+  ['2024-02-30', '2023-02-29', '2026-13-01', '2026-04-31', '2026-1-5', '2026/10/05', 20261005].forEach(date => {
+    assert.ok(!isValidDateString(date), String(date));
+    const { errors } = validateHomeworkRecord({ ...record, date }, practiceItems);
+    assert.deepEqual(fieldsOf(errors), ['date'], String(date));
+  });
+  assert.equal(validateHomeworkRecord({ name: '张三' }, practiceItems).errors[0].error, '日期是必填项');
+});
+
+test('功课数值接受整数和整数字符串，拒绝小数和其他类型', () => {
+  const { value, errors } = validateHomeworkRecord({ ...record, nineWord: ' 12 ', chant: 30, sitting: '' }, practiceItems);
+  assert.deepEqual(errors, []);
+  assert.equal(value.nineWord, 12);
+  assert.equal(value.chant, 30);
+  assert.equal(value.sitting, 0);
+  
+  [1.5, '1.5', '1e3', 'abc', true, [1], { n: 1 }].forEach(nineWord => {
+    const result = validateHomeworkRecord({ ...record, nineWord }, practiceItems);
+    assert.deepEqual(result.errors, [{ field: 'nineWord', error: '九字必须是整数' }], JSON.stringify(nineWord));
+  });
+  
+  const negative = validateHomeworkRecord({ ...record, nineWord: '-1' }, practiceItems);
+  assert.deepEqual(fieldsOf(negative.errors), ['nineWord']);
+});
+
+test('功课数值按单位或项目设置的最大值限制', () => {
+  assert.equal(practiceMaxValue(practiceItems[0]), 1000);
+  assert.equal(practiceMaxValue(practiceItems[1]), 1000000);
+  assert.equal(practiceMaxValue(practiceItems[2]), 1440);
+  assert.equal(practiceMaxValue(practiceItems[3]), 10);
+  assert.equal(practiceMaxValue({ unit: '次' }), 1000000);
+  
+  const atMax = validateHomeworkRecord({ ...record, nineWord: 1000, chant: 1000000, sitting: 1440, limited: 10 }, practiceItems);
+  assert.deepEqual(atMax.errors, []);
+  
+  const overMax = validateHomeworkRecord({ ...record, nineWord: 1001, chant: 1000001, sitting: 1441, limited: 11 }, practiceItems);
+  assert.deepEqual(fieldsOf(overMax.errors), ['chant', 'limited', 'nineWord', 'sitting']);
+  assert.equal(overMax.errors.find(error => error.field === 'sitting').error, '静坐必须在 0-1440分钟 之间');
+});
+
+test('已停用的项目不接收新提交，编辑旧记录时仍可修改', () => {
+  const created = validateHomeworkRecord({ ...record, retired: 5 }, practiceItems);
+  assert.deepEqual(created.errors, []);
+  assert.equal(created.value.retired, undefined);
+  
+  // 停用项目的数值仍需合法
+  const invalid = validateHomeworkRecord({ ...record, retired: 1.5 }, practiceItems);
+  assert.deepEqual(fieldsOf(invalid.errors), ['retired']);
+  
+  const updated = validateHomeworkRecord({ retired: 5 }, practiceItems, { mode: 'update' });
+  assert.deepEqual(updated, { value: { retired: 5 }, errors: [] });
+});
+
+test('姓名、备注和设备ID的类型与长度', () => {
+  const { errors } = validateHomeworkRecord({
+    date: '2026-10-05',
+    name: '   ',
+    remark: 'x'.repeat(501),
+    deviceId: 'd'.repeat(101)
+  }, practiceItems);
+  assert.deepEqual(fieldsOf(errors), ['deviceId', 'name', 'remark']);
+  
+  assert.deepEqual(fieldsOf(validateHomeworkRecord({ ...record, name: '名'.repeat(51) }, practiceItems).errors), ['name']);
+  assert.deepEqual(fieldsOf(validateHomeworkRecord({ ...record, remark: 1 }, practiceItems).errors), ['remark']);
+  assert.deepEqual(fieldsOf(validateHomeworkRecord(null, practiceItems).errors), ['body']);
+  assert.deepEqual(fieldsOf(validateHomeworkRecord([record], practiceItems).errors), ['body']);
+});
@@ -0,0 +1,233 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { ObjectId } from 'mongodb';
+
+// 启动服务的测试日志很多，node --test 在输出较多时偶尔无法解析子进程的结果，这里关闭日志和请求日志
+process.env.NODE_ENV = 'production';
+console.log = () => {};
+console.warn = () => {};
+
+// config.js 在导入时读取环境变量，设置后再导入 server/ 下的模块
+process.env.CRON_SECRET = 'test-cron-secret';
+const { default: config } = await import('../server/config.js');
+const { default: database } = await import('../server/database.js');
+const { createApp } = await import('../server/app.js');
+const {
+  validateWebhookInput,
+  isBlockedAddress,
+  sendTestDelivery,
+  enqueueRecordEvents,
+  scheduleWebhookDeliveries,
+  drainWebhookDeliveries
+} = await import('../server/webhooks.js');
+
+let server;
+let baseUrl;
+let receiver;
+let receiverUrl;
+const received = [];
+
+// 测试中的订阅地址都在本机，允许内网地址的用例临时打开开关
+async function allowingPrivateHosts(fn) {
+  config.webhooks.allowPrivateHosts = true;
+  try {
+    return await fn();
+  } finally {
+    config.webhooks.allowPrivateHosts = false;
+  }
+}
+
+function insertWebhook(url) {
+  const now = new Date();
+  const webhook = {
+    _id: new ObjectId(),
+    url,
+    events: ['record.submitted'],
+    secret: 'whsec_test_0123456789',
+    description: '',
+    enabled: true,
+    createdAt: now,
+    updatedAt: now
+  };
+  return database.webhooks().insertOne(webhook).then(() => webhook);
+}
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  
+  await database.connect();
+  server = createApp().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => receiver.close(resolve));
+  await database.disconnect();
+});
+
+test('本机、内网和链路本地地址被拒绝', async () => {
+  assert.ok(isBlockedAddress('169.254.169.254'));
+  assert.ok(isBlockedAddress('::ffff:7f00:1'));
+  assert.ok(isBlockedAddress('fe80::1%eth0'));
+  assert.ok(!isBlockedAddress('93.184.216.34'));
+  assert.ok(!isBlockedAddress('2606:2800:220:1::1'));
+  
+  const urls = [
+    'http://localhost:3000/hook',
+    'http://127.0.0.1/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.8/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.1/hook',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook'
+  ];
+  for (const url of urls) {
+    const { errors } = await validateWebhookInput({ url, events: ['record.submitted'] });
+    assert.equal(errors.length, 1, url);
+    assert.equal(errors[0].field, 'url');
+    assert.match(errors[0].error, /本机或内网/);
+  }
+  
+  const { value, errors } = await validateWebhookInput({ url: 'https://93.184.216.34/hook', events: ['record.submitted'] });
+  assert.deepEqual(errors, []);
+  assert.equal(value.url, 'https://93.184.216.34/hook');
+});
+
+test('投递时再次检查地址，已保存的内网地址不会被请求', async () => {
+  const port = receiver.address().port;
+  for (const url of [receiverUrl, `http://localhost:${port}/hook`]) {
+    const webhook = await insertWebhook(url);
+    const delivery = await sendTestDelivery(webhook, { type: 'admin', id: 'admin' });
+    assert.equal(delivery.status, 'failed');
+    assert.match(delivery.lastError, /本机或内网/);
+  }
+  assert.equal(received.length, 0);
+});
+
+test('提交记录在返回响应前完成投递', async () => {
+  await database.webhooks().deleteMany({});
+  await allowingPrivateHosts(async () => {
+    const login = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: 'test-password' })
+    });
+    const { token } = await login.json();
+    
+    const created = await fetch(`${baseUrl}/webhooks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ url: receiverUrl, events: ['record.submitted'] })
+    });
+    assert.equal(created.status, 201);
+    
+    const response = await fetch(`${baseUrl}/submit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date: '2026-10-06', name: '王五', nineWord: 9 })
+    });
+    assert.equal(response.status, 200);
+  });
+  
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['x-homework-event'], 'record.submitted');
+  assert.equal(received[0].body.data.record.name, '王五');
+  const [delivery] = await database.webhookDeliveries().find({ event: 'record.submitted' }).toArray();
+  assert.equal(delivery.status, 'delivered');
+});
+
+test('定时任务投递到期的待投递任务', async () => {
+  await database.webhookDeliveries().updateMany({ event: 'record.submitted' }, { $set: { status: 'pending', nextAttemptAt: new Date() } });
+  received.length = 0;
+  
+  const data = await allowingPrivateHosts(async () => {
+    const response = await fetch(`${baseUrl}/cron/drain`, { headers: { Authorization: 'Bearer test-cron-secret' } });
+    assert.equal(response.status, 200);
+    return response.json();
+  });
+  
+  assert.deepEqual(data.webhooks, { delivered: 1, failed: 0 });
+  assert.equal(received.length, 1);
+});
+
+// 暂停领取投递任务，返回恢复函数；用于构造正在进行中的一轮投递
+function holdDeliveryClaims(hold) {
+  const collection = database.webhookDeliveries();
+  const findOneAndUpdate = collection.findOneAndUpdate;
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+  let held = 0;
+  collection.findOneAndUpdate = async function (...args) {
+    const result = await findOneAndUpdate.apply(this, args);
+    if (held < hold) {
+      held++;
+      await gate;
+    }
+    return result;
+  };
+  return () => {
+    collection.findOneAndUpdate = findOneAndUpdate;
+    release();
+  };
+}
+
+test('登录等不写入记录的请求不等待投递', async () => {
+  // 投递一直不结束时，写入记录的请求要等待 3 秒才返回
+  const release = holdDeliveryClaims(Infinity);
+  try {
+    scheduleWebhookDeliveries({ force: true });
+    const login = fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: 'test-password' })
+    });
+    const timeout = new Promise(resolve => setTimeout(resolve, 2000, 'timeout'));
+    const response = await Promise.race([login, timeout]);
+    assert.notEqual(response, 'timeout');
+    assert.equal(response.status, 200);
+  } finally {
+    release();
+  }
+  await drainWebhookDeliveries(1000);
+});
+
+test('等待中的一轮在任务加入前已开始时，再执行一轮发出新任务', async () => {
+  await database.webhooks().deleteMany({});
+  await insertWebhook(receiverUrl);
+  received.length = 0;
+  
+  await allowingPrivateHosts(async () => {
+    // 这一轮已查询过待投递任务（没有），暂停在返回前
+    const release = holdDeliveryClaims(1);
+    scheduleWebhookDeliveries({ force: true });
+    
+    const record = { _id: new ObjectId(), date: '2026-10-07', name: '赵六', nineWord: 1 };
+    assert.equal(await enqueueRecordEvents(null, 'record.submitted', [{ record }]), 1);
+    const drained = drainWebhookDeliveries(2000);
+    release();
+    
+    assert.deepEqual(await drained, { delivered: 1, failed: 0 });
+  });
+  
+  assert.equal(received.length, 1);
+  assert.equal(received[0].body.data.record.name, '赵六');
+});